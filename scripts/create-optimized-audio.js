@@ -5,6 +5,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import { createWavHeader } from '../src/modules/AudioEncoders.js';
 
 // 音频数据 - 使用更短的音频样本
 const audioData = {
@@ -25,35 +26,6 @@ const audioData = {
     }
 };
 
-/**
- * 生成简单的WAV文件头
- */
-function createWavHeader(sampleRate, numChannels, bitsPerSample, dataSize) {
-    const buffer = new ArrayBuffer(44);
-    const view = new DataView(buffer);
-    
-    // RIFF header
-    view.setUint32(0, 0x52494646, false); // "RIFF"
-    view.setUint32(4, 36 + dataSize, true); // File size - 8
-    view.setUint32(8, 0x57415645, false); // "WAVE"
-    
-    // fmt chunk
-    view.setUint32(12, 0x666d7420, false); // "fmt "
-    view.setUint32(16, 16, true); // Chunk size
-    view.setUint16(20, 1, true); // Audio format (PCM)
-    view.setUint16(22, numChannels, true); // Number of channels
-    view.setUint32(24, sampleRate, true); // Sample rate
-    view.setUint32(28, sampleRate * numChannels * bitsPerSample / 8, true); // Byte rate
-    view.setUint16(32, numChannels * bitsPerSample / 8, true); // Block align
-    view.setUint16(34, bitsPerSample, true); // Bits per sample
-    
-    // data chunk
-    view.setUint32(36, 0x64617461, false); // "data"
-    view.setUint32(40, dataSize, true); // Data size
-    
-    return new Uint8Array(buffer);
-}
-
 /**
  * 生成木鱼声音
  */
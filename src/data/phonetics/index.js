@@ -0,0 +1,13 @@
+// 注音字典资源导入
+// 字音表和经文读音较大，只在开启注音时才动态导入
+
+/**
+ * 加载字音表和经文读音的原始文本
+ */
+export async function loadPhoneticSources() {
+    const [readings, overrides] = await Promise.all([
+        import('./readings.txt?raw').then(module => module.default),
+        import('./buddhist.txt?raw').then(module => module.default)
+    ]);
+    return { readings, overrides };
+}
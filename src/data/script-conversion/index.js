@@ -0,0 +1,13 @@
+// 繁简转换对照表资源导入
+// 只在切换繁简显示或开启注音时才动态导入
+
+/**
+ * 加载繁简字对照和词语对照的原始文本
+ */
+export async function loadScriptSources() {
+    const [characters, phrases] = await Promise.all([
+        import('./characters.txt?raw').then(module => module.default),
+        import('./phrases.txt?raw').then(module => module.default)
+    ]);
+    return { characters, phrases };
+}
@@ -1,22 +1,21 @@
 // 经书数据资源导入
-// 这个文件确保经书数据被Vite正确处理和打包
+// 索引随主包加载；经文内容按文件拆分，在选择经书时才动态导入
 
 import indexData from './index.json';
-import amitabhaText from './amitabha.txt?raw';
 
-// 调试信息
-console.log('经书数据导入调试:');
-console.log('indexData:', indexData);
-console.log('amitabhaText 长度:', amitabhaText ? amitabhaText.length : 'null');
-console.log('amitabhaText 前100字符:', amitabhaText ? amitabhaText.substring(0, 100) : 'null');
+// 每部经文一个加载函数，Vite 会把各个 .txt / .sutra 打包成独立的分块
+const contentLoaders = import.meta.glob(['./*.txt', './*.sutra'], { query: '?raw', import: 'default' });
 
 export const sutrasIndex = indexData;
 
-export const sutrasContent = {
-    'amitabha': amitabhaText
-};
+/**
+ * 按文件名获取经文加载函数，找不到时返回 null
+ */
+export function getSutraContentLoader(filename) {
+    return contentLoaders[`./${filename}`] || null;
+}
 
 export default {
     index: sutrasIndex,
-    content: sutrasContent
+    getContentLoader: getSutraContentLoader
 };
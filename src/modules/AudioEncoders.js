@@ -0,0 +1,143 @@
+/**
+ * 音频编码器
+ * 把渲染好的 AudioBuffer 编码为可下载的音频文件，全部在浏览器内完成
+ */
+
+/**
+ * 支持的导出格式
+ */
+export const EXPORT_FORMATS = {
+    mp3: { label: 'MP3（兼容车载和老式播放器）', extension: 'mp3', mimeType: 'audio/mpeg' },
+    wav: { label: 'WAV（无损）', extension: 'wav', mimeType: 'audio/wav' }
+};
+
+/**
+ * 生成WAV文件头（scripts 下的音频生成脚本也使用这个实现）
+ */
+export function createWavHeader(sampleRate, numChannels, bitsPerSample, dataSize) {
+    const buffer = new ArrayBuffer(44);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    view.setUint32(0, 0x52494646, false); // "RIFF"
+    view.setUint32(4, 36 + dataSize, true); // File size - 8
+    view.setUint32(8, 0x57415645, false); // "WAVE"
+
+    // fmt chunk
+    view.setUint32(12, 0x666d7420, false); // "fmt "
+    view.setUint32(16, 16, true); // Chunk size
+    view.setUint16(20, 1, true); // Audio format (PCM)
+    view.setUint16(22, numChannels, true); // Number of channels
+    view.setUint32(24, sampleRate, true); // Sample rate
+    view.setUint32(28, sampleRate * numChannels * bitsPerSample / 8, true); // Byte rate
+    view.setUint16(32, numChannels * bitsPerSample / 8, true); // Block align
+    view.setUint16(34, bitsPerSample, true); // Bits per sample
+
+    // data chunk
+    view.setUint32(36, 0x64617461, false); // "data"
+    view.setUint32(40, dataSize, true); // Data size
+
+    return new Uint8Array(buffer);
+}
+
+/**
+ * 把 [-1, 1] 的浮点采样转换为16位整数
+ */
+function floatTo16BitPCM(input) {
+    const output = new Int16Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+        const sample = Math.max(-1, Math.min(1, input[i]));
+        output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    }
+    return output;
+}
+
+/**
+ * 让出主线程，避免长时间编码时页面卡死
+ */
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * PCM WAV 编码器
+ */
+export class WavEncoder {
+    /**
+     * 编码为16位PCM WAV
+     */
+    static encode(audioBuffer) {
+        const { numberOfChannels, sampleRate, length } = audioBuffer;
+        const bitsPerSample = 16;
+        const dataSize = length * numberOfChannels * (bitsPerSample / 8);
+
+        const header = createWavHeader(sampleRate, numberOfChannels, bitsPerSample, dataSize);
+        const data = new Int16Array(length * numberOfChannels);
+
+        const channels = [];
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            channels.push(floatTo16BitPCM(audioBuffer.getChannelData(channel)));
+        }
+
+        // 交错写入各声道
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                data[i * numberOfChannels + channel] = channels[channel][i];
+            }
+        }
+
+        return new Blob([header, data.buffer], { type: EXPORT_FORMATS.wav.mimeType });
+    }
+}
+
+/**
+ * MP3 编码器（基于纯 JavaScript 的 LAME 移植，按需加载）
+ */
+export class Mp3Encoder {
+    /**
+     * 编码为MP3
+     * 分块编码并定期让出主线程，onProgress 接收 0-100 的进度
+     */
+    static async encode(audioBuffer, options = {}, onProgress = null) {
+        const { Mp3Encoder: LameEncoder } = await import('@breezystack/lamejs');
+
+        const bitrate = options.bitrate || 96;
+        const numberOfChannels = Math.min(2, audioBuffer.numberOfChannels);
+        const encoder = new LameEncoder(numberOfChannels, audioBuffer.sampleRate, bitrate);
+
+        const left = floatTo16BitPCM(audioBuffer.getChannelData(0));
+        const right = numberOfChannels > 1 ? floatTo16BitPCM(audioBuffer.getChannelData(1)) : null;
+
+        // LAME 每帧 1152 个采样，按帧的整数倍分块
+        const frameSize = 1152;
+        const framesPerChunk = 200;
+        const chunkSize = frameSize * framesPerChunk;
+        const chunks = [];
+
+        for (let offset = 0; offset < left.length; offset += chunkSize) {
+            for (let frame = offset; frame < Math.min(offset + chunkSize, left.length); frame += frameSize) {
+                const leftFrame = left.subarray(frame, frame + frameSize);
+                const encoded = right
+                    ? encoder.encodeBuffer(leftFrame, right.subarray(frame, frame + frameSize))
+                    : encoder.encodeBuffer(leftFrame);
+
+                if (encoded.length > 0) {
+                    chunks.push(new Uint8Array(encoded));
+                }
+            }
+
+            if (onProgress) {
+                onProgress(Math.min(100, ((offset + chunkSize) / left.length) * 100));
+            }
+
+            await yieldToBrowser();
+        }
+
+        const tail = encoder.flush();
+        if (tail.length > 0) {
+            chunks.push(new Uint8Array(tail));
+        }
+
+        return new Blob(chunks, { type: EXPORT_FORMATS.mp3.mimeType });
+    }
+}
@@ -1,36 +1,33 @@
 /**
  * 音频播放引擎
- * 负责音频文件管理和播放控制
+ * 负责精确调度的播放控制（AudioContext 和音频加载见 BaseAudioEngine）
+ *
+ * 所有敲击都以 AudioContext 的时钟为准提前排程（look-ahead 调度），
+ * 定时器只负责"往前看"，不直接决定发声时刻，因此繁忙或被节流的页面也不会让节拍漂移。
  */
-import { audioAssets } from '../assets/audio/index.js';
+import { BaseAudioEngine } from './BaseAudioEngine.js';
 
-export class AudioEngine {
+export class AudioEngine extends BaseAudioEngine {
     constructor() {
-        this.audioFiles = new Map();
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.isLooping = false;
-        this.playbackSpeed = 1.0;
-        this.currentSequence = null;
-        this.sequenceIndex = 0;
-        this.sequenceStartTime = 0;
-        this.playbackTimer = null;
-
-        // 移动端检测
-        this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        
-        // 音频文件路径配置
-        this.audioConfig = {
-            muyu: audioAssets.muyu,
-            bowl: audioAssets.bowl
+        super();
+
+        // 调度状态（时间单位均为 AudioContext 秒）
+        this.nextEventIndex = 0;
+        this.muyuStartTime = null;
+        this.sequenceSpeed = 1.0;
+        this.scheduleQueue = [];
+        this.schedulerTimer = null;
+        this.animationFrame = null;
+
+        // 调度配置
+        this.schedulerConfig = {
+            lookahead: 25,               // 调度器唤醒间隔（毫秒）
+            scheduleAheadTime: 0.1,      // 前台时提前排程的时间窗口（秒）
+            backgroundAheadTime: 1.5,    // 页面隐藏时定时器会被节流，需要更大的窗口（秒）
+            startDelay: 0.05,            // 开始播放前的缓冲（秒）
+            loopGap: 1.0                 // 循环播放两轮之间的间隔（秒）
         };
 
-        // 播放状态回调
-        this.onPlayStateChange = null;
-        this.onSequenceProgress = null;
-        this.onSequenceComplete = null;
-        this.onError = null;
-
         console.log('AudioEngine 初始化完成');
         console.log('音频文件路径配置:', this.audioConfig);
 
@@ -57,132 +54,6 @@ export class AudioEngine {
         }
     }
 
-    /**
-     * 预加载音频文件
-     */
-    async preloadAudioFiles() {
-        console.log('开始预加载音频文件...');
-        
-        const loadPromises = Object.entries(this.audioConfig).map(async ([key, path]) => {
-            try {
-                const audio = new Audio();
-                audio.preload = 'auto'; // 恢复完整预加载
-                
-                // 创建加载Promise
-                const loadPromise = new Promise((resolve, reject) => {
-                    audio.addEventListener('canplaythrough', () => {
-                        console.log(`音频文件加载成功: ${key}`);
-                        resolve();
-                    });
-                    
-                    audio.addEventListener('error', (e) => {
-                        console.error(`音频文件加载失败: ${key}`, e);
-                        reject(new Error(`Failed to load ${key}: ${e.message}`));
-                    });
-                    
-                    // 设置超时
-                    setTimeout(() => {
-                        reject(new Error(`Timeout loading ${key}`));
-                    }, 10000);
-                });
-                
-                // 开始加载
-                audio.src = path;
-                audio.load();
-                
-                await loadPromise;
-                
-                // 存储音频对象
-                this.audioFiles.set(key, audio);
-                
-                return { key, success: true };
-            } catch (error) {
-                console.error(`预加载音频失败 (${key}):`, error);
-                return { key, success: false, error };
-            }
-        });
-
-        const results = await Promise.all(loadPromises);
-        const successCount = results.filter(r => r.success).length;
-        
-        console.log(`音频预加载完成: ${successCount}/${results.length} 个文件`);
-        
-        if (successCount === 0) {
-            throw new Error('所有音频文件加载失败');
-        }
-        
-        return results;
-    }
-
-    /**
-     * 播放指定音频
-     */
-    async playAudio(audioKey, noWait = false) {
-        // 检查是否已停止播放
-        if (!this.isPlaying) {
-            console.log(`播放已停止，跳过 ${audioKey} 音频播放`);
-            return;
-        }
-
-        // 获取音频对象
-        const audio = this.audioFiles.get(audioKey);
-
-        if (!audio) {
-            const error = new Error(`音频文件未找到: ${audioKey}`);
-            this.handleError(error);
-            throw error;
-        }
-
-        try {
-            // 重置音频到开始位置
-            audio.currentTime = 0;
-
-            // 设置播放速度（保持原始速度）
-            audio.playbackRate = 1.0;
-
-            // 播放音频
-            const playPromise = audio.play();
-
-            console.log(`播放音频: ${audioKey}${noWait ? ' (不等待完成)' : ''}`);
-
-            if (noWait) {
-                // 不等待音频播放完毕，立即返回，但处理可能的错误
-                if (playPromise !== undefined) {
-                    playPromise.catch(error => {
-                        // 如果是因为播放被中断，不报错
-                        if (error.name === 'AbortError' && !this.isPlaying) {
-                            console.log(`${audioKey} 音频播放被正常中断`);
-                        } else {
-                            console.warn(`播放音频失败 (${audioKey}):`, error);
-                        }
-                    });
-                }
-                return Promise.resolve();
-            } else {
-                // 等待音频播放完毕
-                await playPromise;
-                return new Promise((resolve) => {
-                    const handleEnded = () => {
-                        audio.removeEventListener('ended', handleEnded);
-                        resolve();
-                    };
-                    audio.addEventListener('ended', handleEnded);
-                });
-            }
-
-        } catch (error) {
-            // 如果是因为播放被中断，不报错
-            if (error.name === 'AbortError' && !this.isPlaying) {
-                console.log(`${audioKey} 音频播放被正常中断`);
-                return;
-            }
-
-            console.error(`播放音频失败 (${audioKey}):`, error);
-            this.handleError(error);
-            throw error;
-        }
-    }
-
     /**
      * 播放木鱼声音
      */
@@ -216,17 +87,17 @@ export class AudioEngine {
      */
     async testAudioPlayback() {
         console.log('开始测试音频播放...');
-        
+
         try {
             console.log('测试木鱼声音...');
             await this.playMuyuSound();
-            
+
             // 等待一秒
             await new Promise(resolve => setTimeout(resolve, 1000));
-            
+
             console.log('测试颂钵声音...');
             await this.playBowlSound();
-            
+
             console.log('音频播放测试完成');
             return true;
         } catch (error) {
@@ -235,52 +106,6 @@ export class AudioEngine {
         }
     }
 
-    /**
-     * 创建播放序列（只为文字字符创建木鱼声）
-     */
-    createPlaybackSequence(textLength) {
-        console.log(`开始创建播放序列，文本长度: ${textLength}, 播放速度: ${this.playbackSpeed}x`);
-
-        const sequence = [];
-
-        // 计算基础间隔（根据播放速度调整）
-        const baseInterval = 1000 / this.playbackSpeed;
-
-        // 第一步：播放开始颂钵
-        sequence.push({
-            type: 'bowl',
-            delay: 0,
-            description: '开始颂钵',
-            noWait: false, // 等待颂钵播放完毕
-            isStartBowl: true
-        });
-
-        // 第二步：创建木鱼播放序列
-        // 只为文字字符创建木鱼声，跳过标点符号
-        let muyuIndex = 0;
-        for (let i = 0; i < textLength; i++) {
-            // 获取字符信息
-            const charData = this.getCharacterData ? this.getCharacterData(i) : null;
-
-            // 只为非标点符号字符创建木鱼声
-            if (!charData || (!charData.isPunctuation && !charData.isSpace)) {
-                sequence.push({
-                    type: 'muyu',
-                    delay: muyuIndex * baseInterval, // 相对于木鱼开始时间的延迟
-                    characterIndex: i,
-                    description: `木鱼 ${muyuIndex + 1}`,
-                    noWait: true, // 不等待木鱼播放完毕
-                    isMuyu: true
-                });
-                muyuIndex++;
-            }
-        }
-
-        console.log(`播放序列创建完成: ${sequence.length} 个事件，实际木鱼数: ${muyuIndex}，木鱼间隔: ${baseInterval.toFixed(1)}ms`);
-        console.log('序列预览:', sequence.slice(0, 3).map(s => `${s.description}@${s.delay}ms`));
-        return sequence;
-    }
-
     /**
      * 开始播放序列
      */
@@ -290,19 +115,23 @@ export class AudioEngine {
             return;
         }
 
-        this.currentSequence = sequence;
-        this.sequenceIndex = 0;
         this.isPlaying = true;
         this.isPaused = false;
-        this.sequenceStartTime = Date.now();
 
         this.notifyPlayStateChange(true);
 
         console.log('开始播放序列，事件数量:', sequence.length);
 
         try {
-            // 分阶段执行：先播放颂钵，再播放木鱼序列
-            await this.executeSequenceInPhases();
+            await this.ensureContextRunning();
+
+            // 等待AudioContext期间可能已被停止
+            if (!this.isPlaying) {
+                return;
+            }
+
+            this.beginSequence(sequence, this.audioContext.currentTime + this.schedulerConfig.startDelay);
+            this.startScheduler();
         } catch (error) {
             console.error('播放序列执行失败:', error);
             this.handleError(error);
@@ -311,195 +140,198 @@ export class AudioEngine {
     }
 
     /**
-     * 开始文本播放
+     * 从指定时间点开始排程整个序列
+     * 开始颂钵先排程，木鱼时间轴从颂钵结束时开始；
+     * 指定了 startEventIndex 时，颂钵结束后直接从该木鱼开始
      */
-    async startPlayback(textManager) {
-        if (!textManager || !textManager.characters || textManager.characters.length === 0) {
-            const error = new Error('无效的文本管理器或空文本');
-            this.handleError(error);
-            throw error;
-        }
+    beginSequence(sequence, startTime) {
+        this.currentSequence = sequence;
+        this.sequenceIndex = 0;
+        this.sequenceSpeed = sequence.speed || this.playbackSpeed;
+        this.scheduleQueue = [];
 
-        // 设置文本管理器回调
-        this.textManager = textManager;
+        let muyuStartTime = startTime;
 
-        // 设置字符数据获取方法
-        this.getCharacterData = (index) => {
-            return textManager.characters && textManager.characters[index] ? textManager.characters[index] : null;
-        };
+        const bowlEvent = sequence.find(event => event.isStartBowl);
+        if (bowlEvent) {
+            this.scheduleSound(bowlEvent.type, startTime);
 
-        // 创建播放序列（现在会跳过标点符号）
-        const sequence = this.createPlaybackSequence(textManager.characters.length);
+            const bowlBuffer = this.audioBuffers.get(bowlEvent.type);
+            muyuStartTime += bowlBuffer ? bowlBuffer.duration : 0;
+        }
+
+        this.muyuEvents = sequence.filter(event => event.isMuyu);
+        this.nextEventIndex = 0;
+        this.muyuStartTime = muyuStartTime;
+
+        const startEvent = this.muyuEvents[sequence.startEventIndex];
+        if (startEvent) {
+            this.muyuStartTime -= (startEvent.delay / 1000) * (this.sequenceSpeed / this.playbackSpeed);
+            this.nextEventIndex = sequence.startEventIndex;
+            this.sequenceIndex = sequence.startEventIndex;
+        }
 
-        // 开始播放序列
-        await this.startPlaybackSequence(sequence);
+        console.log(`序列已排程: 颂钵@${startTime.toFixed(3)}s, 木鱼开始@${muyuStartTime.toFixed(3)}s, 共 ${this.muyuEvents.length} 个木鱼`);
     }
 
     /**
-     * 分阶段执行播放序列
+     * 计算木鱼事件在AudioContext时钟上的时间
      */
-    async executeSequenceInPhases() {
-        console.log('开始分阶段执行播放序列');
+    getEventTime(event, offset = 0) {
+        return this.muyuStartTime + ((event.delay + offset) / 1000) * (this.sequenceSpeed / this.playbackSpeed);
+    }
 
-        // 第一阶段：播放颂钵
-        const bowlEvent = this.currentSequence.find(event => event.isStartBowl);
-        if (bowlEvent) {
-            console.log('第一阶段：播放开始颂钵');
-            try {
-                await this.playAudio(bowlEvent.type, false); // 等待颂钵播放完毕
-                console.log('颂钵播放完毕，开始木鱼阶段');
-            } catch (error) {
-                console.error('颂钵播放失败:', error);
-                throw error;
-            }
+    /**
+     * 计算本轮序列结束的时间（最后一个木鱼及其后的提示音）
+     */
+    getSequenceEndTime() {
+        const lastEvent = this.muyuEvents[this.muyuEvents.length - 1];
+        if (!lastEvent) {
+            return this.muyuStartTime;
         }
 
-        // 第二阶段：播放木鱼序列
-        const muyuEvents = this.currentSequence.filter(event => event.isMuyu);
-        if (muyuEvents.length > 0) {
-            console.log(`第二阶段：播放木鱼序列，共 ${muyuEvents.length} 个事件`);
-            this.muyuStartTime = Date.now(); // 记录木鱼开始时间
-            await this.executeMuyuSequence(muyuEvents);
-        }
+        const tail = this.currentSequence && this.currentSequence.tail ? this.currentSequence.tail : 0;
+        return this.getEventTime(lastEvent, tail);
     }
 
     /**
-     * 执行木鱼播放序列
+     * 启动调度器和高亮循环
      */
-    async executeMuyuSequence(muyuEvents) {
-        for (let i = 0; i < muyuEvents.length; i++) {
-            if (!this.isPlaying || this.isPaused) {
-                console.log('播放被停止或暂停');
-                return;
-            }
+    startScheduler() {
+        this.stopScheduler();
 
-            const event = muyuEvents[i];
-            const currentTime = Date.now();
-            const elapsedTime = currentTime - this.muyuStartTime;
-            const waitTime = Math.max(0, event.delay - elapsedTime);
+        const tick = () => {
+            this.scheduleAheadEvents();
+            this.processDueEvents();
 
-            // 等待到正确的时间点
-            if (waitTime > 0) {
-                await this.waitWithPauseSupport(waitTime);
+            if (this.isPlaying && !this.isPaused) {
+                this.schedulerTimer = setTimeout(tick, this.schedulerConfig.lookahead);
             }
+        };
 
-            if (!this.isPlaying || this.isPaused) {
-                return;
-            }
-
-            try {
-                // 播放木鱼声音（不等待）
-                await this.playAudio(event.type, true);
-
-                // 通知进度更新
-                this.notifySequenceProgress(i, event);
+        const draw = () => {
+            this.processDueEvents();
 
-                console.log(`木鱼 ${i + 1}/${muyuEvents.length} 播放完成`);
+            if (this.isPlaying && !this.isPaused) {
+                this.animationFrame = requestAnimationFrame(draw);
+            }
+        };
 
-            } catch (error) {
-                // 如果是因为播放被中断，退出序列
-                if (error.name === 'AbortError' && !this.isPlaying) {
-                    console.log('木鱼播放被正常中断，退出序列');
-                    return;
-                }
+        tick();
+        this.animationFrame = requestAnimationFrame(draw);
+    }
 
-                console.error(`木鱼播放失败 (${i + 1}):`, error);
-                // 其他错误继续播放下一个，不中断整个序列
-            }
+    /**
+     * 停止调度器和高亮循环
+     */
+    stopScheduler() {
+        if (this.schedulerTimer) {
+            clearTimeout(this.schedulerTimer);
+            this.schedulerTimer = null;
         }
 
-        // 所有木鱼播放完毕
-        console.log('木鱼序列播放完毕');
-        this.completePlayback();
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
     }
 
     /**
-     * 执行播放序列（旧方法，保留作为备用）
+     * 把落在调度窗口内的木鱼事件交给AudioContext
      */
-    async executeSequence() {
-        if (!this.currentSequence || this.sequenceIndex >= this.currentSequence.length) {
-            this.completePlayback();
+    scheduleAheadEvents() {
+        if (!this.isPlaying || this.isPaused || !this.audioContext) {
             return;
         }
 
-        const currentEvent = this.currentSequence[this.sequenceIndex];
+        const aheadTime = document.hidden
+            ? this.schedulerConfig.backgroundAheadTime
+            : this.schedulerConfig.scheduleAheadTime;
+        const horizon = this.audioContext.currentTime + aheadTime;
 
-        // 计算需要等待的时间（相对于序列开始时间）
-        const currentTime = Date.now();
-        const elapsedTime = currentTime - this.sequenceStartTime;
-        const waitTime = Math.max(0, currentEvent.delay - elapsedTime);
+        while (this.nextEventIndex < this.muyuEvents.length) {
+            const event = this.muyuEvents[this.nextEventIndex];
+            const time = this.getEventTime(event);
 
-        console.log(`事件 ${this.sequenceIndex}: ${currentEvent.type} (${currentEvent.description || ''}), 等待 ${waitTime}ms`);
+            if (time >= horizon) {
+                break;
+            }
 
-        // 等待到正确的时间点
-        if (waitTime > 0) {
-            await this.waitWithPauseSupport(waitTime);
+            // 记下这一击的音源，调整速度时可以撤回尚未发声的部分
+            const sources = [];
+            try {
+                // 节奏型中不敲的字只推进高亮
+                if (!event.silent) {
+                    sources.push(this.scheduleSound(event.type, time, event));
+                }
+                (event.cues || []).forEach(cue => {
+                    sources.push(this.scheduleSound(cue.sample, this.getEventTime(event, cue.offset), cue));
+                });
+            } catch (error) {
+                // 单个事件失败不中断整个序列
+                console.error(`木鱼排程失败 (${this.nextEventIndex + 1}):`, error);
+            }
+
+            this.scheduleQueue.push({ index: this.nextEventIndex, event, time, sources });
+            this.nextEventIndex++;
         }
+    }
 
-        if (!this.isPlaying || this.isPaused) {
+    /**
+     * 处理已经到点的事件：按同一时钟推进文字高亮
+     */
+    processDueEvents() {
+        if (!this.isPlaying || this.isPaused || !this.audioContext) {
             return;
         }
 
-        try {
-            // 播放音频（根据事件类型决定是否等待）
-            const noWait = currentEvent.noWait || false;
-            await this.playAudio(currentEvent.type, noWait);
+        const now = this.audioContext.currentTime;
 
-            // 通知进度更新
-            this.notifySequenceProgress(this.sequenceIndex, currentEvent);
-
-            // 移动到下一个事件
-            this.sequenceIndex++;
-
-            // 继续执行序列
-            await this.executeSequence();
+        while (this.scheduleQueue.length > 0 && this.scheduleQueue[0].time <= now) {
+            const note = this.scheduleQueue.shift();
+            this.sequenceIndex = note.index + 1;
+            this.notifySequenceProgress(note.index, note.event);
+        }
 
-        } catch (error) {
-            console.error('执行序列事件失败:', error);
-            throw error;
+        // 所有木鱼和其后的提示音都已发声
+        if (this.nextEventIndex >= this.muyuEvents.length && this.scheduleQueue.length === 0 && now >= this.getSequenceEndTime()) {
+            console.log('木鱼序列播放完毕');
+            this.completePlayback();
         }
     }
 
     /**
-     * 支持暂停的等待函数
+     * 撤回调度窗口中尚未到点的木鱼：停止其音源、移出队列，再按当前时间轴从第一个未到点的木鱼重新排程
      */
-    async waitWithPauseSupport(delay) {
-        return new Promise((resolve) => {
-            const startTime = Date.now();
-            let remainingDelay = delay;
-            
-            const checkAndWait = () => {
-                if (!this.isPlaying) {
-                    resolve();
-                    return;
-                }
-                
-                if (this.isPaused) {
-                    // 暂停状态，继续检查
-                    setTimeout(checkAndWait, 100);
-                    return;
-                }
-                
-                const elapsed = Date.now() - startTime;
-                remainingDelay = delay - elapsed;
-                
-                if (remainingDelay <= 0) {
-                    resolve();
-                } else {
-                    setTimeout(checkAndWait, Math.min(remainingDelay, 100));
-                }
-            };
-            
-            checkAndWait();
-        });
+    rescheduleFromNow() {
+        const now = this.audioContext.currentTime;
+        const firstPending = this.scheduleQueue.findIndex(note => note.time > now);
+        if (firstPending === -1) {
+            return;
+        }
+
+        const pending = this.scheduleQueue.splice(firstPending);
+        pending.forEach(note => note.sources.forEach(source => this.stopSource(source)));
+        this.nextEventIndex = pending[0].index;
+
+        this.scheduleAheadEvents();
     }
 
     /**
      * 暂停播放
+     * 挂起AudioContext会冻结其时钟，已排程的敲击在恢复后按原有间隔继续
      */
     pausePlayback() {
         if (this.isPlaying && !this.isPaused) {
             this.isPaused = true;
+            this.stopScheduler();
+
+            if (this.audioContext) {
+                this.audioContext.suspend().catch(error => {
+                    console.warn('挂起AudioContext失败:', error);
+                });
+            }
+
             this.notifyPlayStateChange(false);
             console.log('播放已暂停');
         }
@@ -513,13 +345,14 @@ export class AudioEngine {
             this.isPaused = false;
             this.notifyPlayStateChange(true);
             console.log('播放已恢复');
-            
-            // 继续执行序列
-            this.executeSequence().catch(error => {
-                console.error('恢复播放失败:', error);
-                this.handleError(error);
-                this.stopPlayback();
-            });
+
+            this.audioContext.resume()
+                .then(() => this.startScheduler())
+                .catch(error => {
+                    console.error('恢复播放失败:', error);
+                    this.handleError(error);
+                    this.stopPlayback();
+                });
         }
     }
 
@@ -529,244 +362,133 @@ export class AudioEngine {
     stopPlayback() {
         console.log('开始停止播放...');
 
+        const wasPaused = this.isPaused;
+
         this.isPlaying = false;
         this.isPaused = false;
+        this.stopScheduler();
+        this.stopScheduledSources();
+
         this.currentSequence = null;
         this.sequenceIndex = 0;
+        this.muyuEvents = [];
+        this.nextEventIndex = 0;
+        this.muyuStartTime = null;
+        this.scheduleQueue = [];
+
+        // 暂停时挂起的AudioContext需要恢复，以便下次播放
+        if (wasPaused && this.audioContext) {
+            this.audioContext.resume().catch(error => {
+                console.warn('恢复AudioContext失败:', error);
+            });
+        }
 
-        // 停止所有音频，并处理可能的错误
-        this.audioFiles.forEach((audio, key) => {
-            try {
-                if (!audio.paused) {
-                    audio.pause();
-                }
-                audio.currentTime = 0;
-                console.log(`已停止音频: ${key}`);
-            } catch (error) {
-                console.warn(`停止音频失败 (${key}):`, error);
-            }
-        });
+        // 先通知停止（保存阅读进度），再重置文本位置
+        this.notifyPlayStateChange(false);
 
         // 重置文本管理器
         if (this.textManager) {
             this.textManager.resetPosition();
         }
 
-        this.notifyPlayStateChange(false);
         console.log('播放已完全停止');
     }
 
     /**
-     * 重置播放状态
+     * 跳转到指定字符继续播放
+     * 丢弃已排程的敲击，把时间轴重新锚定到目标字符，不重复开始颂钵
      */
-    resetPlayback() {
-        this.stopPlayback();
-        
-        // 清除文本高亮
-        if (this.textManager) {
-            this.textManager.clearHighlight();
-            this.textManager.resetPosition();
+    seekToCharacter(charIndex) {
+        if (!this.isPlaying || !this.audioContext) {
+            return false;
         }
-        
-        console.log('播放状态已重置');
-    }
 
-    /**
-     * 切换播放/暂停状态
-     */
-    togglePlayback() {
-        if (!this.isPlaying) {
-            // 如果没有在播放，需要外部提供文本管理器来开始播放
-            console.warn('无法切换播放状态：需要先开始播放');
+        const targetIndex = this.findMuyuEventIndex(charIndex);
+        if (targetIndex === -1) {
+            console.warn('跳转位置之后没有可播放的字符:', charIndex);
             return false;
         }
-        
-        if (this.isPaused) {
-            this.resumePlayback();
-        } else {
-            this.pausePlayback();
-        }
-        
+
+        this.stopScheduledSources();
+        this.scheduleQueue = [];
+
+        // 暂停时AudioContext时钟冻结，恢复后从同一锚点继续
+        const anchorTime = this.audioContext.currentTime + this.schedulerConfig.startDelay;
+        const targetEvent = this.muyuEvents[targetIndex];
+        this.muyuStartTime = anchorTime - (targetEvent.delay / 1000) * (this.sequenceSpeed / this.playbackSpeed);
+        this.nextEventIndex = targetIndex;
+        this.sequenceIndex = targetIndex;
+
+        this.scheduleAheadEvents();
+
+        console.log(`已跳转到字符 ${charIndex}（木鱼 ${targetIndex + 1}/${this.muyuEvents.length}）`);
         return true;
     }
 
     /**
      * 动态调整播放速度（播放中调整）
+     * 以当前时刻为支点重新计算木鱼时间轴的起点，保证已播放部分不跳变；
+     * 调度窗口中已按旧速度排程的敲击撤回后按新速度重新排程
      */
     adjustPlaybackSpeed(oldSpeed, newSpeed) {
-        console.log(`尝试动态调整播放速度: ${oldSpeed}x → ${newSpeed}x`);
-        console.log('当前状态:', {
-            isPlaying: this.isPlaying,
-            muyuStartTime: this.muyuStartTime,
-            hasMuyuStartTime: !!this.muyuStartTime
-        });
-
-        if (!this.isPlaying) {
+        if (!this.isPlaying || this.muyuStartTime === null || !this.audioContext) {
             console.log('未在播放中，跳过速度调整');
             return;
         }
 
-        if (!this.muyuStartTime) {
-            console.log('木鱼尚未开始，跳过速度调整');
+        const currentTime = this.audioContext.currentTime;
+
+        // 颂钵阶段木鱼尚未开始，时间轴起点不受速度影响
+        if (currentTime <= this.muyuStartTime) {
+            console.log('木鱼尚未开始，新速度将从第一声木鱼生效');
+            this.rescheduleFromNow();
             return;
         }
 
-        console.log(`开始动态调整播放速度: ${oldSpeed}x → ${newSpeed}x`);
-
-        // 计算当前已播放的时间
-        const currentTime = Date.now();
         const elapsedTime = currentTime - this.muyuStartTime;
+        const adjustedElapsedTime = elapsedTime * (oldSpeed / newSpeed);
 
-        // 计算新的时间基准
-        // 根据新速度重新计算已播放的"逻辑时间"
-        const speedRatio = oldSpeed / newSpeed; // 修正比例计算
-        const adjustedElapsedTime = elapsedTime * speedRatio;
-
-        // 更新木鱼开始时间，使后续播放按新速度进行
         this.muyuStartTime = currentTime - adjustedElapsedTime;
+        this.rescheduleFromNow();
 
-        console.log(`播放速度调整完成，时间基准已更新`);
-        console.log('调整详情:', {
+        console.log('播放速度调整完成，时间基准已更新:', {
             elapsedTime,
-            speedRatio,
             adjustedElapsedTime,
             newMuyuStartTime: this.muyuStartTime
         });
     }
 
-    /**
-     * 设置循环播放
-     */
-    setLooping(isLooping) {
-        this.isLooping = isLooping;
-        console.log(`循环播放已${isLooping ? '开启' : '关闭'}`);
-    }
-
-    /**
-     * 设置播放速度
-     */
-    setPlaybackSpeed(speed) {
-        if (speed < 0.1 || speed > 10.0) {
-            console.warn('播放速度超出范围 (0.1-10.0):', speed);
-            return;
-        }
-
-        const oldSpeed = this.playbackSpeed;
-        this.playbackSpeed = speed;
-
-        // 更新当前播放中的音频速度
-        this.audioFiles.forEach(audio => {
-            audio.playbackRate = 1.0; // 保持音频本身的原始速度
-        });
-
-        console.log(`播放速度设置为: ${speed}x (从 ${oldSpeed}x)`);
-
-        // 如果正在播放，动态调整播放间隔，不重新开始
-        if (this.isPlaying) {
-            console.log('播放中速度改变，动态调整播放间隔...');
-            this.adjustPlaybackSpeed(oldSpeed, speed);
-        }
-    }
-
     /**
      * 完成播放
      */
     completePlayback() {
-        if (this.isLooping && this.textManager) {
-            // 循环播放：重新开始
+        if (this.textManager && this.prepareNextRound()) {
+            // 循环播放：在同一时钟上紧接着排程下一轮，调度器继续运行
             console.log('循环播放：重新开始播放序列');
 
+            const lastTime = this.muyuEvents.length > 0 ? this.getSequenceEndTime() : this.audioContext.currentTime;
+
             // 重置文本位置
             this.textManager.resetPosition();
 
-            // 重新开始播放
-            setTimeout(async () => {
-                try {
-                    await this.startPlayback(this.textManager);
-                } catch (error) {
-                    console.error('循环播放重新开始失败:', error);
-                    this.handleError(error);
-                    this.stopPlayback();
-                }
-            }, 1000); // 1秒间隔后重新开始
+            try {
+                const sequence = this.createRangeSequence(this.textManager.characters.length);
+                this.beginSequence(sequence, lastTime + this.schedulerConfig.loopGap);
+            } catch (error) {
+                console.error('循环播放重新开始失败:', error);
+                this.handleError(error);
+                this.stopPlayback();
+            }
 
         } else {
             // 正常结束播放
             this.isPlaying = false;
             this.isPaused = false;
+            this.stopScheduler();
+            this.muyuStartTime = null;
             this.notifyPlayStateChange(false);
             this.notifySequenceComplete();
             console.log('播放序列完成');
         }
     }
-
-    /**
-     * 通知播放状态变化
-     */
-    notifyPlayStateChange(isPlaying) {
-        if (this.onPlayStateChange) {
-            this.onPlayStateChange(isPlaying, this.isPaused);
-        }
-    }
-
-    /**
-     * 通知序列进度
-     */
-    notifySequenceProgress(index, event) {
-        // 如果事件包含字符索引，更新文本管理器的高亮
-        if (event.characterIndex !== undefined && this.textManager) {
-            this.textManager.highlightCharacter(event.characterIndex);
-        }
-        
-        if (this.onSequenceProgress) {
-            this.onSequenceProgress(index, event, this.currentSequence.length);
-        }
-    }
-
-    /**
-     * 通知序列完成
-     */
-    notifySequenceComplete() {
-        if (this.onSequenceComplete) {
-            this.onSequenceComplete();
-        }
-    }
-
-    /**
-     * 处理错误
-     */
-    handleError(error) {
-        if (this.onError) {
-            this.onError(error);
-        }
-    }
-
-    /**
-     * 获取播放状态
-     */
-    getPlaybackState() {
-        return {
-            isPlaying: this.isPlaying,
-            isPaused: this.isPaused,
-            speed: this.playbackSpeed,
-            sequenceIndex: this.sequenceIndex,
-            sequenceLength: this.currentSequence ? this.currentSequence.length : 0,
-            progress: this.currentSequence ? (this.sequenceIndex / this.currentSequence.length) * 100 : 0
-        };
-    }
-
-    /**
-     * 清理资源
-     */
-    dispose() {
-        this.stopPlayback();
-        
-        this.audioFiles.forEach(audio => {
-            audio.src = '';
-            audio.load();
-        });
-        
-        this.audioFiles.clear();
-        console.log('AudioEngine 资源已清理');
-    }
-}
\ No newline at end of file
+}
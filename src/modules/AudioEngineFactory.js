@@ -0,0 +1,54 @@
+/**
+ * 音频引擎工厂
+ * 根据用户设置或设备能力创建合适的音频引擎
+ */
+import { AudioEngine } from './AudioEngine.js';
+import WebAudioEngine from './WebAudioEngine.js';
+import { SilentAudioEngine } from './SilentAudioEngine.js';
+
+/**
+ * 可选的引擎类型及显示名称
+ */
+export const AUDIO_ENGINE_TYPES = {
+    auto: '自动',
+    scheduled: '精确调度',
+    compat: '兼容模式',
+    silent: '静音'
+};
+
+/**
+ * 根据设备能力选择引擎类型
+ */
+export function detectAudioEngineType() {
+    if (typeof window.AudioContext === 'function') {
+        return 'scheduled';
+    }
+
+    // 只有带前缀的旧版实现（早期iOS Safari）时，时钟在后台挂起后不可靠
+    if (typeof window.webkitAudioContext === 'function') {
+        return 'compat';
+    }
+
+    return 'silent';
+}
+
+/**
+ * 创建音频引擎
+ */
+export function createAudioEngine(type = 'auto') {
+    const resolvedType = type === 'auto' || !AUDIO_ENGINE_TYPES[type]
+        ? detectAudioEngineType()
+        : type;
+
+    console.log(`创建音频引擎: ${resolvedType} (设置: ${type})`);
+
+    switch (resolvedType) {
+        case 'compat':
+            return new WebAudioEngine();
+        case 'silent':
+            return new SilentAudioEngine();
+        case 'scheduled':
+        default:
+            return new AudioEngine();
+    }
+}
@@ -0,0 +1,860 @@
+/**
+ * 音频引擎基类
+ * 定义所有音频引擎共同遵守的接口：预加载、播放、暂停、恢复、跳转、速度和事件回调
+ *
+ * UIController 和 ExportManager 只依赖这里列出的方法和回调，
+ * 因此可以按设备能力或用户设置替换具体实现（见 AudioEngineFactory）。
+ *
+ * AudioContext 的创建和唤醒、音频预加载、发声和资源清理也在这里统一实现，
+ * 子类只负责如何按时间排程序列（提前排程或逐个定时触发）。
+ */
+import { audioAssets } from '../assets/audio/index.js';
+import { DEFAULT_CUE_RULES, normalizeCueRules, findCueRule, expandCueRule, createCue } from './CueRules.js';
+import { DEFAULT_TEMPO_PRESET, getPresetKeyframes, normalizeKeyframes, createTempoCurve } from './TempoCurves.js';
+import { RHYTHM_PATTERNS, DEFAULT_RHYTHM_PATTERN, createRhythm, getAccentOptions } from './RhythmPatterns.js';
+import { DEFAULT_PUNCTUATION_PAUSES, normalizePunctuationPauses, getPunctuationPause } from './PunctuationPauses.js';
+
+export class BaseAudioEngine {
+    constructor() {
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.isLooping = false;
+        this.playbackSpeed = 1.0;
+        this.currentSequence = null;
+        this.sequenceIndex = 0;
+        this.muyuEvents = [];
+        this.textManager = null;
+        this.getCharacterData = null;
+        this.cueRules = [...DEFAULT_CUE_RULES]; // 启用的法器提示规则（见 CueRules）
+        this.tempoKeyframes = getPresetKeyframes(DEFAULT_TEMPO_PRESET); // 速度曲线关键帧（见 TempoCurves）
+        this.rhythmPattern = DEFAULT_RHYTHM_PATTERN; // 节奏型（见 RhythmPatterns）
+        this.punctuationPauses = { ...DEFAULT_PUNCTUATION_PAUSES }; // 各类标点后的停顿拍数（见 PunctuationPauses）
+        this.playbackRange = null; // 只播放部分文字时的字符范围 { startIndex, endIndex }
+        this.rangeLoop = null;     // 范围重复设置 { repeat（0 为无限）, advance, round }
+        this.recitation = null;    // 计数诵读 { target, round, startRound, bowlBetween }
+
+        // 音频文件路径配置
+        this.audioConfig = {
+            muyu: audioAssets.muyu,
+            bowl: audioAssets.bowl
+        };
+
+        // 音频上下文、已解码的音频和已开始排程的音源
+        this.audioContext = null;
+        this.audioBuffers = new Map();
+        this.scheduledSources = new Set();
+        this.resumeAudioListener = null; // 等待用户交互唤醒 AudioContext 的监听
+
+        // 移动端检测
+        this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+
+        // 事件回调（所有引擎统一）
+        this.onPlayStateChange = null;   // (isPlaying, isPaused)
+        this.onSequenceProgress = null;  // (index, event, total)，event.characterIndex 为当前字符
+        this.onSequenceComplete = null;  // ()
+        this.onError = null;             // (error)
+        this.onLoopRoundChange = null;   // ({ range, round, repeat })，范围重复进入新一遍或下一段时
+        this.onRecitationProgress = null; // ({ round, target, completed, finished })，计数诵读开始和每遍完成时
+        this.onRoundComplete = null;     // ()，每完整播放一遍（含最后一遍）
+    }
+
+    /**
+     * 初始化AudioContext
+     * 移动端新建的 AudioContext 处于挂起状态，需等用户第一次点击或触摸时唤醒
+     */
+    async initializeAudioContext() {
+        if (this.audioContext) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            throw new Error('浏览器不支持 Web Audio API');
+        }
+
+        this.audioContext = new AudioContextClass();
+
+        if (this.audioContext.state === 'suspended') {
+            console.log('AudioContext被暂停，等待用户交互...');
+
+            this.resumeAudioListener = async () => {
+                // 用户主动暂停时不要被任意点击唤醒
+                if (this.isPaused || !this.audioContext) {
+                    return;
+                }
+                try {
+                    await this.audioContext.resume();
+                    this.removeResumeAudioListener();
+                    console.log('AudioContext已恢复');
+                } catch (error) {
+                    console.warn('恢复AudioContext失败:', error);
+                }
+            };
+
+            document.addEventListener('touchstart', this.resumeAudioListener);
+            document.addEventListener('click', this.resumeAudioListener);
+        }
+
+        console.log('AudioContext初始化完成');
+    }
+
+    /**
+     * 移除唤醒 AudioContext 的监听
+     */
+    removeResumeAudioListener() {
+        if (!this.resumeAudioListener) return;
+
+        document.removeEventListener('touchstart', this.resumeAudioListener);
+        document.removeEventListener('click', this.resumeAudioListener);
+        this.resumeAudioListener = null;
+    }
+
+    /**
+     * 确保AudioContext处于运行状态
+     */
+    async ensureContextRunning() {
+        await this.initializeAudioContext();
+
+        if (this.audioContext.state === 'suspended') {
+            try {
+                await this.audioContext.resume();
+            } catch (error) {
+                console.warn('恢复AudioContext失败:', error);
+            }
+        }
+    }
+
+    /**
+     * 预加载音频文件
+     * 单个文件失败时其余照常加载（播放时缺少的音频会报错并跳过），全部失败才抛错
+     */
+    async preloadAudioFiles() {
+        console.log('开始预加载音频文件...');
+
+        await this.initializeAudioContext();
+
+        const loadPromises = Object.entries(this.audioConfig).map(async ([key, url]) => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                const arrayBuffer = await response.arrayBuffer();
+                const audioBuffer = await this.decodeAudioData(arrayBuffer);
+
+                this.audioBuffers.set(key, audioBuffer);
+                console.log(`音频文件加载成功: ${key} (${audioBuffer.duration.toFixed(2)}s)`);
+
+                return { key, success: true };
+            } catch (error) {
+                console.error(`预加载音频失败 (${key}):`, error);
+                return { key, success: false, error };
+            }
+        });
+
+        const results = await Promise.all(loadPromises);
+        const successCount = results.filter(r => r.success).length;
+
+        console.log(`音频预加载完成: ${successCount}/${results.length} 个文件`);
+
+        if (successCount === 0) {
+            throw new Error('所有音频文件加载失败');
+        }
+
+        return results;
+    }
+
+    /**
+     * 解码音频数据（兼容旧版Safari的回调式API）
+     */
+    decodeAudioData(arrayBuffer) {
+        return new Promise((resolve, reject) => {
+            const result = this.audioContext.decodeAudioData(arrayBuffer, resolve, reject);
+            if (result && typeof result.then === 'function') {
+                result.then(resolve, reject);
+            }
+        });
+    }
+
+    /**
+     * 在指定的AudioContext时间点排程一个音频
+     * options.playbackRate 和 options.gain 用于提示音的变调和音量
+     */
+    scheduleSound(audioKey, when, options = {}) {
+        const audioBuffer = this.audioBuffers.get(audioKey);
+
+        if (!audioBuffer) {
+            throw new Error(`音频文件未找到: ${audioKey}`);
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.playbackRate.value = options.playbackRate || 1;
+
+        if (options.gain !== undefined && options.gain !== 1) {
+            const gainNode = this.audioContext.createGain();
+            gainNode.gain.value = options.gain;
+            source.connect(gainNode);
+            gainNode.connect(this.audioContext.destination);
+        } else {
+            source.connect(this.audioContext.destination);
+        }
+        source.onended = () => {
+            this.scheduledSources.delete(source);
+        };
+
+        source.start(Math.max(when, this.audioContext.currentTime));
+        this.scheduledSources.add(source);
+
+        return source;
+    }
+
+    /**
+     * 立即播放指定音频，noWait 为 false 时等待播放完毕
+     */
+    async playAudio(audioKey, noWait = false, options = {}) {
+        try {
+            await this.ensureContextRunning();
+
+            const source = this.scheduleSound(audioKey, this.audioContext.currentTime, options);
+            console.log(`播放音频: ${audioKey}${noWait ? ' (不等待完成)' : ''}`);
+
+            if (noWait) {
+                return;
+            }
+
+            // 等待音频播放完毕
+            await new Promise((resolve) => {
+                source.addEventListener('ended', resolve, { once: true });
+            });
+        } catch (error) {
+            console.error(`播放音频失败 (${audioKey}):`, error);
+            this.handleError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * 停止所有已排程的音频
+     */
+    stopScheduledSources() {
+        this.scheduledSources.forEach(source => this.stopSource(source));
+        this.scheduledSources.clear();
+    }
+
+    /**
+     * 停止单个音源
+     */
+    stopSource(source) {
+        try {
+            source.onended = null;
+            source.stop();
+        } catch (error) {
+            // 尚未开始或已经结束的音源会抛错，忽略即可
+        }
+        this.scheduledSources.delete(source);
+    }
+
+    /**
+     * 开始播放序列
+     */
+    async startPlaybackSequence(sequence) {
+        throw new Error(`${this.constructor.name} 未实现 startPlaybackSequence()`);
+    }
+
+    /**
+     * 暂停播放
+     */
+    pausePlayback() {
+        throw new Error(`${this.constructor.name} 未实现 pausePlayback()`);
+    }
+
+    /**
+     * 恢复播放
+     */
+    resumePlayback() {
+        throw new Error(`${this.constructor.name} 未实现 resumePlayback()`);
+    }
+
+    /**
+     * 停止播放
+     */
+    stopPlayback() {
+        throw new Error(`${this.constructor.name} 未实现 stopPlayback()`);
+    }
+
+    /**
+     * 跳转到指定字符继续播放，返回是否跳转成功
+     */
+    seekToCharacter(charIndex) {
+        throw new Error(`${this.constructor.name} 未实现 seekToCharacter()`);
+    }
+
+    /**
+     * 播放速度变化时调整正在进行的播放（子类按需覆盖）
+     */
+    adjustPlaybackSpeed(oldSpeed, newSpeed) {
+    }
+
+    /**
+     * 获取已解码的音频（不支持的引擎返回 null）
+     */
+    getAudioBuffer(audioKey) {
+        return this.audioBuffers.get(audioKey) || null;
+    }
+
+    /**
+     * 创建播放序列（只为文字字符创建木鱼声）
+     * 文中的法器提示和启用的提示规则会作为 cues 附加在对应的木鱼事件上，
+     * offset 为相对该木鱼的延迟（毫秒），规则插入的停顿会顺延之后的木鱼
+     * 每一击的间隔由播放速度乘以速度曲线在该字处的倍数决定
+     * 节奏型决定哪些字发声（silent 的事件只推进高亮）、加击和重拍的音量音高
+     * 字后紧跟的标点按类型追加停顿，与句末休止、提示规则的停顿相加
+     */
+    createPlaybackSequence(textLength) {
+        console.log(`开始创建播放序列，文本长度: ${textLength}, 播放速度: ${this.playbackSpeed}x`);
+
+        const sequence = [];
+
+        // 计算基础间隔（根据播放速度调整）
+        const baseInterval = 1000 / this.playbackSpeed;
+
+        // 第一步：播放开始颂钵
+        sequence.push({
+            type: 'bowl',
+            delay: 0,
+            description: '开始颂钵',
+            noWait: false, // 等待颂钵播放完毕
+            isStartBowl: true
+        });
+
+        // 第二步：创建木鱼播放序列
+        // 只为文字字符创建木鱼声，跳过标点符号
+        const strikeIndexes = [];
+        for (let i = 0; i < textLength; i++) {
+            // 获取字符信息
+            const charData = this.getCharacterData ? this.getCharacterData(i) : null;
+
+            // 只为非标点符号字符创建木鱼声
+            if (!charData || (!charData.isPunctuation && !charData.isSpace)) {
+                strikeIndexes.push(i);
+            }
+        }
+
+        const tempoAt = createTempoCurve(this.tempoKeyframes, textLength);
+        const rhythm = createRhythm(this.rhythmPattern);
+        let muyuIndex = 0;
+        let delay = 0; // 相对于木鱼开始时间的延迟，包含提示规则插入的停顿
+        strikeIndexes.forEach((i, n) => {
+            const charData = this.getCharacterData ? this.getCharacterData(i) : null;
+            const nextCharData = n + 1 < strikeIndexes.length && this.getCharacterData
+                ? this.getCharacterData(strikeIndexes[n + 1])
+                : null;
+
+            // 本字到下一击的间隔
+            const interval = baseInterval / tempoAt(i);
+
+            // 节奏型：本字是否敲击，半拍处的加击作为提示音附加
+            const { strikes, rest } = rhythm(charData, nextCharData);
+            const [strike, ...extraStrikes] = strikes;
+
+            // 文中标注的法器与本字同时敲响
+            const cues = (charData && charData.cues ? charData.cues : [])
+                .map(sound => createCue(sound, 0, interval))
+                .filter(Boolean);
+
+            extraStrikes.forEach(extra => {
+                cues.push({
+                    ...createCue('muyu', extra.beat, interval),
+                    ...getAccentOptions(this.rhythmPattern, extra.accented)
+                });
+            });
+
+            // 句末、段末、品末等位置按规则追加提示音，与句末休止取较长者
+            let pause = rest;
+            const rule = findCueRule(this.cueRules, charData, nextCharData);
+            if (rule) {
+                const expanded = expandCueRule(rule, interval);
+                cues.push(...expanded.cues);
+                pause = Math.max(pause, expanded.pause);
+            }
+
+            // 本字与下一击之间的标点
+            const nextStrikeIndex = n + 1 < strikeIndexes.length ? strikeIndexes[n + 1] : textLength;
+            pause += this.getPunctuationPauseAfter(i, nextStrikeIndex);
+
+            sequence.push({
+                type: 'muyu',
+                delay,
+                characterIndex: i,
+                description: `木鱼 ${muyuIndex + 1}`,
+                noWait: true, // 不等待木鱼播放完毕
+                isMuyu: true,
+                silent: !strike,
+                ...getAccentOptions(this.rhythmPattern, strike && strike.accented),
+                cues
+            });
+            muyuIndex++;
+            delay += interval * (1 + pause);
+        });
+
+        // 记录序列创建时的速度，播放时据此换算当前速度下的时间
+        sequence.speed = this.playbackSpeed;
+
+        sequence.tail = this.getSequenceTail(sequence);
+
+        console.log(`播放序列创建完成: ${sequence.length} 个事件，实际木鱼数: ${muyuIndex}，木鱼间隔: ${baseInterval.toFixed(1)}ms`);
+        console.log('序列预览:', sequence.slice(0, 3).map(s => `${s.description}@${s.delay}ms`));
+        return sequence;
+    }
+
+    /**
+     * 两次敲击之间（不含两端）的标点停顿拍数
+     */
+    getPunctuationPauseAfter(fromIndex, toIndex) {
+        if (!this.getCharacterData) {
+            return 0;
+        }
+
+        const chars = [];
+        for (let i = fromIndex + 1; i < toIndex; i++) {
+            const charData = this.getCharacterData(i);
+            if (charData && charData.isPunctuation) {
+                chars.push(charData.char);
+            }
+        }
+        return getPunctuationPause(this.punctuationPauses, chars);
+    }
+
+    /**
+     * 计算最后一个木鱼之后还要敲响的提示音时长（毫秒），循环和结束需等待其完成
+     */
+    getSequenceTail(sequence) {
+        const lastEvent = sequence[sequence.length - 1];
+        return lastEvent && lastEvent.isMuyu && lastEvent.cues
+            ? Math.max(0, ...lastEvent.cues.map(cue => cue.offset))
+            : 0;
+    }
+
+    /**
+     * 创建本轮要播放的序列：只保留播放范围内的木鱼，并从起始字开始
+     * 循环播放的每一轮都从范围开头开始
+     */
+    createRangeSequence(textLength, startIndex = 0) {
+        const sequence = this.createPlaybackSequence(textLength);
+        const range = this.playbackRange;
+
+        if (range) {
+            for (let i = sequence.length - 1; i >= 0; i--) {
+                if (sequence[i].isMuyu && sequence[i].characterIndex > range.endIndex) {
+                    sequence.splice(i, 1);
+                }
+            }
+            sequence.tail = this.getSequenceTail(sequence);
+        }
+
+        if (this.recitation) {
+            this.applyRecitationCues(sequence);
+        }
+
+        const fromIndex = Math.max(startIndex || 0, range ? range.startIndex : 0);
+        if (fromIndex > 0) {
+            const startEventIndex = sequence
+                .filter(event => event.isMuyu)
+                .findIndex(event => event.characterIndex >= fromIndex);
+            sequence.startEventIndex = Math.max(0, startEventIndex);
+        }
+
+        return sequence;
+    }
+
+    /**
+     * 计数诵读：第二遍起按设置省去开始颂钵，最后一遍结束时鸣钟
+     */
+    applyRecitationCues(sequence) {
+        const recitation = this.recitation;
+
+        if (recitation.round > recitation.startRound && !recitation.bowlBetween) {
+            const bowlIndex = sequence.findIndex(event => event.isStartBowl);
+            if (bowlIndex !== -1) {
+                sequence.splice(bowlIndex, 1);
+            }
+        }
+
+        const lastEvent = sequence[sequence.length - 1];
+        if (recitation.round >= recitation.target && lastEvent && lastEvent.isMuyu) {
+            const bell = createCue('bell', 1, 1000 / this.playbackSpeed);
+            bell.offset += sequence.tail;
+            lastEvent.cues = [...(lastEvent.cues || []), bell];
+            sequence.tail = this.getSequenceTail(sequence);
+        }
+    }
+
+    /**
+     * 播放中修改计数诵读的目标遍数和遍间颂钵（目标不小于当前遍数）
+     */
+    updateRecitation(options) {
+        if (!this.recitation) {
+            return;
+        }
+
+        if (options.target > 0) this.recitation.target = Math.max(options.target, this.recitation.round);
+        if (options.bowlBetween !== undefined) this.recitation.bowlBetween = !!options.bowlBetween;
+        this.notifyRecitationProgress(this.recitation.round - 1);
+    }
+
+    /**
+     * 播放中修改范围重复的遍数和“进入下一段”选项
+     */
+    updateRangeLoop(options) {
+        if (!this.rangeLoop) {
+            return;
+        }
+
+        if (options.repeat !== undefined) this.rangeLoop.repeat = options.repeat;
+        if (options.advance !== undefined) this.rangeLoop.advance = !!options.advance;
+        this.notifyLoopRoundChange();
+    }
+
+    /**
+     * 取消范围重复，本轮结束后按全文播放（或结束）
+     */
+    clearRangeLoop() {
+        this.rangeLoop = null;
+        this.playbackRange = null;
+        this.notifyLoopRoundChange();
+    }
+
+    /**
+     * 一轮播放结束后决定是否继续
+     * 范围重复按遍数计数，完成后可进入下一段；否则按循环播放开关
+     * 返回 true 时 playbackRange 已是下一轮要播放的范围
+     */
+    prepareNextRound() {
+        this.notifyRoundComplete();
+
+        if (!this.rangeLoop) {
+            return this.recitation ? this.prepareNextRecitationRound() : this.isLooping;
+        }
+
+        const loop = this.rangeLoop;
+        if (loop.repeat === 0 || loop.round < loop.repeat) {
+            loop.round++;
+            this.notifyLoopRoundChange();
+            return true;
+        }
+
+        const nextRange = loop.advance && this.textManager && this.textManager.getNextRange
+            ? this.textManager.getNextRange(this.playbackRange)
+            : null;
+        if (nextRange) {
+            console.log(`范围重复完成，进入下一段: ${nextRange.startIndex}-${nextRange.endIndex}`);
+            this.playbackRange = nextRange;
+            loop.round = 1;
+            this.notifyLoopRoundChange();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * 计数诵读一遍结束：记一遍，未达到目标时继续下一遍
+     */
+    prepareNextRecitationRound() {
+        const recitation = this.recitation;
+        const completed = recitation.round;
+
+        if (completed < recitation.target) {
+            recitation.round++;
+            this.notifyRecitationProgress(completed);
+            return true;
+        }
+
+        console.log(`计数诵读圆满: ${completed} 遍`);
+        this.notifyRecitationProgress(completed);
+        return false;
+    }
+
+    /**
+     * 开始文本播放
+     * options.startIndex 指定从哪个字开始（开始颂钵照常敲响）
+     * options.range 指定只播放的字符范围 { startIndex, endIndex }
+     * options.repeat 指定范围重复遍数（0 为无限），options.advance 为重复完成后是否进入下一段
+     * options.recitation 开启计数诵读 { target, bowlBetween, startRound }
+     */
+    async startPlayback(textManager, options = {}) {
+        if (!textManager || !textManager.characters || textManager.characters.length === 0) {
+            const error = new Error('无效的文本管理器或空文本');
+            this.handleError(error);
+            throw error;
+        }
+
+        this.bindTextManager(textManager);
+
+        this.playbackRange = options.range || null;
+        this.rangeLoop = options.range && options.repeat !== undefined
+            ? { repeat: options.repeat, advance: !!options.advance, round: 1 }
+            : null;
+        this.notifyLoopRoundChange();
+
+        const recitation = !this.rangeLoop && options.recitation && options.recitation.target > 0
+            ? options.recitation
+            : null;
+        const startRound = recitation ? Math.min(Math.max(1, recitation.startRound || 1), recitation.target) : 1;
+        this.recitation = recitation ? {
+            target: recitation.target,
+            round: startRound,
+            startRound,
+            bowlBetween: !!recitation.bowlBetween
+        } : null;
+        if (this.recitation) {
+            this.notifyRecitationProgress(startRound - 1);
+        }
+
+        // 创建播放序列（现在会跳过标点符号）
+        const sequence = this.createRangeSequence(textManager.characters.length, options.startIndex);
+
+        // 开始播放序列
+        await this.startPlaybackSequence(sequence);
+    }
+
+    /**
+     * 绑定文本管理器，序列构建时据此读取字符信息
+     */
+    bindTextManager(textManager) {
+        this.textManager = textManager;
+
+        // 设置字符数据获取方法
+        this.getCharacterData = (index) => {
+            return textManager.characters && textManager.characters[index] ? textManager.characters[index] : null;
+        };
+    }
+
+    /**
+     * 查找第一个不早于指定字符的木鱼事件下标
+     */
+    findMuyuEventIndex(charIndex) {
+        return this.muyuEvents.findIndex(event => event.characterIndex >= charIndex);
+    }
+
+    /**
+     * 重置播放状态
+     */
+    resetPlayback() {
+        this.stopPlayback();
+
+        // 清除文本高亮
+        if (this.textManager) {
+            this.textManager.clearHighlight();
+            this.textManager.resetPosition();
+        }
+
+        console.log('播放状态已重置');
+    }
+
+    /**
+     * 切换播放/暂停状态
+     */
+    togglePlayback() {
+        if (!this.isPlaying) {
+            // 如果没有在播放，需要外部提供文本管理器来开始播放
+            console.warn('无法切换播放状态：需要先开始播放');
+            return false;
+        }
+
+        if (this.isPaused) {
+            this.resumePlayback();
+        } else {
+            this.pausePlayback();
+        }
+
+        return true;
+    }
+
+    /**
+     * 设置启用的法器提示规则，下一次创建序列时生效
+     */
+    setCueRules(ruleIds) {
+        this.cueRules = normalizeCueRules(ruleIds);
+        console.log('法器提示规则:', this.cueRules);
+    }
+
+    /**
+     * 设置速度曲线关键帧，下一次创建序列时生效
+     */
+    setTempoCurve(keyframes) {
+        this.tempoKeyframes = normalizeKeyframes(keyframes);
+        console.log('速度曲线:', this.tempoKeyframes);
+    }
+
+    /**
+     * 设置节奏型，下一次创建序列时生效
+     */
+    setRhythmPattern(patternId) {
+        this.rhythmPattern = RHYTHM_PATTERNS[patternId] ? patternId : DEFAULT_RHYTHM_PATTERN;
+        console.log('节奏型:', this.rhythmPattern);
+    }
+
+    /**
+     * 设置各类标点的停顿拍数，下一次创建序列时生效
+     */
+    setPunctuationPauses(pauses) {
+        this.punctuationPauses = normalizePunctuationPauses(pauses);
+        console.log('标点停顿:', this.punctuationPauses);
+    }
+
+    /**
+     * 设置循环播放
+     */
+    setLooping(isLooping) {
+        this.isLooping = isLooping;
+        console.log(`循环播放已${isLooping ? '开启' : '关闭'}`);
+    }
+
+    /**
+     * 设置播放速度
+     */
+    setPlaybackSpeed(speed) {
+        if (speed < 0.1 || speed > 10.0) {
+            console.warn('播放速度超出范围 (0.1-10.0):', speed);
+            return;
+        }
+
+        const oldSpeed = this.playbackSpeed;
+        this.playbackSpeed = speed;
+
+        console.log(`播放速度设置为: ${speed}x (从 ${oldSpeed}x)`);
+
+        // 如果正在播放，动态调整播放间隔，不重新开始
+        if (this.isPlaying) {
+            this.adjustPlaybackSpeed(oldSpeed, speed);
+        }
+    }
+
+    /**
+     * 设置回调函数
+     */
+    setCallbacks(callbacks) {
+        if (callbacks.onPlayStateChange) this.onPlayStateChange = callbacks.onPlayStateChange;
+        if (callbacks.onSequenceProgress) this.onSequenceProgress = callbacks.onSequenceProgress;
+        if (callbacks.onSequenceComplete) this.onSequenceComplete = callbacks.onSequenceComplete;
+        if (callbacks.onError) this.onError = callbacks.onError;
+        if (callbacks.onLoopRoundChange) this.onLoopRoundChange = callbacks.onLoopRoundChange;
+        if (callbacks.onRecitationProgress) this.onRecitationProgress = callbacks.onRecitationProgress;
+        if (callbacks.onRoundComplete) this.onRoundComplete = callbacks.onRoundComplete;
+    }
+
+    /**
+     * 通知计数诵读进度，completed 为已完成的遍数
+     */
+    notifyRecitationProgress(completed) {
+        if (!this.onRecitationProgress || !this.recitation) {
+            return;
+        }
+
+        this.onRecitationProgress({
+            round: this.recitation.round,
+            target: this.recitation.target,
+            completed,
+            finished: completed >= this.recitation.target
+        });
+    }
+
+    /**
+     * 通知范围重复的遍数或范围变化（没有范围重复时传 null）
+     */
+    notifyLoopRoundChange() {
+        if (!this.onLoopRoundChange) {
+            return;
+        }
+
+        this.onLoopRoundChange(this.rangeLoop ? {
+            range: { ...this.playbackRange },
+            round: this.rangeLoop.round,
+            repeat: this.rangeLoop.repeat
+        } : null);
+    }
+
+    /**
+     * 通知完成一遍播放
+     */
+    notifyRoundComplete() {
+        if (this.onRoundComplete) {
+            this.onRoundComplete();
+        }
+    }
+
+    /**
+     * 通知播放状态变化
+     */
+    notifyPlayStateChange(isPlaying) {
+        if (this.onPlayStateChange) {
+            this.onPlayStateChange(isPlaying, this.isPaused);
+        }
+    }
+
+    /**
+     * 通知序列进度
+     */
+    notifySequenceProgress(index, event) {
+        // 如果事件包含字符索引，更新文本管理器的高亮
+        if (event.characterIndex !== undefined && this.textManager) {
+            this.textManager.highlightCharacter(event.characterIndex);
+        }
+
+        if (this.onSequenceProgress) {
+            this.onSequenceProgress(index, event, this.muyuEvents.length);
+        }
+    }
+
+    /**
+     * 通知序列完成
+     */
+    notifySequenceComplete() {
+        if (this.onSequenceComplete) {
+            this.onSequenceComplete();
+        }
+    }
+
+    /**
+     * 处理错误
+     */
+    handleError(error) {
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * 获取播放状态
+     */
+    getPlaybackState() {
+        const total = this.muyuEvents.length;
+
+        return {
+            isPlaying: this.isPlaying,
+            isPaused: this.isPaused,
+            speed: this.playbackSpeed,
+            sequenceIndex: this.sequenceIndex,
+            sequenceLength: total,
+            progress: total ? (this.sequenceIndex / total) * 100 : 0
+        };
+    }
+
+    /**
+     * 清理资源：停止播放，关闭AudioContext并释放已解码的音频
+     */
+    dispose() {
+        this.stopPlayback();
+        this.stopScheduledSources();
+        this.removeResumeAudioListener();
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        this.audioBuffers.clear();
+        console.log(`${this.constructor.name} 资源已清理`);
+    }
+}
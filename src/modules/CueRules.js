@@ -0,0 +1,152 @@
+/**
+ * 法器提示规则
+ * 描述在诵读的哪些位置敲响颂钵、鸣钟，由序列构建器转换为附加在木鱼事件上的提示音
+ *
+ * 规则以“拍”为单位（一拍 = 一个木鱼间隔），因此会随播放速度等比缩放。
+ */
+
+/**
+ * 提示音定义：复用现有的 bowl.wav 和 muyu.wav，通过变调区分钟声
+ */
+export const CUE_SOUNDS = {
+    bowl: { label: '磬', sample: 'bowl', playbackRate: 1.0, gain: 1.0 },
+    bell: { label: '钟', sample: 'bowl', playbackRate: 0.6, gain: 1.0 },  // 降调后更低沉、余音更长
+    muyu: { label: '木鱼', sample: 'muyu', playbackRate: 1.0, gain: 1.0 }
+};
+
+/**
+ * 可选规则，priority 越大越优先；同一个字只应用优先级最高的一条规则
+ *   trigger  触发位置：line-end 句末 / section-end 偈颂或咒语结束 / chapter-end 品末 / completion 全文结束
+ *   count    连续敲击次数
+ *   spacing  连续敲击之间的拍数
+ *   pause    触发后插入的停顿拍数，之后的文字相应顺延
+ */
+export const CUE_RULES = {
+    lineBowl: {
+        label: '每句后一磬',
+        trigger: 'line-end',
+        sound: 'bowl',
+        count: 1,
+        spacing: 0,
+        pause: 1,
+        priority: 1
+    },
+    sectionBowl: {
+        label: '偈颂、咒语结束一磬',
+        trigger: 'section-end',
+        sound: 'bowl',
+        count: 1,
+        spacing: 0,
+        pause: 2,
+        priority: 2
+    },
+    chapterBell: {
+        label: '每品结束鸣钟',
+        trigger: 'chapter-end',
+        sound: 'bell',
+        count: 1,
+        spacing: 0,
+        pause: 3,
+        priority: 3
+    },
+    completionBowls: {
+        label: '圆满三磬',
+        trigger: 'completion',
+        sound: 'bowl',
+        count: 3,
+        spacing: 2,
+        pause: 0,
+        priority: 4
+    }
+};
+
+/**
+ * 默认启用的规则
+ */
+export const DEFAULT_CUE_RULES = ['chapterBell', 'completionBowls'];
+
+/**
+ * 过滤掉未知的规则ID
+ */
+export function normalizeCueRules(ruleIds) {
+    if (!Array.isArray(ruleIds)) {
+        return [...DEFAULT_CUE_RULES];
+    }
+    return ruleIds.filter(ruleId => CUE_RULES[ruleId]);
+}
+
+/**
+ * 字所在的原始行（句），句末按原始行判断，不受显示分行影响
+ */
+export function getSourceLine(charData) {
+    return charData.sourceLineIndex !== undefined ? charData.sourceLineIndex : charData.lineIndex;
+}
+
+/**
+ * 判断一个字是否处于某种边界
+ * next 为下一个会敲木鱼的字，没有时表示全文结束
+ */
+function matchesTrigger(trigger, charData, next) {
+    switch (trigger) {
+        case 'completion':
+            return !next;
+        case 'chapter-end':
+            return !!next && next.chapterIndex !== charData.chapterIndex;
+        case 'section-end':
+            return (charData.sectionType === 'gatha' || charData.sectionType === 'mantra') &&
+                (!next || next.chapterIndex !== charData.chapterIndex || next.sectionIndex !== charData.sectionIndex);
+        case 'line-end':
+            return !next || getSourceLine(next) !== getSourceLine(charData);
+        default:
+            return false;
+    }
+}
+
+/**
+ * 找出对指定字生效的规则（没有则返回 null）
+ */
+export function findCueRule(ruleIds, charData, next) {
+    if (!charData) {
+        return null;
+    }
+
+    return ruleIds
+        .map(ruleId => CUE_RULES[ruleId])
+        .filter(rule => rule && matchesTrigger(rule.trigger, charData, next))
+        .sort((a, b) => b.priority - a.priority)[0] || null;
+}
+
+/**
+ * 生成提示音事件
+ * beat 为相对当前字的拍数偏移，interval 为一拍的毫秒数
+ */
+export function createCue(soundId, beat, interval) {
+    const sound = CUE_SOUNDS[soundId];
+    if (!sound) {
+        return null;
+    }
+
+    return {
+        sound: soundId,
+        sample: sound.sample,
+        playbackRate: sound.playbackRate,
+        gain: sound.gain,
+        offset: beat * interval
+    };
+}
+
+/**
+ * 把规则展开为提示音事件，并返回需要插入的停顿拍数
+ * 第一声在当前字之后一拍敲响
+ */
+export function expandCueRule(rule, interval) {
+    const cues = [];
+    for (let i = 0; i < rule.count; i++) {
+        cues.push(createCue(rule.sound, 1 + i * rule.spacing, interval));
+    }
+
+    return {
+        cues,
+        pause: Math.max(rule.pause, (rule.count - 1) * rule.spacing)
+    };
+}
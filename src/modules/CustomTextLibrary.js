@@ -0,0 +1,165 @@
+/**
+ * 自定义文本库
+ * 在 StorageManager 的自定义文本存储之上提供新建、重命名、复制、删除、搜索和分类标签，
+ * 文本在经典选择中以 "custom:<id>" 的形式出现，进度和计数也按这个标识保存。
+ */
+
+export const CUSTOM_TEXT_PREFIX = 'custom:';
+
+/**
+ * 文本在经典选择和进度记录中使用的标识
+ */
+export function toLibraryId(textId) {
+    return CUSTOM_TEXT_PREFIX + textId;
+}
+
+/**
+ * 从经典选择的值中取出文本ID，不是文本库中的文本时返回 null
+ */
+export function parseLibraryId(value) {
+    return typeof value === 'string' && value.startsWith(CUSTOM_TEXT_PREFIX)
+        ? value.slice(CUSTOM_TEXT_PREFIX.length)
+        : null;
+}
+
+/**
+ * 把逗号、空格分隔的标签文本整理为去重后的数组
+ */
+export function parseTags(text) {
+    const tags = Array.isArray(text) ? text : String(text || '').split(/[,，、\s]+/);
+    return [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * 补全存储记录中缺省的字段
+ */
+function normalizeText(id, text) {
+    return {
+        id,
+        title: text.title || '自定义文本',
+        category: text.category || '',
+        tags: parseTags(text.tags),
+        content: text.content || '',
+        format: text.format || 'text',
+        createdAt: text.createdAt || 0,
+        updatedAt: text.updatedAt || 0
+    };
+}
+
+export class CustomTextLibrary {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+    }
+
+    /**
+     * 生成新的文本ID
+     */
+    createId() {
+        return `text-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * 列出文本（最近修改的在前），可按关键词、分类和标签筛选
+     * 关键词匹配标题、分类、标签和正文
+     */
+    list(filters = {}) {
+        const query = (filters.query || '').trim().toLowerCase();
+
+        return Object.entries(this.storageManager.getAllCustomTexts())
+            .map(([id, text]) => normalizeText(id, text))
+            .filter(text => !filters.category || text.category === filters.category)
+            .filter(text => !filters.tag || text.tags.includes(filters.tag))
+            .filter(text => !query || [text.title, text.category, ...text.tags, text.content]
+                .some(field => field.toLowerCase().includes(query)))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 获取单个文本
+     */
+    get(textId) {
+        const text = this.storageManager.loadCustomText(textId);
+        return text ? normalizeText(textId, text) : null;
+    }
+
+    /**
+     * 所有用到的分类
+     */
+    getCategories() {
+        return [...new Set(this.list().map(text => text.category).filter(Boolean))].sort();
+    }
+
+    /**
+     * 所有用到的标签
+     */
+    getTags() {
+        return [...new Set(this.list().flatMap(text => text.tags))].sort();
+    }
+
+    /**
+     * 新建文本，返回文本ID（保存失败时为 null）
+     * format 为 sutra 时正文按经文标记解析（见 SutraDocument），否则按每行一句的纯文本
+     */
+    create({ title, content, category = '', tags = [], format = 'text' }) {
+        const textId = this.createId();
+        const saved = this.storageManager.saveCustomText(textId, {
+            title: (title || '').trim() || '自定义文本',
+            content,
+            category: category.trim(),
+            tags: parseTags(tags),
+            format
+        });
+        return saved ? textId : null;
+    }
+
+    /**
+     * 修改标题、分类、标签或正文
+     */
+    update(textId, changes) {
+        const text = this.storageManager.loadCustomText(textId);
+        if (!text) {
+            return false;
+        }
+
+        return this.storageManager.saveCustomText(textId, {
+            ...text,
+            ...changes,
+            title: changes.title !== undefined ? (changes.title.trim() || text.title) : text.title,
+            tags: changes.tags !== undefined ? parseTags(changes.tags) : text.tags
+        });
+    }
+
+    /**
+     * 复制文本（不复制进度），返回新文本ID
+     */
+    duplicate(textId) {
+        const text = this.get(textId);
+        if (!text) {
+            return null;
+        }
+
+        return this.create({
+            title: `${text.title}（副本）`,
+            content: text.content,
+            category: text.category,
+            tags: text.tags,
+            format: text.format
+        });
+    }
+
+    /**
+     * 删除文本及其阅读进度
+     */
+    remove(textId) {
+        this.storageManager.clearProgress(toLibraryId(textId));
+        return this.storageManager.deleteCustomText(textId);
+    }
+
+    /**
+     * 文本的阅读进度百分比（没有记录时为 0）
+     */
+    getProgress(textId) {
+        const progress = this.storageManager.loadProgress(toLibraryId(textId));
+        return progress ? progress.percentage || 0 : 0;
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * 备份恢复
+ * 比较当前数据和备份数据（均为 DataMigrations 中的数据快照），得出导入后各项的值和变化说明，
+ * 预览和实际导入使用同一份结果。
+ *
+ * 导入方式：
+ *   replace  备份中有的项整项覆盖
+ *   merge    合并自定义文本和修行记录，进度取更靠后的，计数取累计更多的；设置和偏好沿用当前
+ */
+
+export const IMPORT_STRATEGIES = {
+    merge: '合并（保留现有数据）',
+    replace: '覆盖（以备份为准）'
+};
+
+const FIELD_LABELS = {
+    settings: '设置',
+    preferences: '偏好设置',
+    progress: '阅读进度',
+    customTexts: '自定义文本',
+    recitation: '计数诵读',
+    practiceLog: '修行记录'
+};
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * 比较两个以 ID 为键的对象：新增、修改、删除的数量
+ */
+function compareEntries(current = {}, next = {}) {
+    const ids = new Set([...Object.keys(current), ...Object.keys(next)]);
+    const counts = { added: 0, updated: 0, removed: 0 };
+
+    ids.forEach(id => {
+        if (!(id in current)) counts.added++;
+        else if (!(id in next)) counts.removed++;
+        else if (!isSame(current[id], next[id])) counts.updated++;
+    });
+
+    return counts;
+}
+
+/**
+ * 把新增/修改/删除数量写成说明文字
+ */
+function describeCounts(counts, unit) {
+    const parts = [];
+    if (counts.added) parts.push(`新增 ${counts.added} ${unit}`);
+    if (counts.updated) parts.push(`更新 ${counts.updated} ${unit}`);
+    if (counts.removed) parts.push(`删除 ${counts.removed} ${unit}`);
+    return parts.join('，');
+}
+
+/**
+ * 设置类的项：列出变化的字段数
+ */
+function describeSettings(current, next) {
+    const keys = new Set([...Object.keys(current || {}), ...Object.keys(next || {})]);
+    keys.delete('lastUpdated');
+    const changed = [...keys].filter(key => !isSame((current || {})[key], (next || {})[key]));
+    return changed.length ? `${changed.length} 项设置改变` : '';
+}
+
+/**
+ * 比较两条进度谁读得更靠后：两条都有字符位置时比字符位置，否则比百分比
+ * （旧版保存的字符位置总是 0），都相同时以保存时间较晚的为准
+ */
+function compareProgress(a, b) {
+    const hasIndex = a.characterIndex > 0 && b.characterIndex > 0;
+    const difference = hasIndex
+        ? a.characterIndex - b.characterIndex
+        : (a.percentage || 0) - (b.percentage || 0);
+    return difference || ((a.timestamp || 0) - (b.timestamp || 0));
+}
+
+/**
+ * 合并进度：每部经保留读到更靠后的一条
+ */
+function mergeProgress(current = {}, incoming = {}) {
+    const merged = { ...current };
+    Object.entries(incoming).forEach(([sutraId, progress]) => {
+        const existing = merged[sutraId];
+        if (!existing || compareProgress(progress, existing) > 0) {
+            merged[sutraId] = progress;
+        }
+    });
+    return merged;
+}
+
+/**
+ * 合并自定义文本：同一 ID 保留更新时间较晚的一份
+ */
+function mergeCustomTexts(current = {}, incoming = {}) {
+    const merged = { ...current };
+    Object.entries(incoming).forEach(([textId, text]) => {
+        const existing = merged[textId];
+        if (!existing || (text.updatedAt || 0) > (existing.updatedAt || 0)) {
+            merged[textId] = text;
+        }
+    });
+    return merged;
+}
+
+/**
+ * 合并计数诵读：每部经保留累计遍数更多的记录，计数设置沿用当前
+ */
+function mergeRecitation(current, incoming) {
+    if (!current) {
+        return incoming;
+    }
+
+    const tallies = { ...current.tallies };
+    Object.entries(incoming.tallies || {}).forEach(([textId, tally]) => {
+        const existing = tallies[textId];
+        if (!existing || (tally.total || 0) > (existing.total || 0)) {
+            tallies[textId] = tally;
+        }
+    });
+
+    return { config: current.config || incoming.config || null, tallies };
+}
+
+/**
+ * 合并修行记录：按 id 去重，按开始时间排序
+ */
+export function mergePracticeSessions(current = [], incoming = []) {
+    const merged = {};
+    [...current, ...incoming].forEach(session => {
+        if (session && session.id && Number.isFinite(session.startedAt)) {
+            merged[session.id] = session;
+        }
+    });
+    return Object.values(merged).sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * 按 ID 索引修行记录，便于比较
+ */
+function indexSessions(sessions = []) {
+    const index = {};
+    sessions.forEach(session => {
+        index[session.id] = session;
+    });
+    return index;
+}
+
+/**
+ * 生成导入计划
+ * 返回 { values, changes }：values 为需要写入的项，changes 为 [{ field, label, detail }]
+ */
+export function planImport(current, incoming, strategy = 'merge') {
+    const merge = strategy === 'merge';
+    const values = {};
+
+    Object.keys(FIELD_LABELS).forEach(field => {
+        const next = incoming[field];
+        if (next === null || next === undefined) {
+            return;
+        }
+
+        const existing = current[field];
+        if (!merge || existing === null || existing === undefined) {
+            values[field] = next;
+            return;
+        }
+
+        switch (field) {
+            case 'progress':
+                values[field] = mergeProgress(existing, next);
+                break;
+            case 'customTexts':
+                values[field] = mergeCustomTexts(existing, next);
+                break;
+            case 'recitation':
+                values[field] = mergeRecitation(existing, next);
+                break;
+            case 'practiceLog':
+                values[field] = mergePracticeSessions(existing, next);
+                break;
+            default:
+                // 设置和偏好沿用当前
+                break;
+        }
+    });
+
+    const changes = [];
+    Object.entries(values).forEach(([field, value]) => {
+        const existing = current[field];
+        let detail;
+
+        switch (field) {
+            case 'settings':
+            case 'preferences':
+                detail = describeSettings(existing, value);
+                break;
+            case 'progress':
+                detail = describeCounts(compareEntries(existing || {}, value), '部经');
+                break;
+            case 'customTexts':
+                detail = describeCounts(compareEntries(existing || {}, value), '篇');
+                break;
+            case 'recitation':
+                detail = describeCounts(compareEntries((existing || {}).tallies || {}, value.tallies || {}), '部经的计数');
+                if (!detail && !isSame((existing || {}).config, value.config)) detail = '计数设置改变';
+                break;
+            case 'practiceLog':
+                detail = describeCounts(compareEntries(indexSessions(existing || []), indexSessions(value)), '条');
+                break;
+        }
+
+        if (detail) {
+            changes.push({ field, label: FIELD_LABELS[field], detail });
+        } else {
+            delete values[field]; // 没有变化的项不写入
+        }
+    });
+
+    return { values, changes };
+}
@@ -0,0 +1,178 @@
+/**
+ * 数据结构迁移
+ * 存储的数据和导出的备份都带有结构版本号，旧版本数据按顺序经过每一步迁移升级到当前版本。
+ *
+ * 迁移作用于“数据快照”，字段与 StorageManager.exportAllData 一致：
+ *   { settings, progress, customTexts, preferences, recitation, practiceLog }，缺失的项为 null
+ *
+ * 每一步：
+ *   version   迁移后的版本号
+ *   migrate   接收快照副本，返回升级后的快照
+ *   validate  检查升级结果，有问题时返回说明文字，否则返回 null
+ * 某一步失败时丢弃该步的结果，停在上一个成功的版本。
+ */
+import { DEFAULT_CUE_RULES } from './CueRules.js';
+import { DEFAULT_TEMPO_PRESET, getPresetKeyframes } from './TempoCurves.js';
+import { DEFAULT_RHYTHM_PATTERN } from './RhythmPatterns.js';
+
+/**
+ * 旧版数据（带字符串版本号 '1.0' 或没有版本号）视为第 1 版
+ */
+export const LEGACY_SCHEMA_VERSION = 1;
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: '设置补全法器提示、速度曲线和节奏型',
+        migrate(data) {
+            if (isObject(data.settings)) {
+                const settings = data.settings;
+                if (!Array.isArray(settings.cueRules)) settings.cueRules = [...DEFAULT_CUE_RULES];
+                if (!Array.isArray(settings.tempoKeyframes)) settings.tempoKeyframes = getPresetKeyframes(DEFAULT_TEMPO_PRESET);
+                if (typeof settings.rhythmPattern !== 'string') settings.rhythmPattern = DEFAULT_RHYTHM_PATTERN;
+                if (typeof settings.audioEngine !== 'string') settings.audioEngine = 'auto';
+            }
+            return data;
+        },
+        validate(data) {
+            const settings = data.settings;
+            if (settings === null || settings === undefined) {
+                return null;
+            }
+            if (!isObject(settings)) {
+                return '设置不是对象';
+            }
+            if (!Array.isArray(settings.cueRules) || !Array.isArray(settings.tempoKeyframes)) {
+                return '设置缺少法器提示或速度曲线';
+            }
+            return null;
+        }
+    },
+    {
+        version: 3,
+        description: '整理自定义文本、计数诵读和修行记录',
+        migrate(data) {
+            if (isObject(data.customTexts)) {
+                Object.values(data.customTexts).forEach(text => {
+                    if (!isObject(text)) return;
+                    text.content = typeof text.content === 'string' ? text.content : '';
+                    text.title = text.title || '自定义文本';
+                    text.createdAt = text.createdAt || Date.now();
+                    text.updatedAt = text.updatedAt || text.createdAt;
+                });
+            }
+
+            if (isObject(data.recitation)) {
+                data.recitation = {
+                    config: isObject(data.recitation.config) ? data.recitation.config : null,
+                    tallies: isObject(data.recitation.tallies) ? data.recitation.tallies : {}
+                };
+            }
+
+            if (Array.isArray(data.practiceLog)) {
+                data.practiceLog = data.practiceLog
+                    .filter(session => isObject(session) && Number.isFinite(session.startedAt))
+                    .map((session, i) => ({
+                        ...session,
+                        id: session.id || `${session.startedAt}-${i}`,
+                        duration: session.duration || 0,
+                        characters: session.characters || 0,
+                        repetitions: session.repetitions || 0,
+                        completed: !!session.completed
+                    }))
+                    .sort((a, b) => a.startedAt - b.startedAt);
+            }
+
+            return data;
+        },
+        validate(data) {
+            if (data.progress && (!isObject(data.progress) || !Object.values(data.progress).every(isObject))) {
+                return '阅读进度格式有误';
+            }
+            if (data.preferences && !isObject(data.preferences)) {
+                return '偏好设置不是对象';
+            }
+            if (data.customTexts && (!isObject(data.customTexts) || !Object.values(data.customTexts).every(isObject))) {
+                return '自定义文本不是对象';
+            }
+            if (data.recitation && (!isObject(data.recitation) || !isObject(data.recitation.tallies))) {
+                return '计数诵读记录缺少 tallies';
+            }
+            if (data.practiceLog && !Array.isArray(data.practiceLog)) {
+                return '修行记录不是数组';
+            }
+            if (data.practiceLog && data.practiceLog.some(session => !isObject(session) || !session.id)) {
+                return '修行记录缺少 id';
+            }
+            return null;
+        }
+    }
+];
+
+/**
+ * 当前数据结构版本
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 解析版本号：数字原样返回，旧版的 '1.0' 等字符串取主版本号，无法识别时视为第 1 版
+ */
+export function parseSchemaVersion(version) {
+    if (Number.isInteger(version) && version > 0) {
+        return version;
+    }
+
+    const major = parseInt(version, 10);
+    return Number.isInteger(major) && major > 0 ? major : LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * 从指定版本开始依次执行迁移
+ * 返回 { data, version, applied, error }：error 不为空时 data 和 version 停在最后一个成功的版本
+ */
+export function runMigrations(snapshot, fromVersion) {
+    let data = structuredClone(snapshot);
+    let version = fromVersion;
+    const applied = [];
+
+    for (const step of MIGRATIONS) {
+        if (step.version <= version) {
+            continue;
+        }
+
+        try {
+            const migrated = step.migrate(structuredClone(data));
+            const problem = step.validate(migrated);
+            if (problem) {
+                throw new Error(problem);
+            }
+
+            data = migrated;
+            version = step.version;
+            applied.push(step.version);
+            console.log(`数据已迁移到第 ${step.version} 版: ${step.description}`);
+        } catch (error) {
+            console.error(`迁移到第 ${step.version} 版失败，已回滚:`, error);
+            return { data, version, applied, error };
+        }
+    }
+
+    return { data, version, applied, error: null };
+}
+
+/**
+ * 按当前版本的结构检查快照（依次执行每一步的 validate）
+ * 已是当前版本的备份不经过任何迁移，导入前仍需检查，以免手工修改或损坏的数据进入合并
+ * 有问题时返回说明文字，否则返回 null
+ */
+export function validateSnapshot(data) {
+    for (const step of MIGRATIONS) {
+        const problem = step.validate(data);
+        if (problem) {
+            return `第 ${step.version} 版检查未通过: ${problem}`;
+        }
+    }
+    return null;
+}
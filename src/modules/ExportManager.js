@@ -1,20 +1,28 @@
 /**
  * 音频导出管理器
  * 负责录制和导出音频功能
+ *
+ * 导出不再实时播放：按播放序列把颂钵和木鱼排进 OfflineAudioContext，
+ * 一次渲染成完整的音频，速度远快于实际诵读时长。
+ * 渲染结果再由 AudioEncoders 编码为 MP3 或 WAV；同一条时间轴可生成
+ * LRC / WebVTT / JSON 逐字时间表，与音频一起导出。
  */
+import { EXPORT_FORMATS, WavEncoder, Mp3Encoder } from './AudioEncoders.js';
+import { TIMING_FORMATS, buildTimingMap, createTimingFile } from './TimingMapFormats.js';
+
 export class ExportManager {
     constructor(audioEngine) {
         this.audioEngine = audioEngine;
-        this.mediaRecorder = null;
-        this.recordedChunks = [];
         this.isRecording = false;
-        this.audioContext = null;
-        this.destination = null;
-        
-        // 录制配置
-        this.recordingConfig = {
-            mimeType: 'audio/webm;codecs=opus',
-            audioBitsPerSecond: 128000
+
+        // 渲染配置
+        this.exportConfig = {
+            sampleRate: 22050,    // 木鱼和颂钵的频率成分不高，降低采样率可显著减小长篇经文的内存占用
+            loopGap: 1.0,         // 多轮诵读之间的间隔（秒），与播放时一致
+            progressSteps: 20,    // 渲染过程中报告进度的次数
+            defaultFormat: 'mp3', // 默认导出格式，车载和老式播放器普遍只认MP3
+            mp3Bitrate: 96,       // MP3码率（kbps），打击乐音色在此码率下已足够清晰
+            maxRenderMB: 1024     // 离线渲染缓冲区的上限（32位浮点PCM），超出时浏览器可能因内存不足崩溃
         };
         
         // 回调函数
@@ -31,9 +39,8 @@ export class ExportManager {
      */
     checkBrowserSupport() {
         const support = {
-            mediaRecorder: typeof MediaRecorder !== 'undefined',
-            audioContext: typeof (window.AudioContext || window.webkitAudioContext) !== 'undefined',
-            getUserMedia: typeof navigator.mediaDevices?.getUserMedia === 'function'
+            offlineAudioContext: typeof (window.OfflineAudioContext || window.webkitOfflineAudioContext) !== 'undefined',
+            audioContext: typeof (window.AudioContext || window.webkitAudioContext) !== 'undefined'
         };
 
         console.log('浏览器支持检查:', support);
@@ -41,208 +48,282 @@ export class ExportManager {
     }
 
     /**
-     * 初始化音频上下文
+     * 开始导出（离线渲染）
      */
-    async initializeAudioContext() {
-        try {
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContext();
-            
-            // 创建目标节点用于录制
-            this.destination = this.audioContext.createMediaStreamDestination();
-            
-            console.log('音频上下文初始化成功');
-            return true;
-        } catch (error) {
-            console.error('音频上下文初始化失败:', error);
+    async startRecording(textManager, options = {}) {
+        if (this.isRecording) {
+            console.warn('导出已在进行中');
             return false;
         }
-    }
 
-    /**
-     * 设置MediaRecorder
-     */
-    setupMediaRecorder(stream) {
+        if (!textManager || !textManager.characters.length) {
+            throw new Error('没有可录制的文本内容');
+        }
+
+        const support = this.checkBrowserSupport();
+        if (!support.offlineAudioContext) {
+            throw new Error('浏览器不支持离线音频渲染');
+        }
+
+        const loops = Math.max(1, Math.floor(options.loops || 1));
+        const format = EXPORT_FORMATS[options.format] ? options.format : this.exportConfig.defaultFormat;
+
+        this.isRecording = true;
+
         try {
-            // 检查支持的MIME类型
-            const supportedTypes = [
-                'audio/webm;codecs=opus',
-                'audio/webm',
-                'audio/mp4',
-                'audio/ogg;codecs=opus'
-            ];
-
-            let selectedType = null;
-            for (const type of supportedTypes) {
-                if (MediaRecorder.isTypeSupported(type)) {
-                    selectedType = type;
-                    break;
-                }
-            }
+            console.log(`开始离线渲染，循环次数: ${loops}, 格式: ${format}, 播放速度: ${this.audioEngine.playbackSpeed}x`);
 
-            if (!selectedType) {
-                throw new Error('浏览器不支持音频录制');
+            if (this.onRecordingStart) {
+                this.onRecordingStart();
             }
 
-            this.recordingConfig.mimeType = selectedType;
-            
-            // 创建MediaRecorder
-            this.mediaRecorder = new MediaRecorder(stream, this.recordingConfig);
-            
-            // 设置事件监听器
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
+            const buffers = await this.getSampleBuffers();
+            const timeline = this.buildExportTimeline(textManager, loops, buffers);
+            this.checkRenderSize(timeline, buffers, loops);
 
-            this.mediaRecorder.onstop = () => {
-                this.handleRecordingComplete();
-            };
+            const renderedBuffer = await this.renderOffline(timeline, buffers);
+            const audioBlob = await this.convertAudioFormat(renderedBuffer, format);
 
-            this.mediaRecorder.onerror = (event) => {
-                console.error('录制错误:', event.error);
-                if (this.onRecordingError) {
-                    this.onRecordingError(event.error);
-                }
-            };
+            // 需要时一并生成逐字时间表
+            const timingMap = options.includeTimings ? buildTimingMap(textManager, timeline) : null;
 
-            console.log('MediaRecorder 设置完成:', selectedType);
+            this.handleRecordingComplete(audioBlob, timingMap);
             return true;
         } catch (error) {
-            console.error('MediaRecorder 设置失败:', error);
-            return false;
+            console.error('离线渲染失败:', error);
+            throw error;
+        } finally {
+            this.isRecording = false;
         }
     }
 
     /**
-     * 开始录制
+     * 获取颂钵和木鱼的音频数据
+     * 优先复用音频引擎已解码的数据，静音引擎等没有数据时自行解码
      */
-    async startRecording(textManager) {
-        if (this.isRecording) {
-            console.warn('录制已在进行中');
-            return false;
-        }
-
-        if (!textManager || !textManager.characters.length) {
-            throw new Error('没有可录制的文本内容');
-        }
+    async getSampleBuffers() {
+        const buffers = new Map();
 
-        try {
-            // 检查浏览器支持
-            const support = this.checkBrowserSupport();
-            if (!support.mediaRecorder || !support.audioContext) {
-                throw new Error('浏览器不支持音频录制功能');
-            }
+        for (const [key, url] of Object.entries(this.audioEngine.audioConfig)) {
+            let buffer = this.audioEngine.getAudioBuffer(key);
 
-            // 初始化音频上下文
-            if (!this.audioContext) {
-                const initialized = await this.initializeAudioContext();
-                if (!initialized) {
-                    throw new Error('音频上下文初始化失败');
+            if (!buffer) {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
                 }
-            }
 
-            // 设置MediaRecorder
-            const stream = this.destination.stream;
-            const setupSuccess = this.setupMediaRecorder(stream);
-            if (!setupSuccess) {
-                throw new Error('录制器设置失败');
+                const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+                const decodeContext = new OfflineContextClass(1, 1, this.exportConfig.sampleRate);
+                buffer = await decodeContext.decodeAudioData(await response.arrayBuffer());
             }
 
-            // 清空之前的录制数据
-            this.recordedChunks = [];
-            
-            // 开始录制
-            this.mediaRecorder.start(1000); // 每秒收集一次数据
-            this.isRecording = true;
+            buffers.set(key, buffer);
+        }
 
-            console.log('开始录制音频');
-            
-            if (this.onRecordingStart) {
-                this.onRecordingStart();
+        return buffers;
+    }
+
+    /**
+     * 构建导出时间轴
+     * 与实时播放相同：每轮先响开始颂钵，颂钵结束后按序列延迟敲木鱼
+     * 返回的 time 以秒为单位，从音频开头算起
+     */
+    buildExportTimeline(textManager, loops, buffers) {
+        this.audioEngine.bindTextManager(textManager);
+
+        const events = [];
+        let roundStart = 0;
+        let duration = 0;
+
+        for (let round = 0; round < loops; round++) {
+            const sequence = this.audioEngine.createPlaybackSequence(textManager.characters.length);
+            let muyuStart = roundStart;
+            let roundEnd = roundStart;
+
+            const bowlEvent = sequence.find(event => event.isStartBowl);
+            if (bowlEvent) {
+                const bowlBuffer = buffers.get(bowlEvent.type);
+                events.push({ type: bowlEvent.type, time: roundStart, round, isStartBowl: true });
+                muyuStart += bowlBuffer ? bowlBuffer.duration : 0;
+                roundEnd = muyuStart;
             }
 
-            // 开始播放并录制
-            await this.recordPlayback(textManager);
+            sequence.filter(event => event.isMuyu).forEach(event => {
+                const time = muyuStart + event.delay / 1000;
+                events.push({
+                    type: event.type,
+                    time,
+                    round,
+                    characterIndex: event.characterIndex,
+                    playbackRate: event.playbackRate,
+                    gain: event.gain,
+                    silent: event.silent
+                });
+                roundEnd = time;
+
+                (event.cues || []).forEach(cue => {
+                    const cueTime = time + cue.offset / 1000;
+                    events.push({
+                        type: cue.sample,
+                        time: cueTime,
+                        round,
+                        playbackRate: cue.playbackRate,
+                        gain: cue.gain,
+                        isCue: true
+                    });
+                    roundEnd = Math.max(roundEnd, cueTime);
+                });
+            });
 
-            return true;
-        } catch (error) {
-            console.error('开始录制失败:', error);
-            this.isRecording = false;
-            throw error;
+            roundStart = roundEnd + this.exportConfig.loopGap;
         }
+
+        // 总时长包含最后一个声音的余音（变调后的时长随之变化）
+        events.forEach(event => {
+            const buffer = buffers.get(event.type);
+            const bufferDuration = buffer ? buffer.duration / (event.playbackRate || 1) : 0;
+            duration = Math.max(duration, event.time + bufferDuration);
+        });
+
+        return {
+            events,
+            duration,
+            strikeInterval: 1 / this.audioEngine.playbackSpeed
+        };
     }
 
     /**
-     * 录制播放过程
+     * 渲染所用的声道数（取各音频中最多的）
      */
-    async recordPlayback(textManager) {
-        try {
-            // 连接音频引擎的输出到录制目标
-            // 注意：这里需要修改AudioEngine以支持音频上下文连接
-            
-            // 创建播放序列
-            const sequence = this.audioEngine.createPlaybackSequence(textManager.characters.length);
-            
-            // 开始播放序列（这里需要修改以支持录制）
-            await this.audioEngine.startPlaybackSequence(sequence);
-            
-        } catch (error) {
-            console.error('录制播放失败:', error);
-            this.stopRecording();
-            throw error;
+    getChannelCount(buffers) {
+        return Math.max(...Array.from(buffers.values()).map(buffer => buffer.numberOfChannels));
+    }
+
+    /**
+     * 分配渲染缓冲区前估算其大小，超出上限时拒绝导出并提示可导出的遍数
+     */
+    checkRenderSize(timeline, buffers, loops) {
+        const { sampleRate, maxRenderMB } = this.exportConfig;
+        const bytesPerSecond = sampleRate * this.getChannelCount(buffers) * 4;
+        const megabytes = (timeline.duration * bytesPerSecond) / (1024 * 1024);
+
+        if (megabytes <= maxRenderMB) {
+            return;
         }
+
+        const maxDuration = (maxRenderMB * 1024 * 1024) / bytesPerSecond;
+        const roundDuration = timeline.duration / loops;
+        const maxLoops = Math.floor(maxDuration / roundDuration);
+        const hours = (seconds) => (seconds / 3600).toFixed(1);
+
+        console.warn(`导出时长 ${timeline.duration.toFixed(0)}s 需约 ${megabytes.toFixed(0)}MB 渲染缓冲区，超出上限 ${maxRenderMB}MB`);
+        throw new Error(maxLoops >= 1
+            ? `导出时长约 ${hours(timeline.duration)} 小时，超出单次可导出的上限（约 ${hours(maxDuration)} 小时），请将诵读遍数减少到 ${maxLoops} 遍以内`
+            : `单遍时长约 ${hours(roundDuration)} 小时，超出单次可导出的上限（约 ${hours(maxDuration)} 小时），请调快播放速度后再导出`);
     }
 
     /**
-     * 停止录制
+     * 用OfflineAudioContext渲染整个时间轴
      */
-    stopRecording() {
-        if (!this.isRecording || !this.mediaRecorder) {
-            console.warn('没有正在进行的录制');
-            return false;
+    async renderOffline(timeline, buffers) {
+        const { sampleRate } = this.exportConfig;
+        const numberOfChannels = this.getChannelCount(buffers);
+        const length = Math.max(1, Math.ceil(timeline.duration * sampleRate));
+
+        console.log(`离线渲染时间轴: ${timeline.events.length} 个事件, 时长 ${timeline.duration.toFixed(1)}s, ${numberOfChannels} 声道 @ ${sampleRate}Hz`);
+
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const offlineContext = new OfflineContextClass(numberOfChannels, length, sampleRate);
+
+        // 节奏型中不敲的字只保留在时间表中
+        timeline.events.filter(event => !event.silent).forEach(event => {
+            const source = offlineContext.createBufferSource();
+            source.buffer = buffers.get(event.type);
+            source.playbackRate.value = event.playbackRate || 1;
+
+            if (event.gain !== undefined && event.gain !== 1) {
+                const gainNode = offlineContext.createGain();
+                gainNode.gain.value = event.gain;
+                source.connect(gainNode);
+                gainNode.connect(offlineContext.destination);
+            } else {
+                source.connect(offlineContext.destination);
+            }
+            source.start(event.time);
+        });
+
+        this.trackRenderProgress(offlineContext, timeline.duration);
+
+        const renderedBuffer = await this.startRendering(offlineContext);
+        this.notifyProgress(100, 'render');
+
+        return renderedBuffer;
+    }
+
+    /**
+     * 开始渲染（兼容旧版Safari的事件式API）
+     */
+    startRendering(offlineContext) {
+        return new Promise((resolve, reject) => {
+            offlineContext.oncomplete = (event) => resolve(event.renderedBuffer);
+
+            const result = offlineContext.startRendering();
+            if (result && typeof result.then === 'function') {
+                result.then(resolve, reject);
+            }
+        });
+    }
+
+    /**
+     * 在渲染过程中按时间点暂停以报告进度
+     */
+    trackRenderProgress(offlineContext, duration) {
+        this.notifyProgress(0, 'render');
+
+        if (typeof offlineContext.suspend !== 'function') {
+            return;
         }
 
-        try {
-            this.mediaRecorder.stop();
-            this.isRecording = false;
-            
-            console.log('录制已停止');
-            return true;
-        } catch (error) {
-            console.error('停止录制失败:', error);
-            return false;
+        const steps = this.exportConfig.progressSteps;
+        for (let step = 1; step < steps; step++) {
+            const percentage = (step / steps) * 100;
+
+            offlineContext.suspend((duration * step) / steps)
+                .then(() => {
+                    this.notifyProgress(percentage, 'render');
+                    offlineContext.resume();
+                })
+                .catch(() => {
+                    // 时长太短时多个暂停点会落在同一渲染块，忽略即可
+                });
+        }
+    }
+
+    /**
+     * 通知导出进度
+     * stage 为 'render'（离线渲染）或 'encode'（格式编码）
+     */
+    notifyProgress(percentage, stage) {
+        if (this.onRecordingProgress) {
+            this.onRecordingProgress(percentage, stage);
         }
     }
 
     /**
      * 处理录制完成
      */
-    handleRecordingComplete() {
+    handleRecordingComplete(audioBlob, timingMap = null) {
         try {
-            if (this.recordedChunks.length === 0) {
-                throw new Error('没有录制到音频数据');
-            }
-
-            // 创建音频Blob
-            const audioBlob = new Blob(this.recordedChunks, {
-                type: this.recordingConfig.mimeType
-            });
-
-            console.log('录制完成:', {
+            console.log('离线渲染完成:', {
                 size: audioBlob.size,
                 type: audioBlob.type,
-                chunks: this.recordedChunks.length
+                timedCharacters: timingMap ? timingMap.characters.length : 0
             });
 
             if (this.onRecordingComplete) {
-                this.onRecordingComplete(audioBlob);
+                this.onRecordingComplete(audioBlob, timingMap);
             }
-
-            // 清理录制数据
-            this.recordedChunks = [];
-            
         } catch (error) {
             console.error('处理录制完成失败:', error);
             if (this.onRecordingError) {
@@ -263,25 +344,10 @@ export class ExportManager {
             // 生成文件名
             if (!filename) {
                 const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                filename = `佛经诵读_${timestamp}.webm`;
+                filename = `佛经诵读_${timestamp}.${this.getFileExtension(audioBlob.type)}`;
             }
 
-            // 创建下载链接
-            const url = URL.createObjectURL(audioBlob);
-            const downloadLink = document.createElement('a');
-            downloadLink.href = url;
-            downloadLink.download = filename;
-            downloadLink.style.display = 'none';
-
-            // 触发下载
-            document.body.appendChild(downloadLink);
-            downloadLink.click();
-            document.body.removeChild(downloadLink);
-
-            // 清理URL对象
-            setTimeout(() => {
-                URL.revokeObjectURL(url);
-            }, 1000);
+            this.downloadBlob(audioBlob, filename);
 
             console.log('音频文件导出成功:', filename);
             return true;
@@ -292,17 +358,103 @@ export class ExportManager {
     }
 
     /**
-     * 转换音频格式（如果需要）
+     * 导出逐字时间表文件
+     * baseFilename 不含扩展名，各格式文件与音频同名以便播放器自动匹配
      */
-    async convertAudioFormat(audioBlob, targetFormat = 'mp3') {
-        // 注意：浏览器原生不支持MP3编码
-        // 这里只是一个占位符，实际实现需要使用Web Audio API或第三方库
-        console.warn('音频格式转换功能需要额外的库支持');
-        
-        // 目前直接返回原始音频
+    async exportTimingFiles(timingMap, baseFilename, options = {}) {
+        try {
+            if (!timingMap || !timingMap.characters.length) {
+                throw new Error('没有可导出的时间表数据');
+            }
+
+            const formats = options.formats || Object.keys(TIMING_FORMATS);
+            const filenames = [];
+
+            for (const format of formats) {
+                const filename = `${baseFilename}.${TIMING_FORMATS[format].extension}`;
+                this.downloadBlob(createTimingFile(timingMap, format, options), filename);
+                filenames.push(filename);
+
+                // 部分浏览器会拦截同一时刻触发的多个下载
+                await new Promise(resolve => setTimeout(resolve, 300));
+            }
+
+            console.log('时间表文件导出成功:', filenames);
+            return filenames;
+        } catch (error) {
+            console.error('导出时间表文件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 通过临时链接下载文件
+     */
+    downloadBlob(blob, filename) {
+        // 创建下载链接
+        const url = URL.createObjectURL(blob);
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = filename;
+        downloadLink.style.display = 'none';
+
+        // 触发下载
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+
+        // 清理URL对象
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    }
+
+    /**
+     * 转换音频格式
+     * audio 可以是渲染好的 AudioBuffer，也可以是已编码的音频 Blob（会先解码）
+     */
+    async convertAudioFormat(audio, targetFormat = 'mp3') {
+        if (!EXPORT_FORMATS[targetFormat]) {
+            throw new Error(`不支持的导出格式: ${targetFormat}`);
+        }
+
+        const audioBuffer = audio instanceof Blob ? await this.decodeAudioBlob(audio) : audio;
+
+        console.log(`编码音频: ${targetFormat}, 时长 ${audioBuffer.duration.toFixed(1)}s`);
+        this.notifyProgress(0, 'encode');
+
+        let audioBlob;
+        if (targetFormat === 'mp3') {
+            audioBlob = await Mp3Encoder.encode(
+                audioBuffer,
+                { bitrate: this.exportConfig.mp3Bitrate },
+                (percentage) => this.notifyProgress(percentage, 'encode')
+            );
+        } else {
+            audioBlob = WavEncoder.encode(audioBuffer);
+        }
+
+        this.notifyProgress(100, 'encode');
         return audioBlob;
     }
 
+    /**
+     * 解码已编码的音频 Blob
+     */
+    async decodeAudioBlob(audioBlob) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const decodeContext = new OfflineContextClass(1, 1, this.exportConfig.sampleRate);
+        return decodeContext.decodeAudioData(await audioBlob.arrayBuffer());
+    }
+
+    /**
+     * 根据MIME类型获取文件扩展名
+     */
+    getFileExtension(mimeType) {
+        const format = Object.values(EXPORT_FORMATS).find(item => item.mimeType === mimeType);
+        return format ? format.extension : 'wav';
+    }
+
     /**
      * 获取录制状态
      */
@@ -310,8 +462,7 @@ export class ExportManager {
         return {
             isRecording: this.isRecording,
             isSupported: this.checkBrowserSupport(),
-            recordedChunks: this.recordedChunks.length,
-            currentFormat: this.recordingConfig.mimeType
+            currentFormat: EXPORT_FORMATS[this.exportConfig.defaultFormat].mimeType
         };
     }
 
@@ -385,23 +536,7 @@ export class ExportManager {
      * 清理资源
      */
     dispose() {
-        try {
-            if (this.isRecording) {
-                this.stopRecording();
-            }
-
-            if (this.audioContext) {
-                this.audioContext.close();
-                this.audioContext = null;
-            }
-
-            this.mediaRecorder = null;
-            this.destination = null;
-            this.recordedChunks = [];
-
-            console.log('ExportManager 资源已清理');
-        } catch (error) {
-            console.error('清理ExportManager资源失败:', error);
-        }
+        this.isRecording = false;
+        console.log('ExportManager 资源已清理');
     }
 }
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * IndexedDB 键值存储
+ * 为 StorageManager 提供比 localStorage 更大的存储空间，所有操作均返回 Promise。
+ * 记录按完整的存储键保存，值为 { data, timestamp, version }。
+ */
+export class IndexedDBStore {
+    constructor(databaseName = 'buddhist-sutra-reader', storeName = 'keyval') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.version = 1;
+        this.db = null;
+    }
+
+    /**
+     * 当前环境是否支持 IndexedDB
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * 打开数据库（首次打开时创建对象仓库）
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // 其他标签页升级数据库时主动关闭，避免阻塞
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB 被其他标签页占用'));
+        });
+    }
+
+    /**
+     * 在对象仓库上执行一次操作
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            // 配额不足等错误在事务中止时才会报告
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB 事务已中止'));
+        });
+    }
+
+    /**
+     * 读取全部记录，返回 Map（键 → 值）
+     */
+    async getAll() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const records = new Map();
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    records.set(cursor.key, cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(records);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 写入一条记录
+     */
+    put(key, value) {
+        return this.run('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * 删除一条记录
+     */
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * 关闭数据库
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
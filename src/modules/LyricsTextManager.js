@@ -2,16 +2,74 @@
  * 歌词式文本管理器
  * 实现类似歌词的滚动显示效果
  */
+import { createPlainDocument, flattenSutraDocument } from './SutraDocument.js';
+import { isPunctuation, isSpace } from './PunctuationPauses.js';
+import { DEFAULT_PHONETIC_MODE, PHONETIC_MODES, loadPhoneticDictionary, annotateCharacters, formatReading } from './PhoneticAnnotations.js';
+import { DEFAULT_SCRIPT_MODE, SCRIPT_MODES, loadScriptTables, convertCharacters } from './ScriptConverter.js';
+
+/**
+ * 排版方向：横排为从上到下的行，竖排为从右到左的列
+ */
+export const LAYOUT_MODES = {
+    horizontal: '横排',
+    vertical: '竖排'
+};
+
+export const DEFAULT_LAYOUT_MODE = 'horizontal';
+
+/**
+ * 开引号、开括号：分行时跟随下一句，不放在行尾
+ */
+const OPENING_PUNCTUATION = '“‘「『﹁﹃（(〔【《〈';
+
+/**
+ * 各类行的字宽倍数（与样式表中的字距对应）
+ */
+const LINE_LETTER_SPACING = {
+    heading: 1.15,
+    gatha: 1.3
+};
+
+/**
+ * 每行最少字数，容器很窄时也不会一字一行
+ */
+const MIN_CHARACTERS_PER_LINE = 6;
+
+/**
+ * 开启注音后每个字占的宽度和行高倍数（注音比字宽，且占用字上方的空间）
+ */
+const PHONETIC_SCALE = {
+    width: 1.5,
+    height: 1.4
+};
+
 export class LyricsTextManager {
     constructor(textDisplayElement) {
         this.textDisplayElement = textDisplayElement;
         this.currentText = '';
-        this.lines = [];
+        this.document = null;
+        this.sourceLines = []; // 文档中的原始行（句）
+        this.lines = [];       // 按显示宽度分好的行
         this.characters = [];
         this.currentCharIndex = 0;
         this.currentLineIndex = 0;
         this.fontSize = 'medium';
         this.isHighlightEnabled = true;
+        this.loopRange = null; // A-B 重复范围 { startIndex, endIndex }
+        this.phoneticMode = DEFAULT_PHONETIC_MODE; // 注音方式（见 PhoneticAnnotations）
+        this.phoneticDictionary = null;
+        this.scriptMode = DEFAULT_SCRIPT_MODE; // 繁简显示（见 ScriptConverter）
+        this.scriptTables = null;
+        this.layoutMode = DEFAULT_LAYOUT_MODE; // 竖排时每行显示为一列
+
+        // 回调函数
+        this.onCharacterClick = null;
+        this.onLineLongPress = null;
+
+        // 长按判定
+        this.longPressDelay = 550;
+        this.longPressTimer = null;
+        this.longPressTriggered = false;
         
         // 显示配置（根据屏幕大小自适应）
         this.config = this.getResponsiveConfig();
@@ -26,6 +84,194 @@ export class LyricsTextManager {
         
         this.initializeLyricsDisplay();
         this.setupResponsiveHandlers();
+        this.setupInteractionHandlers();
+    }
+
+    /**
+     * 设置点击和长按处理器（委托在显示容器上，重新渲染后仍然有效）
+     * 点击一个字触发 onCharacterClick，长按（或右键）一行触发 onLineLongPress，
+     * 回调的第二个参数为屏幕坐标，用于定位菜单
+     */
+    setupInteractionHandlers() {
+        if (!this.textDisplayElement) return;
+
+        const element = this.textDisplayElement;
+        let startPoint = null;
+
+        const cancelLongPress = () => {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+            startPoint = null;
+        };
+
+        const triggerLongPress = (target, point) => {
+            const lineElement = target.closest('.lyrics-line');
+            if (!lineElement || !this.onLineLongPress) return false;
+
+            this.longPressTriggered = true;
+            this.onLineLongPress(parseInt(lineElement.dataset.lineIndex, 10), point);
+            return true;
+        };
+
+        element.addEventListener('pointerdown', (e) => {
+            this.longPressTriggered = false;
+            if (e.button !== 0) return;
+
+            startPoint = { x: e.clientX, y: e.clientY };
+            const target = e.target;
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                triggerLongPress(target, startPoint);
+            }, this.longPressDelay);
+        });
+
+        element.addEventListener('pointermove', (e) => {
+            // 滚动或拖动时不算长按
+            if (startPoint && Math.hypot(e.clientX - startPoint.x, e.clientY - startPoint.y) > 10) {
+                cancelLongPress();
+            }
+        });
+
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            element.addEventListener(type, cancelLongPress);
+        });
+
+        // 桌面端右键等同长按
+        element.addEventListener('contextmenu', (e) => {
+            cancelLongPress();
+            if (this.longPressTriggered || triggerLongPress(e.target, { x: e.clientX, y: e.clientY })) {
+                e.preventDefault();
+            }
+        });
+
+        element.addEventListener('click', (e) => {
+            // 长按之后松手产生的点击不再处理
+            if (this.longPressTriggered) {
+                this.longPressTriggered = false;
+                return;
+            }
+
+            const charElement = e.target.closest('.lyrics-character');
+            if (!charElement || !this.onCharacterClick) return;
+
+            // 标点和空格不敲木鱼，不能作为起点
+            if (charElement.classList.contains('punctuation') || charElement.classList.contains('space')) return;
+
+            const charIndex = parseInt(charElement.dataset.charIndex, 10);
+            if (!isNaN(charIndex)) {
+                this.onCharacterClick(charIndex, { x: e.clientX, y: e.clientY });
+            }
+        });
+    }
+
+    /**
+     * 设置回调函数
+     */
+    setCallbacks(callbacks) {
+        if (callbacks.onCharacterClick) this.onCharacterClick = callbacks.onCharacterClick;
+        if (callbacks.onLineLongPress) this.onLineLongPress = callbacks.onLineLongPress;
+    }
+
+    /**
+     * 获取一行的字符范围
+     */
+    getLineRange(lineIndex) {
+        const line = this.lines[lineIndex];
+        if (!line || line.characters.length === 0) {
+            return null;
+        }
+
+        return {
+            startIndex: line.characters[0].index,
+            endIndex: line.characters[line.characters.length - 1].index
+        };
+    }
+
+    /**
+     * 获取重复范围之后的下一段范围
+     * 范围恰好是一行时进入下一行，恰好是一个段落时进入下一段，否则取其后等长的一段
+     */
+    getNextRange(range) {
+        if (!range) {
+            return null;
+        }
+
+        const next = this.characters[range.endIndex + 1];
+        if (!next) {
+            return null;
+        }
+
+        const isSame = (other) => other && other.startIndex === range.startIndex && other.endIndex === range.endIndex;
+
+        const firstChar = this.characters[range.startIndex];
+        if (firstChar && isSame(this.getLineRange(firstChar.lineIndex))) {
+            return this.getLineRange(next.lineIndex);
+        }
+
+        if (isSame(this.getSectionRange(range.startIndex))) {
+            // 品名不属于段落，按行前进
+            return this.getSectionRange(next.index) || this.getLineRange(next.lineIndex);
+        }
+
+        const length = range.endIndex - range.startIndex;
+        return {
+            startIndex: next.index,
+            endIndex: Math.min(this.characters.length - 1, next.index + length)
+        };
+    }
+
+    /**
+     * 设置并显示 A-B 重复范围（传 null 清除）
+     * range.endIndex 可省略，表示只设置了 A 点
+     */
+    setLoopRange(range) {
+        this.loopRange = range;
+
+        if (!this.linesContainer) return;
+
+        this.linesContainer.querySelectorAll('.lyrics-character').forEach(charElement => {
+            this.applyLoopRangeClasses(charElement, parseInt(charElement.dataset.charIndex, 10));
+        });
+    }
+
+    /**
+     * 按重复范围设置字符的标记样式
+     */
+    applyLoopRangeClasses(charElement, charIndex) {
+        const range = this.loopRange;
+        const hasEnd = range && range.endIndex !== undefined && range.endIndex !== null;
+
+        charElement.classList.toggle('loop-start', !!range && charIndex === range.startIndex);
+        charElement.classList.toggle('loop-end', hasEnd && charIndex === range.endIndex);
+        charElement.classList.toggle('in-loop-range', hasEnd && charIndex >= range.startIndex && charIndex <= range.endIndex);
+    }
+
+    /**
+     * 获取指定字符所在段落（偈颂、咒语或一段长行，含重复遍数）的字符范围
+     * 品名不属于任何段落，返回 null
+     */
+    getSectionRange(charIndex) {
+        const charData = this.characters[charIndex];
+        if (!charData || charData.sectionIndex === undefined || charData.sectionIndex < 0) {
+            return null;
+        }
+
+        const sameSection = (other) => other &&
+            other.chapterIndex === charData.chapterIndex &&
+            other.sectionIndex === charData.sectionIndex;
+
+        let startIndex = charIndex;
+        while (sameSection(this.characters[startIndex - 1])) {
+            startIndex--;
+        }
+
+        let endIndex = charIndex;
+        while (sameSection(this.characters[endIndex + 1])) {
+            endIndex++;
+        }
+
+        return { startIndex, endIndex };
     }
 
     /**
@@ -53,20 +299,42 @@ export class LyricsTextManager {
         const configChanged = JSON.stringify(newConfig) !== JSON.stringify(this.config);
 
         if (configChanged) {
+            const lineLengthChanged = newConfig.charactersPerLine !== this.config.charactersPerLine;
             this.config = newConfig;
             this.applyLyricsStyles();
 
-            // 重新渲染以适应新配置
+            // 重新分行、渲染以适应新配置
             if (this.lines.length > 0) {
-                this.renderLyrics();
-                // 只有在不是第一行时才滚动
-                if (this.currentLineIndex > 0) {
-                    this.scrollToCurrentLine();
-                }
+                this.relayout(lineLengthChanged);
             }
         }
     }
 
+    /**
+     * 重新渲染（每行字数变化时先重新分行），保持当前高亮位置和已读状态
+     */
+    relayout(rewrap = true) {
+        const wasHighlighted = !!(this.linesContainer && this.linesContainer.querySelector('.highlighted'));
+
+        if (rewrap) {
+            this.layoutLines();
+        }
+        this.renderLyrics();
+
+        const charData = this.characters[this.currentCharIndex];
+        if (wasHighlighted && charData) {
+            // 让 highlightCharacter 把当前行视为新行并滚动过去
+            this.currentLineIndex = -1;
+            this.highlightCharacter(this.currentCharIndex);
+        } else {
+            this.currentLineIndex = charData ? charData.lineIndex : 0;
+            this.scrollToCurrentLine();
+            this.updateLineStates();
+        }
+
+        console.log(`重新分行: 每行 ${this.config.charactersPerLine} 字，共 ${this.lines.length} 行`);
+    }
+
     /**
      * 获取响应式配置
      */
@@ -77,17 +345,161 @@ export class LyricsTextManager {
         // 根据当前字体大小计算行高
         const baseLineHeight = isMobile ? 45 : 55;
         const fontSizeMultiplier = this.getFontSizeMultiplier();
-        const dynamicLineHeight = Math.round(baseLineHeight * fontSizeMultiplier);
+        const phoneticMultiplier = this.isPhoneticEnabled() ? PHONETIC_SCALE.height : 1;
+        const dynamicLineHeight = Math.round(baseLineHeight * fontSizeMultiplier * phoneticMultiplier);
 
         return {
             visibleLines: isMobile ? (isSmallScreen ? 8 : 10) : 12,
             currentLinePosition: isMobile ? 3 : 4,
             lineHeight: dynamicLineHeight,
             animationDuration: 400,
-            charactersPerLine: isMobile ? 15 : 20
+            charactersPerLine: this.getCharactersPerLine(isMobile)
         };
     }
 
+    /**
+     * 根据显示区域宽度（竖排为高度）和字体大小计算每行字数（最多手机 15 字、桌面 20 字）
+     * 按当前行放大后的字宽计算，保证当前行也不会溢出
+     */
+    getCharactersPerLine(isMobile) {
+        const maxCharacters = isMobile ? 15 : 20;
+        const element = this.textDisplayElement;
+        const width = element ? (this.isVertical() ? element.clientHeight : element.clientWidth) : 0;
+        if (!width) {
+            return maxCharacters;
+        }
+
+        const rootFontSize = parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
+        const fontSizeRem = { 1: 1, 2: 1.2, 3: 1.5, 4: 1.8 }[this.fontSize] || 1.2;
+        // 行字号 × 当前行放大倍数（见样式表 .lyrics-line 和 .lyrics-line.current）
+        const lineScale = isMobile ? 1.2 * 1.05 : 1.1 * 1.1;
+        const padding = isMobile ? 20 : 30;
+        const phoneticScale = this.isPhoneticEnabled() ? PHONETIC_SCALE.width : 1;
+        const characterWidth = rootFontSize * fontSizeRem * lineScale * phoneticScale;
+
+        const fit = Math.floor((width - padding) / characterWidth);
+        return Math.max(MIN_CHARACTERS_PER_LINE, Math.min(maxCharacters, fit));
+    }
+
+    /**
+     * 是否竖排
+     */
+    isVertical() {
+        return this.layoutMode === 'vertical';
+    }
+
+    /**
+     * 设置排版方向：horizontal 横排 / vertical 竖排（从右到左）
+     * 竖排的每列字数按显示区域高度计算，切换后重新分行并保持当前位置
+     */
+    setLayoutMode(mode) {
+        const nextMode = LAYOUT_MODES[mode] ? mode : DEFAULT_LAYOUT_MODE;
+        if (nextMode === this.layoutMode) {
+            return;
+        }
+        this.layoutMode = nextMode;
+
+        if (this.textDisplayElement) {
+            this.textDisplayElement.classList.toggle('vertical', this.isVertical());
+        }
+        if (this.linesContainer) {
+            // 换方向时不做滚动动画，直接定位到当前行
+            this.linesContainer.style.transition = 'none';
+        }
+
+        this.config = this.getResponsiveConfig();
+        this.applyLyricsStyles();
+        if (this.lines.length > 0) {
+            this.relayout();
+        }
+
+        if (this.linesContainer) {
+            this.linesContainer.offsetWidth; // 先应用新位置再恢复动画
+            this.linesContainer.style.transition = '';
+        }
+
+        console.log('排版方向:', LAYOUT_MODES[this.layoutMode]);
+    }
+
+    /**
+     * 是否显示注音（字典加载完成后才生效）
+     */
+    isPhoneticEnabled() {
+        return this.phoneticMode !== 'off' && !!this.phoneticDictionary;
+    }
+
+    /**
+     * 设置注音方式：off 不标注 / pinyin 拼音 / zhuyin 注音符号
+     * 首次开启时加载注音字典，之后重新分行并渲染
+     */
+    async setPhoneticMode(mode) {
+        const nextMode = PHONETIC_MODES[mode] ? mode : DEFAULT_PHONETIC_MODE;
+
+        if (nextMode !== 'off' && !this.phoneticDictionary) {
+            // 字音表按繁体收录，简体经文查读音前先转为繁体
+            [this.phoneticDictionary, this.scriptTables] = await Promise.all([
+                loadPhoneticDictionary(),
+                this.scriptTables || loadScriptTables()
+            ]);
+        }
+
+        this.phoneticMode = nextMode;
+
+        this.config = this.getResponsiveConfig();
+        this.applyLyricsStyles();
+        if (this.lines.length > 0) {
+            this.relayout();
+        }
+
+        console.log('注音方式:', this.phoneticMode);
+    }
+
+    /**
+     * 所有字的读音（按字符序号，不注音或查不到时为 null）
+     */
+    getCharacterReadings() {
+        if (!this.isPhoneticEnabled()) {
+            return [];
+        }
+
+        const chars = convertCharacters(this.scriptTables, this.characters.map(charData => charData.char), 'traditional');
+        return annotateCharacters(this.phoneticDictionary, chars);
+    }
+
+    /**
+     * 设置繁简显示：original 原文 / simplified 简体 / traditional 繁体
+     * 首次切换时加载对照表；转换前后字数不变，重新解析后保持当前位置和已读状态
+     */
+    async setScriptMode(mode) {
+        const nextMode = SCRIPT_MODES[mode] ? mode : DEFAULT_SCRIPT_MODE;
+
+        if (nextMode !== 'original' && !this.scriptTables) {
+            this.scriptTables = await loadScriptTables();
+        }
+
+        if (nextMode === this.scriptMode) {
+            return;
+        }
+        this.scriptMode = nextMode;
+
+        if (this.lines.length > 0) {
+            this.parseTextToLines();
+            this.relayout(false);
+        }
+
+        console.log('繁简显示:', SCRIPT_MODES[this.scriptMode]);
+    }
+
+    /**
+     * 按繁简显示设置转换一行文字（原文模式原样返回）
+     */
+    convertScript(text) {
+        if (this.scriptMode === 'original') {
+            return text;
+        }
+        return convertCharacters(this.scriptTables, Array.from(text), this.scriptMode).join('');
+    }
+
     /**
      * 获取字体大小倍数
      */
@@ -152,13 +564,18 @@ export class LyricsTextManager {
                 `${this.config.visibleLines * this.config.lineHeight}px`);
         }
 
-        // 动态设置行高
+        // 动态设置行高（竖排为列宽）
         const style = document.createElement('style');
         style.textContent = `
             .lyrics-line {
                 min-height: ${this.config.lineHeight}px;
             }
 
+            .lyrics-display.vertical .lyrics-line {
+                min-height: 0;
+                min-width: ${this.config.lineHeight}px;
+            }
+
             .lyrics-lines-container {
                 transition: transform ${this.config.animationDuration}ms cubic-bezier(0.25, 0.46, 0.45, 0.94);
             }
@@ -176,6 +593,7 @@ export class LyricsTextManager {
 
     /**
      * 加载并解析文本内容
+     * 纯文本按每行一句处理；结构化经文请使用 loadDocument
      */
     loadText(text) {
         console.log('LyricsTextManager: 开始加载文本，长度:', text ? text.length : 0);
@@ -187,7 +605,15 @@ export class LyricsTextManager {
             return;
         }
 
-        this.currentText = text;
+        this.loadDocument(createPlainDocument(text));
+    }
+
+    /**
+     * 加载经文文档（见 SutraDocument）
+     */
+    loadDocument(document) {
+        this.document = document;
+        this.currentText = flattenSutraDocument(document).map(line => line.text).join('\n');
         this.parseTextToLines();
 
         // 确保渲染完成并重置到开头
@@ -224,160 +650,237 @@ export class LyricsTextManager {
     }
 
     /**
-     * 将文本解析为行和字符（按原始行结构分行）
+     * 将文档解析为字符，再按显示宽度分行
+     * 每个字符记录所属段落类型和需要同时敲响的法器提示
+     * 标点和空格保留显示，标记为 isPunctuation / isSpace，播放时不敲木鱼
+     * sourceLineIndex 为文档中的原始行（句），lineIndex 为分行后的显示行
      */
     parseTextToLines() {
-        if (!this.currentText) {
-            this.lines = [];
-            this.characters = [];
+        this.sourceLines = [];
+        this.lines = [];
+        this.characters = [];
+
+        if (!this.document) {
             return;
         }
 
         console.log('开始解析佛经文本...');
 
-        // 按原始行结构分割，但移除每行的标点符号
-        const originalLines = this.currentText
-            .replace(/\r\n/g, '\n')  // 统一换行符
-            .replace(/\r/g, '\n')    // 统一换行符
-            .split('\n')             // 按行分割
-            .map(line => line.trim()) // 清理每行的空白
-            .filter(line => line.length > 0) // 移除空行
-            .map(line => line.replace(/[。！？；：，、""''（）【】《》]/g, '')) // 移除每行的标点符号
-            .filter(line => line.length > 0); // 移除清理后为空的行
-
-        console.log(`原始行数: ${originalLines.length}`);
-
-        if (originalLines.length === 0) {
-            console.warn('清理后没有有效行');
-            this.lines = [];
-            this.characters = [];
-            return;
-        }
+        const documentLines = flattenSutraDocument(this.document);
+
+        console.log(`原始行数: ${documentLines.length}`);
 
-        this.lines = [];
-        this.characters = [];
         let charIndex = 0;
 
-        originalLines.forEach(lineText => {
+        documentLines.forEach(documentLine => {
+            const isText = (char) => !isPunctuation(char) && !isSpace(char);
+
+            // 只有标点的行不显示
+            if (!Array.from(documentLine.text).some(isText)) {
+                return;
+            }
+
             const lineChars = [];
+            const sourceLineIndex = this.sourceLines.length;
+            const text = this.convertScript(documentLine.text);
+            let pendingCues = [];
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                const punctuation = isPunctuation(char);
+                const space = !punctuation && isSpace(char);
+
+                // 提示落在标点或空格上时，顺延到下一个字
+                pendingCues = pendingCues.concat(
+                    documentLine.cues.filter(cue => cue.position === i).map(cue => cue.instrument)
+                );
 
-            for (let i = 0; i < lineText.length; i++) {
-                const char = lineText[i];
                 const charData = {
                     char: char,
                     index: charIndex,
-                    lineIndex: this.lines.length,
+                    sourceLineIndex: sourceLineIndex,
+                    lineIndex: sourceLineIndex, // 分行后更新
                     positionInLine: lineChars.length,
-                    isPunctuation: false, // 已移除标点符号，都是文字
-                    isSpace: false        // 已移除空格，都是文字
+                    sectionType: documentLine.type,
+                    chapterIndex: documentLine.chapterIndex,
+                    sectionIndex: documentLine.sectionIndex,
+                    cues: punctuation || space ? [] : pendingCues,
+                    isPunctuation: punctuation,
+                    isSpace: space
                 };
+                if (!punctuation && !space) {
+                    pendingCues = [];
+                }
 
                 lineChars.push(charData);
                 this.characters.push(charData);
                 charIndex++;
             }
 
-            this.lines.push({
-                text: lineText,
+            // 行尾剩余的提示归到最后一个字
+            if (pendingCues.length > 0) {
+                const lastChar = lineChars.filter(charData => !charData.isPunctuation && !charData.isSpace).pop();
+                lastChar.cues = lastChar.cues.concat(pendingCues);
+            }
+
+            this.sourceLines.push({
                 characters: lineChars,
-                startCharIndex: lineChars[0]?.index || 0,
-                endCharIndex: lineChars[lineChars.length - 1]?.index || 0
+                type: documentLine.type,
+                chapterIndex: documentLine.chapterIndex,
+                sectionIndex: documentLine.sectionIndex,
+                repeatIndex: documentLine.repeatIndex
             });
         });
 
-        console.log(`佛经文本解析完成: ${this.lines.length} 行, ${this.characters.length} 个字符`);
+        this.layoutLines();
+
+        console.log(`佛经文本解析完成: ${this.sourceLines.length} 句, ${this.lines.length} 行, ${this.characters.length} 个字符`);
         console.log('前5行预览:', this.lines.slice(0, 5).map(line => line.text));
     }
 
     /**
-     * 智能分行（现在按原始行结构分行，不需要此方法）
+     * 按当前配置的每行字数把原始行分成显示行
+     * 只改变字符的 lineIndex 和 positionInLine，字符序号不变
      */
-    smartLineBreak(text) {
-        // 此方法现在不再使用，因为我们按原始行结构分行
-        console.log('smartLineBreak 方法已废弃，使用原始行结构');
-        return [text];
+    layoutLines() {
+        const charactersPerLine = this.config.charactersPerLine;
+        this.lines = [];
+
+        (this.sourceLines || []).forEach((sourceLine, sourceLineIndex) => {
+            // 偈颂、品名加了字距，每行少放几个字
+            const spacing = LINE_LETTER_SPACING[sourceLine.type] || 1;
+            const maxLength = Math.max(MIN_CHARACTERS_PER_LINE, Math.floor(charactersPerLine / spacing));
+            const parts = this.smartLineBreak(sourceLine.characters, maxLength);
+
+            parts.forEach((lineChars, partIndex) => {
+                const lineIndex = this.lines.length;
+                lineChars.forEach((charData, position) => {
+                    charData.lineIndex = lineIndex;
+                    charData.positionInLine = position;
+                });
+
+                this.lines.push({
+                    text: lineChars.map(charData => charData.char).join(''),
+                    characters: lineChars,
+                    type: sourceLine.type,
+                    chapterIndex: sourceLine.chapterIndex,
+                    sectionIndex: sourceLine.sectionIndex,
+                    repeatIndex: sourceLine.repeatIndex,
+                    sourceLineIndex,
+                    continued: partIndex < parts.length - 1, // 本句在下一行继续
+                    startCharIndex: lineChars[0].index,
+                    endCharIndex: lineChars[lineChars.length - 1].index
+                });
+            });
+        });
+    }
+
+    /**
+     * 智能分行：一行放得下时不分；有标点时在标点处分行，否则按固定长度分行
+     * 参数和返回值均为字符数据数组
+     */
+    smartLineBreak(chars, maxLength) {
+        if (chars.length <= maxLength) {
+            return [chars];
+        }
+
+        const hasBreakPoint = chars.some((charData, i) => i < chars.length - 1 && charData.isPunctuation);
+        return hasBreakPoint
+            ? this.punctuationBasedLineBreak(chars, maxLength)
+            : this.fixedLengthLineBreak(chars, maxLength);
     }
 
     /**
      * 基于标点符号的分行
+     * 先在每组标点之后断句（开引号、开括号归下一句），再把短句拼成不超过 maxLength 的行，
+     * 仍然过长的单句按固定长度分行
      */
-    punctuationBasedLineBreak(text, maxLength) {
-        const lines = [];
+    punctuationBasedLineBreak(chars, maxLength) {
+        const clauses = [];
+        let clause = [];
+
+        chars.forEach((charData, i) => {
+            const opening = charData.isPunctuation && OPENING_PUNCTUATION.includes(charData.char);
+            if (opening && clause.some(other => !other.isPunctuation && !other.isSpace)) {
+                clauses.push(clause);
+                clause = [];
+            }
 
-        // 按句号等强分割符分割
-        const sentences = text.split(/([。！？])/);
-        let currentLine = '';
+            clause.push(charData);
 
-        console.log(`标点分行: 分割后句子数量=${sentences.length}`);
+            const next = chars[i + 1];
+            const closesClause = charData.isPunctuation && !opening &&
+                (!next || !next.isPunctuation || OPENING_PUNCTUATION.includes(next.char));
+            if (closesClause) {
+                clauses.push(clause);
+                clause = [];
+            }
+        });
+        if (clause.length > 0) {
+            clauses.push(clause);
+        }
 
-        for (let i = 0; i < sentences.length; i += 2) {
-            const sentence = sentences[i] || '';
-            const punctuation = sentences[i + 1] || '';
-            const fullSentence = sentence + punctuation;
+        const lines = [];
+        let currentLine = [];
 
+        clauses.forEach(fullClause => {
             // 如果当前行加上新句子不超过最大长度
-            if (currentLine.length + fullSentence.length <= maxLength) {
-                currentLine += fullSentence;
-            } else {
-                // 如果当前行不为空，先保存
-                if (currentLine.trim()) {
-                    lines.push(currentLine.trim());
-                }
-
-                // 如果单个句子太长，需要强制分割
-                if (fullSentence.length > maxLength) {
-                    const chunks = this.forceBreakLongSentence(fullSentence, maxLength);
-                    lines.push(...chunks);
-                    currentLine = '';
-                } else {
-                    currentLine = fullSentence;
-                }
+            if (currentLine.length + fullClause.length <= maxLength) {
+                currentLine = currentLine.concat(fullClause);
+                return;
             }
-        }
 
-        // 处理最后一行
-        if (currentLine.trim()) {
-            lines.push(currentLine.trim());
-        }
+            if (currentLine.length > 0) {
+                lines.push(currentLine);
+            }
 
-        console.log(`标点分行完成: ${lines.length} 行`);
-        return lines.length > 0 ? lines : [text];
-    }
+            // 如果单个句子太长，需要强制分割
+            if (fullClause.length > maxLength) {
+                const chunks = this.fixedLengthLineBreak(fullClause, maxLength);
+                currentLine = chunks.pop();
+                lines.push(...chunks);
+            } else {
+                currentLine = fullClause;
+            }
+        });
 
-    /**
-     * 强制分割过长的句子
-     */
-    forceBreakLongSentence(sentence, maxLength) {
-        const chunks = [];
-        for (let i = 0; i < sentence.length; i += maxLength) {
-            chunks.push(sentence.substring(i, i + maxLength));
+        if (currentLine.length > 0) {
+            lines.push(currentLine);
         }
-        return chunks;
+
+        return lines;
     }
 
     /**
      * 固定长度分行（适用于佛经无标点文本）
+     * 各行长度尽量平均，避免最后一行只剩一两个字；标点不放在行首
      */
-    fixedLengthLineBreak(text, maxLength) {
+    fixedLengthLineBreak(chars, maxLength) {
+        const lineCount = Math.ceil(chars.length / maxLength);
+        const lineLength = Math.ceil(chars.length / lineCount);
         const lines = [];
 
-        for (let i = 0; i < text.length; i += maxLength) {
-            const line = text.substring(i, i + maxLength);
-            if (line.trim()) {
+        for (let i = 0; i < chars.length; i += lineLength) {
+            const line = chars.slice(i, i + lineLength);
+            const previous = lines[lines.length - 1];
+
+            while (previous && line.length > 0 && line[0].isPunctuation && !OPENING_PUNCTUATION.includes(line[0].char)) {
+                previous.push(line.shift());
+            }
+            if (line.length > 0) {
                 lines.push(line);
             }
         }
 
-        console.log(`固定长度分行: ${text.length}字符 → ${lines.length}行，每行${maxLength}字符`);
-        return lines.length > 0 ? lines : [text];
+        return lines;
     }
 
     /**
-     * 检查是否为标点符号（佛经文本通常无标点）
+     * 检查是否为标点符号（见 PunctuationPauses）
      */
     isPunctuation(char) {
-        // 佛经文本通常不包含标点符号，但保留检测功能以防万一
-        return /[，。！？；：""''（）【】《》、]/.test(char);
+        return isPunctuation(char);
     }
 
     /**
@@ -411,25 +914,48 @@ export class LyricsTextManager {
 
         // 清空并重新渲染
         this.linesContainer.innerHTML = '';
+        const readings = this.getCharacterReadings();
 
         this.lines.forEach((line, lineIndex) => {
             const lineElement = document.createElement('div');
             lineElement.className = 'lyrics-line';
             lineElement.dataset.lineIndex = lineIndex;
 
+            // 品名、偈颂、咒语使用不同样式
+            if (line.type && line.type !== 'prose') {
+                lineElement.classList.add(`line-${line.type}`);
+            }
+            if (line.repeatIndex > 0 && !line.continued) {
+                lineElement.classList.add('line-repeat');
+                lineElement.dataset.repeat = line.repeatIndex + 1;
+            }
+
             // 创建字符元素
             line.characters.forEach(charData => {
                 const charElement = document.createElement('span');
                 charElement.className = 'lyrics-character';
-                charElement.textContent = charData.char;
                 charElement.dataset.charIndex = charData.index;
 
+                // 注音以 <ruby> 标在字的上方
+                const reading = readings[charData.index];
+                if (reading && !charData.isPunctuation) {
+                    const ruby = document.createElement('ruby');
+                    const rt = document.createElement('rt');
+                    ruby.appendChild(document.createTextNode(charData.char));
+                    rt.textContent = formatReading(reading, this.phoneticMode);
+                    ruby.appendChild(rt);
+                    charElement.appendChild(ruby);
+                } else {
+                    charElement.textContent = charData.char;
+                }
+
                 if (charData.isPunctuation) {
                     charElement.classList.add('punctuation');
                 }
                 if (charData.isSpace) {
                     charElement.classList.add('space');
                 }
+                this.applyLoopRangeClasses(charElement, charData.index);
 
                 lineElement.appendChild(charElement);
             });
@@ -441,6 +967,8 @@ export class LyricsTextManager {
         console.log('容器HTML:', this.textDisplayElement.innerHTML.substring(0, 200) + '...');
 
         this.applyCurrentFontSize();
+        this.textDisplayElement.classList.toggle('with-phonetics', this.isPhoneticEnabled());
+        this.textDisplayElement.classList.toggle('vertical', this.isVertical());
         this.updateLineStates();
     }
 
@@ -473,32 +1001,49 @@ export class LyricsTextManager {
             charElement.classList.add('highlighted');
         }
 
-        // 标记已完成的字符
-        for (let i = 0; i < charIndex; i++) {
-            const completedElement = this.textDisplayElement.querySelector(`[data-char-index="${i}"]`);
-            if (completedElement) {
-                completedElement.classList.add('completed');
-                completedElement.classList.remove('highlighted');
-            }
-        }
+        // 标记已完成的字符；往回跳转或 A-B 重复回到起点时，之后的字恢复为未读
+        this.textDisplayElement.querySelectorAll('.lyrics-character').forEach(element => {
+            element.classList.toggle('completed', Number(element.dataset.charIndex) < charIndex);
+        });
 
         this.updateLineStates();
     }
 
     /**
      * 滚动到当前行
+     * 横排向上移动，当前行停在第 currentLinePosition 行；竖排向右移动，当前列停在右起前三分之一处
      */
     scrollToCurrentLine() {
         if (!this.linesContainer) return;
 
-        const targetPosition = this.currentLineIndex - this.config.currentLinePosition;
+        const targetPosition = this.currentLineIndex - this.getCurrentLinePosition();
         const scrollOffset = Math.max(0, targetPosition) * this.config.lineHeight;
 
-        this.linesContainer.style.transform = `translateY(-${scrollOffset}px)`;
+        this.linesContainer.style.transform = this.getScrollTransform(scrollOffset);
 
         console.log(`滚动到行 ${this.currentLineIndex}, 偏移: ${scrollOffset}px`);
     }
 
+    /**
+     * 当前行在可见区域中的位置（从第 0 行/列算起）
+     */
+    getCurrentLinePosition() {
+        if (!this.isVertical()) {
+            return this.config.currentLinePosition;
+        }
+
+        const width = this.scrollContainer ? this.scrollContainer.clientWidth : 0;
+        const visibleColumns = Math.floor(width / this.config.lineHeight);
+        return Math.min(this.config.currentLinePosition, Math.max(0, Math.floor((visibleColumns - 1) / 3)));
+    }
+
+    /**
+     * 行容器滚动的位移：横排向上，竖排向右（后面的列在左边）
+     */
+    getScrollTransform(scrollOffset) {
+        return this.isVertical() ? `translateX(${scrollOffset}px)` : `translateY(-${scrollOffset}px)`;
+    }
+
     /**
      * 更新行状态
      */
@@ -546,7 +1091,7 @@ export class LyricsTextManager {
 
         // 强制重置滚动位置到最顶部
         if (this.linesContainer) {
-            this.linesContainer.style.transform = 'translateY(0px)';
+            this.linesContainer.style.transform = this.getScrollTransform(0);
             this.linesContainer.style.transition = 'none'; // 暂时禁用动画
             console.log('滚动位置已重置到顶部');
         }
@@ -557,7 +1102,7 @@ export class LyricsTextManager {
         // 延迟一点再次确保位置正确，并恢复动画
         setTimeout(() => {
             if (this.linesContainer) {
-                this.linesContainer.style.transform = 'translateY(0px)';
+                this.linesContainer.style.transform = this.getScrollTransform(0);
                 this.linesContainer.style.transition = ''; // 恢复动画
                 console.log('二次确认滚动位置重置');
             }
@@ -599,14 +1144,8 @@ export class LyricsTextManager {
             this.textDisplayElement.classList.add(this.fontSizeMap[size]);
             this.fontSize = size;
 
-            // 重新计算配置以适应新的字体大小
-            this.config = this.getResponsiveConfig();
-            this.applyLyricsStyles();
-
-            // 重新滚动到当前位置以适应新的行高
-            if (this.lines.length > 0) {
-                this.scrollToCurrentLine();
-            }
+            // 重新计算配置以适应新的字体大小（每行字数变化时重新分行）
+            this.handleResize();
 
             console.log(`字体大小设置为: ${this.fontSizeMap[size]}, 新行高: ${this.config.lineHeight}px`);
         }
@@ -656,6 +1195,8 @@ export class LyricsTextManager {
      */
     clear() {
         this.currentText = '';
+        this.document = null;
+        this.sourceLines = [];
         this.lines = [];
         this.characters = [];
         this.currentCharIndex = 0;
@@ -0,0 +1,223 @@
+/**
+ * 注音
+ * 根据离线字音表（src/data/phonetics）为经文标注拼音或注音符号，
+ * 经文读音表中的词语优先于单字读音（如 南無 → nā mó、般若 → bō rě）。
+ *
+ * 读音统一以带数字调号的拼音保存（如 na1、lve4），显示时再转换为调号拼音或注音符号。
+ */
+import { loadPhoneticSources } from '../data/phonetics/index.js';
+
+/**
+ * 注音方式
+ */
+export const PHONETIC_MODES = {
+    off: '不标注',
+    pinyin: '拼音',
+    zhuyin: '注音符号'
+};
+
+export const DEFAULT_PHONETIC_MODE = 'off';
+
+const SYLLABLE_PATTERN = /^([a-zv]+)([1-5])$/;
+
+const TONE_MARKS = {
+    a: 'āáǎàa',
+    e: 'ēéěèe',
+    i: 'īíǐìi',
+    o: 'ōóǒòo',
+    u: 'ūúǔùu',
+    ü: 'ǖǘǚǜü'
+};
+
+const ZHUYIN_INITIALS = {
+    b: 'ㄅ', p: 'ㄆ', m: 'ㄇ', f: 'ㄈ', d: 'ㄉ', t: 'ㄊ', n: 'ㄋ', l: 'ㄌ',
+    g: 'ㄍ', k: 'ㄎ', h: 'ㄏ', j: 'ㄐ', q: 'ㄑ', x: 'ㄒ',
+    zh: 'ㄓ', ch: 'ㄔ', sh: 'ㄕ', r: 'ㄖ', z: 'ㄗ', c: 'ㄘ', s: 'ㄙ'
+};
+
+const ZHUYIN_FINALS = {
+    a: 'ㄚ', o: 'ㄛ', e: 'ㄜ', ai: 'ㄞ', ei: 'ㄟ', ao: 'ㄠ', ou: 'ㄡ',
+    an: 'ㄢ', en: 'ㄣ', ang: 'ㄤ', eng: 'ㄥ', er: 'ㄦ', ong: 'ㄨㄥ',
+    i: 'ㄧ', ia: 'ㄧㄚ', ie: 'ㄧㄝ', iao: 'ㄧㄠ', iou: 'ㄧㄡ', ian: 'ㄧㄢ',
+    in: 'ㄧㄣ', iang: 'ㄧㄤ', ing: 'ㄧㄥ', iong: 'ㄩㄥ',
+    u: 'ㄨ', ua: 'ㄨㄚ', uo: 'ㄨㄛ', uai: 'ㄨㄞ', uei: 'ㄨㄟ', uan: 'ㄨㄢ',
+    uen: 'ㄨㄣ', uang: 'ㄨㄤ', ueng: 'ㄨㄥ',
+    ü: 'ㄩ', üe: 'ㄩㄝ', üan: 'ㄩㄢ', ün: 'ㄩㄣ'
+};
+
+const ZHUYIN_TONES = ['', 'ˊ', 'ˇ', 'ˋ'];
+
+/**
+ * 解析字音表：每行为一个拼音和读这个音的字，一字出现多次时以先出现的为准
+ */
+export function parseReadings(text) {
+    const readings = new Map();
+
+    text.split(/\r?\n/).forEach(line => {
+        const [syllable, chars] = line.trim().split(/\s+/);
+        if (!syllable || syllable.startsWith('#') || !chars || !SYLLABLE_PATTERN.test(syllable)) {
+            return;
+        }
+        for (const char of chars) {
+            if (!readings.has(char)) {
+                readings.set(char, syllable);
+            }
+        }
+    });
+
+    return readings;
+}
+
+/**
+ * 解析经文读音表：每行为词语和逐字的拼音，拼音个数与字数不符的行忽略
+ */
+export function parseOverrides(text) {
+    const overrides = new Map();
+
+    text.split(/\r?\n/).forEach(line => {
+        const [phrase, ...syllables] = line.trim().split(/\s+/);
+        if (!phrase || phrase.startsWith('#')) {
+            return;
+        }
+        if (syllables.length !== Array.from(phrase).length || !syllables.every(syllable => SYLLABLE_PATTERN.test(syllable))) {
+            console.warn('经文读音格式有误，已忽略:', line);
+            return;
+        }
+        overrides.set(phrase, syllables);
+    });
+
+    return overrides;
+}
+
+let dictionaryPromise = null;
+
+/**
+ * 加载注音字典（只加载一次）
+ * 返回 { readings, overrides, maxPhraseLength }
+ */
+export function loadPhoneticDictionary() {
+    if (!dictionaryPromise) {
+        dictionaryPromise = loadPhoneticSources()
+            .then(({ readings, overrides }) => {
+                const dictionary = {
+                    readings: parseReadings(readings),
+                    overrides: parseOverrides(overrides)
+                };
+                dictionary.maxPhraseLength = Math.max(1, ...[...dictionary.overrides.keys()].map(phrase => Array.from(phrase).length));
+
+                console.log(`注音字典已加载: ${dictionary.readings.size} 字，${dictionary.overrides.size} 条经文读音`);
+                return dictionary;
+            })
+            .catch(error => {
+                dictionaryPromise = null; // 允许重试
+                throw error;
+            });
+    }
+    return dictionaryPromise;
+}
+
+/**
+ * 为一串字标注读音，返回与输入等长的数组（查不到的字为 null）
+ * 从左到右优先匹配经文读音表中最长的词，其余按字音表
+ */
+export function annotateCharacters(dictionary, chars) {
+    const result = new Array(chars.length).fill(null);
+
+    let i = 0;
+    while (i < chars.length) {
+        let matched = 0;
+        for (let length = Math.min(dictionary.maxPhraseLength, chars.length - i); length >= 1; length--) {
+            const syllables = dictionary.overrides.get(chars.slice(i, i + length).join(''));
+            if (syllables) {
+                syllables.forEach((syllable, offset) => {
+                    result[i + offset] = syllable;
+                });
+                matched = length;
+                break;
+            }
+        }
+
+        if (matched === 0) {
+            result[i] = dictionary.readings.get(chars[i]) || null;
+            matched = 1;
+        }
+        i += matched;
+    }
+
+    return result;
+}
+
+/**
+ * 数字调号拼音转为调号拼音：na1 → nā，lve4 → lüè
+ */
+export function toToneMarks(syllable) {
+    const match = SYLLABLE_PATTERN.exec(syllable);
+    if (!match) {
+        return syllable;
+    }
+
+    const letters = match[1].replace(/v/g, 'ü');
+    const tone = Number(match[2]);
+
+    // 有 a、e 标在 a、e 上，ou 标在 o 上，否则标在最后一个元音上
+    let index = letters.search(/[ae]/);
+    if (index === -1) index = letters.indexOf('ou');
+    if (index === -1) {
+        const vowels = [...letters.matchAll(/[iouü]/g)];
+        index = vowels.length > 0 ? vowels[vowels.length - 1].index : -1;
+    }
+    if (index === -1) {
+        return letters;
+    }
+
+    const vowel = letters[index];
+    return letters.slice(0, index) + TONE_MARKS[vowel][tone - 1] + letters.slice(index + 1);
+}
+
+/**
+ * 数字调号拼音转为注音符号：na1 → ㄋㄚ，shi4 → ㄕˋ，me5 → ˙ㄇㄜ
+ */
+export function toZhuyin(syllable) {
+    const match = SYLLABLE_PATTERN.exec(syllable);
+    if (!match) {
+        return syllable;
+    }
+
+    let letters = match[1].replace(/v/g, 'ü');
+    const tone = Number(match[2]);
+
+    // y、w 开头的写法还原为 i、u、ü 开头的韵母
+    if (letters.startsWith('yu')) letters = 'ü' + letters.slice(2);
+    else if (/^yi/.test(letters)) letters = letters.slice(1);
+    else if (letters.startsWith('y')) letters = 'i' + letters.slice(1);
+    else if (letters === 'wu') letters = 'u';
+    else if (letters.startsWith('w')) letters = 'u' + letters.slice(1);
+
+    const initial = ['zh', 'ch', 'sh'].includes(letters.slice(0, 2))
+        ? letters.slice(0, 2)
+        : (ZHUYIN_INITIALS[letters[0]] ? letters[0] : '');
+    let final = letters.slice(initial.length);
+
+    if ('jqx'.includes(initial) && initial && final.startsWith('u')) {
+        final = 'ü' + final.slice(1);
+    }
+    if (final === 'iu') final = 'iou';
+    if (final === 'ui') final = 'uei';
+    if (final === 'un') final = 'uen';
+
+    // zhi、chi、shi、ri、zi、ci、si 只写声母
+    const isApical = final === 'i' && ['zh', 'ch', 'sh', 'r', 'z', 'c', 's'].includes(initial);
+    const body = (ZHUYIN_INITIALS[initial] || '') + (isApical ? '' : (ZHUYIN_FINALS[final] || final));
+
+    return tone === 5 ? '˙' + body : body + ZHUYIN_TONES[tone - 1];
+}
+
+/**
+ * 按注音方式显示读音
+ */
+export function formatReading(syllable, mode) {
+    if (!syllable) {
+        return '';
+    }
+    return mode === 'zhuyin' ? toZhuyin(syllable) : toToneMarks(syllable);
+}
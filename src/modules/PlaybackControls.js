@@ -11,7 +11,17 @@ export class PlaybackControls {
             progressBar: document.getElementById('progress-bar'),
             progressFill: document.getElementById('progress-fill'),
             playStatus: document.getElementById('play-status'),
-            readingProgress: document.getElementById('reading-progress')
+            readingProgress: document.getElementById('reading-progress'),
+            loopABtn: document.getElementById('loop-a-btn'),
+            loopBBtn: document.getElementById('loop-b-btn'),
+            loopRepeatSelect: document.getElementById('loop-repeat'),
+            loopAdvanceCheckbox: document.getElementById('loop-advance'),
+            loopClearBtn: document.getElementById('loop-clear-btn'),
+            loopStatus: document.getElementById('loop-status'),
+            recitationTargetSelect: document.getElementById('recitation-target'),
+            recitationCustomInput: document.getElementById('recitation-custom'),
+            recitationBowlCheckbox: document.getElementById('recitation-bowl'),
+            recitationStatus: document.getElementById('recitation-status')
         };
         
         this.isPlaying = false;
@@ -24,6 +34,10 @@ export class PlaybackControls {
         this.onReset = null;
         this.onProgressClick = null;
         this.onLoopToggle = null;
+        this.onLoopMarker = null;        // ('a' | 'b')
+        this.onLoopOptionsChange = null; // ({ repeat, advance })
+        this.onLoopClear = null;
+        this.onRecitationChange = null;  // ({ target, bowlBetween })
         
         this.initializeEventListeners();
         this.updateUI();
@@ -56,6 +70,44 @@ export class PlaybackControls {
             });
         }
 
+        // A-B 重复
+        if (this.elements.loopABtn) {
+            this.elements.loopABtn.addEventListener('click', () => {
+                this.handleLoopMarker('a');
+            });
+        }
+
+        if (this.elements.loopBBtn) {
+            this.elements.loopBBtn.addEventListener('click', () => {
+                this.handleLoopMarker('b');
+            });
+        }
+
+        [this.elements.loopRepeatSelect, this.elements.loopAdvanceCheckbox].forEach(element => {
+            if (element) {
+                element.addEventListener('change', () => {
+                    this.handleLoopOptionsChange();
+                });
+            }
+        });
+
+        if (this.elements.loopClearBtn) {
+            this.elements.loopClearBtn.addEventListener('click', () => {
+                if (this.onLoopClear) {
+                    this.onLoopClear();
+                }
+            });
+        }
+
+        // 计数诵读
+        [this.elements.recitationTargetSelect, this.elements.recitationCustomInput, this.elements.recitationBowlCheckbox].forEach(element => {
+            if (element) {
+                element.addEventListener('change', () => {
+                    this.handleRecitationChange();
+                });
+            }
+        });
+
         // 进度条点击
         if (this.elements.progressBar) {
             this.elements.progressBar.addEventListener('click', (e) => {
@@ -101,6 +153,145 @@ export class PlaybackControls {
         console.log(`循环播放: ${this.isLooping ? '开启' : '关闭'}`);
     }
 
+    /**
+     * 处理 A-B 标记按钮
+     */
+    handleLoopMarker(marker) {
+        if (this.onLoopMarker) {
+            this.onLoopMarker(marker);
+        }
+    }
+
+    /**
+     * 处理重复遍数和“进入下一段”选项变化
+     */
+    handleLoopOptionsChange() {
+        if (this.onLoopOptionsChange) {
+            this.onLoopOptionsChange(this.getLoopOptions());
+        }
+    }
+
+    /**
+     * 获取重复遍数（0 为不限）和是否进入下一段
+     */
+    getLoopOptions() {
+        const repeat = this.elements.loopRepeatSelect ? parseInt(this.elements.loopRepeatSelect.value, 10) : 3;
+        return {
+            repeat: isNaN(repeat) ? 3 : repeat,
+            advance: this.elements.loopAdvanceCheckbox ? this.elements.loopAdvanceCheckbox.checked : false
+        };
+    }
+
+    /**
+     * 更新 A-B 重复范围显示
+     * loop 为 { startIndex, endIndex }，progress 为播放中的 { round, repeat }
+     */
+    updateLoopRange(loop, progress = null) {
+        const hasStart = loop && loop.startIndex !== null && loop.startIndex !== undefined;
+        const hasEnd = hasStart && loop.endIndex !== null && loop.endIndex !== undefined;
+
+        if (this.elements.loopABtn) {
+            this.elements.loopABtn.classList.toggle('active', hasStart);
+        }
+        if (this.elements.loopBBtn) {
+            this.elements.loopBBtn.classList.toggle('active', hasEnd);
+        }
+        if (this.elements.loopClearBtn) {
+            this.elements.loopClearBtn.disabled = !hasStart;
+        }
+
+        if (!this.elements.loopStatus) return;
+
+        let status = '未设置重复范围';
+        if (hasEnd) {
+            status = `重复第 ${loop.startIndex + 1}-${loop.endIndex + 1} 字`;
+            if (progress) {
+                status += progress.repeat > 0 ? ` · 第 ${progress.round}/${progress.repeat} 遍` : ` · 第 ${progress.round} 遍`;
+            }
+        } else if (hasStart) {
+            status = `A: 第 ${loop.startIndex + 1} 字，请设置 B 点`;
+        }
+        this.elements.loopStatus.textContent = status;
+    }
+
+    /**
+     * 处理计数诵读设置变化
+     */
+    handleRecitationChange() {
+        this.updateRecitationCustomVisibility();
+
+        if (this.onRecitationChange) {
+            this.onRecitationChange(this.getRecitationOptions());
+        }
+    }
+
+    /**
+     * 获取计数诵读设置，target 为 0 表示关闭
+     */
+    getRecitationOptions() {
+        const select = this.elements.recitationTargetSelect;
+        let target = select ? parseInt(select.value, 10) : 0;
+
+        if (select && select.value === 'custom') {
+            target = this.elements.recitationCustomInput ? parseInt(this.elements.recitationCustomInput.value, 10) : 0;
+        }
+
+        return {
+            target: target > 0 ? target : 0,
+            bowlBetween: this.elements.recitationBowlCheckbox ? this.elements.recitationBowlCheckbox.checked : false
+        };
+    }
+
+    /**
+     * 应用保存的计数诵读设置
+     */
+    setRecitationOptions(config) {
+        const select = this.elements.recitationTargetSelect;
+        if (select) {
+            const preset = Array.from(select.options).some(option => option.value === String(config.target));
+            select.value = preset ? String(config.target) : 'custom';
+            if (!preset && this.elements.recitationCustomInput) {
+                this.elements.recitationCustomInput.value = config.target;
+            }
+        }
+
+        if (this.elements.recitationBowlCheckbox) {
+            this.elements.recitationBowlCheckbox.checked = !!config.bowlBetween;
+        }
+
+        this.updateRecitationCustomVisibility();
+    }
+
+    /**
+     * 自定义遍数时显示输入框
+     */
+    updateRecitationCustomVisibility() {
+        if (this.elements.recitationCustomInput && this.elements.recitationTargetSelect) {
+            const isCustom = this.elements.recitationTargetSelect.value === 'custom';
+            this.elements.recitationCustomInput.style.display = isCustom ? '' : 'none';
+        }
+    }
+
+    /**
+     * 更新计数显示
+     * progress 为播放中的 { round, target }，tally 为该经的累计记录
+     */
+    updateRecitationStatus(progress, tally = null) {
+        if (!this.elements.recitationStatus) return;
+
+        const parts = [];
+        if (progress) {
+            parts.push(`第 ${progress.round}/${progress.target} 遍`);
+        } else if (tally && tally.round > 0) {
+            parts.push(`上次计到 ${tally.round}/${tally.target} 遍`);
+        }
+        if (tally && tally.total > 0) {
+            parts.push(`累计 ${tally.total} 遍`);
+        }
+
+        this.elements.recitationStatus.textContent = parts.join(' · ');
+    }
+
     /**
      * 处理进度条点击
      */
@@ -341,5 +532,9 @@ export class PlaybackControls {
         if (callbacks.onReset) this.onReset = callbacks.onReset;
         if (callbacks.onProgressClick) this.onProgressClick = callbacks.onProgressClick;
         if (callbacks.onLoopToggle) this.onLoopToggle = callbacks.onLoopToggle;
+        if (callbacks.onLoopMarker) this.onLoopMarker = callbacks.onLoopMarker;
+        if (callbacks.onLoopOptionsChange) this.onLoopOptionsChange = callbacks.onLoopOptionsChange;
+        if (callbacks.onLoopClear) this.onLoopClear = callbacks.onLoopClear;
+        if (callbacks.onRecitationChange) this.onRecitationChange = callbacks.onRecitationChange;
     }
 }
\ No newline at end of file
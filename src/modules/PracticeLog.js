@@ -0,0 +1,305 @@
+/**
+ * 修行记录
+ * 记录每次诵读的经文、时长、诵读字数、遍数和是否圆满，并据此统计日/周/月合计、连续天数和日历热力图。
+ *
+ * 记录格式：
+ *   { id, sutraId, title, startedAt, endedAt, duration（毫秒，不含暂停）, characters, repetitions, completed }
+ */
+
+/**
+ * 少于该时长且未诵读任何字的练习不记录（误触播放等）
+ */
+const MIN_SESSION_DURATION = 5000;
+
+/**
+ * 热力图颜色分级的分钟数下限
+ */
+export const HEATMAP_LEVELS = [0, 1, 10, 30, 60];
+
+/**
+ * 单次练习计时器
+ * 由播放状态驱动：开始、暂停、继续、每字进度、每遍结束，停止时生成一条记录
+ */
+export class PracticeTracker {
+    constructor() {
+        this.session = null;
+    }
+
+    /**
+     * 开始一次练习（已有未结束的练习时继续计时）
+     */
+    start(info = {}) {
+        if (this.session) {
+            this.resume();
+            return;
+        }
+
+        const now = Date.now();
+        this.session = {
+            sutraId: info.sutraId || 'custom',
+            title: info.title || '自定义文本',
+            startedAt: now,
+            resumedAt: now,
+            duration: 0,
+            characters: 0,
+            lastCharacterIndex: null,
+            repetitions: 0
+        };
+    }
+
+    /**
+     * 暂停计时
+     */
+    pause() {
+        if (this.session && this.session.resumedAt !== null) {
+            this.session.duration += Date.now() - this.session.resumedAt;
+            this.session.resumedAt = null;
+        }
+    }
+
+    /**
+     * 继续计时
+     */
+    resume() {
+        if (this.session && this.session.resumedAt === null) {
+            this.session.resumedAt = Date.now();
+        }
+    }
+
+    /**
+     * 记录诵读到的字（同一字的多次击打只算一次）
+     */
+    recordCharacter(charIndex) {
+        if (!this.session || charIndex === undefined || charIndex === this.session.lastCharacterIndex) {
+            return;
+        }
+
+        this.session.lastCharacterIndex = charIndex;
+        this.session.characters++;
+    }
+
+    /**
+     * 记录完成的一遍
+     */
+    recordRound() {
+        if (this.session) {
+            this.session.repetitions++;
+        }
+    }
+
+    /**
+     * 结束练习，返回练习记录；过短的练习返回 null
+     * 至少完整诵读一遍即视为圆满
+     */
+    finish() {
+        if (!this.session) {
+            return null;
+        }
+
+        this.pause();
+        const session = this.session;
+        this.session = null;
+
+        if (session.duration < MIN_SESSION_DURATION && session.characters === 0) {
+            return null;
+        }
+
+        return {
+            id: `${session.startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+            sutraId: session.sutraId,
+            title: session.title,
+            startedAt: session.startedAt,
+            endedAt: Date.now(),
+            duration: session.duration,
+            characters: session.characters,
+            repetitions: session.repetitions,
+            completed: session.repetitions > 0
+        };
+    }
+
+    /**
+     * 是否有进行中的练习
+     */
+    isActive() {
+        return !!this.session;
+    }
+}
+
+/**
+ * 本地日期键 YYYY-MM-DD
+ */
+export function toDateKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 某一天的零点
+ */
+function startOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * 前后移动若干天
+ */
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+/**
+ * 统计周期的起点：day 今天，week 本周一，month 本月一日
+ */
+function getPeriodStart(period, now) {
+    const today = startOfDay(now);
+    switch (period) {
+        case 'week':
+            return addDays(today, -((today.getDay() + 6) % 7));
+        case 'month':
+            return new Date(today.getFullYear(), today.getMonth(), 1);
+        default:
+            return today;
+    }
+}
+
+/**
+ * 合计一组练习记录
+ */
+function sumSessions(sessions) {
+    return sessions.reduce((total, session) => {
+        total.sessions++;
+        total.duration += session.duration || 0;
+        total.characters += session.characters || 0;
+        total.repetitions += session.repetitions || 0;
+        if (session.completed) total.completed++;
+        return total;
+    }, { sessions: 0, duration: 0, characters: 0, repetitions: 0, completed: 0 });
+}
+
+/**
+ * 按日期合计练习记录 { [YYYY-MM-DD]: 合计 }
+ */
+export function getDailyTotals(sessions) {
+    const groups = {};
+    sessions.forEach(session => {
+        const key = toDateKey(session.startedAt);
+        (groups[key] = groups[key] || []).push(session);
+    });
+
+    const totals = {};
+    Object.keys(groups).forEach(key => {
+        totals[key] = sumSessions(groups[key]);
+    });
+    return totals;
+}
+
+/**
+ * 今天、本周或本月的合计
+ */
+export function summarizePeriod(sessions, period, now = Date.now()) {
+    const start = getPeriodStart(period, now).getTime();
+    return sumSessions(sessions.filter(session => session.startedAt >= start && session.startedAt <= now));
+}
+
+/**
+ * 连续练习天数
+ * current 为截至今天的连续天数（今天还没练习时从昨天算起），longest 为历史最长
+ */
+export function computeStreaks(sessions, now = Date.now()) {
+    const days = new Set(sessions.map(session => toDateKey(session.startedAt)));
+    if (days.size === 0) {
+        return { current: 0, longest: 0 };
+    }
+
+    let longest = 0;
+    days.forEach(key => {
+        const [year, month, day] = key.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        if (days.has(toDateKey(addDays(date, -1)))) {
+            return; // 不是一段连续的开头
+        }
+
+        let length = 1;
+        while (days.has(toDateKey(addDays(date, length)))) {
+            length++;
+        }
+        longest = Math.max(longest, length);
+    });
+
+    let cursor = startOfDay(now);
+    if (!days.has(toDateKey(cursor))) {
+        cursor = addDays(cursor, -1);
+    }
+    let current = 0;
+    while (days.has(toDateKey(cursor))) {
+        current++;
+        cursor = addDays(cursor, -1);
+    }
+
+    return { current, longest };
+}
+
+/**
+ * 热力图颜色等级（0-4）
+ */
+export function getHeatmapLevel(duration) {
+    const minutes = duration / 60000;
+    let level = 0;
+    HEATMAP_LEVELS.forEach((threshold, i) => {
+        if (i > 0 && minutes >= threshold) {
+            level = i;
+        }
+    });
+    return duration > 0 ? Math.max(1, level) : 0;
+}
+
+/**
+ * 生成日历热力图数据
+ * 返回按周分列的二维数组（每列周一到周日），最后一列包含今天；今天之后的格子为 null
+ */
+export function buildHeatmap(sessions, weeks = 26, now = Date.now()) {
+    const totals = getDailyTotals(sessions);
+    const today = startOfDay(now);
+    const firstDay = addDays(getPeriodStart('week', now), -(weeks - 1) * 7);
+
+    const columns = [];
+    for (let week = 0; week < weeks; week++) {
+        const column = [];
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const date = addDays(firstDay, week * 7 + weekday);
+            if (date > today) {
+                column.push(null);
+                continue;
+            }
+
+            const key = toDateKey(date);
+            const total = totals[key];
+            column.push({
+                date: key,
+                duration: total ? total.duration : 0,
+                sessions: total ? total.sessions : 0,
+                level: total ? getHeatmapLevel(total.duration) : 0
+            });
+        }
+        columns.push(column);
+    }
+
+    return columns;
+}
+
+/**
+ * 格式化练习时长
+ */
+export function formatDuration(duration) {
+    const minutes = Math.round(duration / 60000);
+    if (minutes < 60) {
+        return `${minutes} 分钟`;
+    }
+    return `${Math.floor(minutes / 60)} 小时 ${minutes % 60} 分钟`;
+}
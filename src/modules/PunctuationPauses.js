@@ -0,0 +1,88 @@
+/**
+ * 标点停顿
+ * 标点保留在显示中但不敲木鱼，按类型在其前一个字之后追加停顿。
+ * 停顿以“拍”为单位（一拍 = 一个木鱼间隔），与提示规则一样随播放速度等比缩放。
+ */
+
+/**
+ * 标点类型，pause 为默认停顿拍数
+ */
+export const PUNCTUATION_TYPES = {
+    comma: { label: '，', chars: '，,', pause: 0.5 },
+    enumeration: { label: '、·', chars: '、·‧・', pause: 0.25 },
+    semicolon: { label: '；', chars: '；;', pause: 0.75 },
+    colon: { label: '：', chars: '：:', pause: 0.5 },
+    period: { label: '。', chars: '。．.', pause: 1.5 },
+    question: { label: '？！', chars: '？！?!', pause: 1.5 },
+    ellipsis: { label: '……', chars: '…—―', pause: 1 },
+    quote: { label: '引号括号', chars: '“”‘’「」『』﹁﹂﹃﹄（）()〔〕【】《》〈〉"\'', pause: 0 }
+};
+
+/**
+ * 单个标点最多停顿的拍数
+ */
+export const MAX_PUNCTUATION_PAUSE = 4;
+
+export const DEFAULT_PUNCTUATION_PAUSES = Object.fromEntries(
+    Object.entries(PUNCTUATION_TYPES).map(([typeId, type]) => [typeId, type.pause])
+);
+
+const TYPE_BY_CHAR = new Map();
+Object.entries(PUNCTUATION_TYPES).forEach(([typeId, type]) => {
+    for (const char of type.chars) {
+        TYPE_BY_CHAR.set(char, typeId);
+    }
+});
+
+/**
+ * 标点所属类型，不是标点时返回 null
+ */
+export function getPunctuationType(char) {
+    return TYPE_BY_CHAR.get(char) || null;
+}
+
+/**
+ * 是否为标点
+ */
+export function isPunctuation(char) {
+    return TYPE_BY_CHAR.has(char);
+}
+
+/**
+ * 是否为空白（含全角空格）
+ */
+export function isSpace(char) {
+    return /\s/.test(char);
+}
+
+/**
+ * 补全缺失的类型，停顿限制在 0 到 MAX_PUNCTUATION_PAUSE 拍之间
+ */
+export function normalizePunctuationPauses(pauses) {
+    const normalized = { ...DEFAULT_PUNCTUATION_PAUSES };
+    if (!pauses || typeof pauses !== 'object') {
+        return normalized;
+    }
+
+    Object.keys(normalized).forEach(typeId => {
+        const value = Number(pauses[typeId]);
+        if (Number.isFinite(value)) {
+            normalized[typeId] = Math.min(MAX_PUNCTUATION_PAUSE, Math.max(0, value));
+        }
+    });
+    return normalized;
+}
+
+/**
+ * 连续几个标点（如 “。」”）取停顿最长的一个，不累加
+ */
+export function getPunctuationPause(pauses, chars) {
+    let pause = 0;
+    for (const char of chars) {
+        const typeId = getPunctuationType(char);
+        if (typeId) {
+            pause = Math.max(pause, pauses[typeId] || 0);
+        }
+    }
+    return pause;
+}
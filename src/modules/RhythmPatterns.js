@@ -0,0 +1,128 @@
+/**
+ * 节奏型
+ * 决定每个字是否敲木鱼、是否加击、哪一击为重拍，以及句末的休止拍数。
+ * 每个字仍占一个时值，未敲击的字照常高亮，只是不发声。
+ *
+ *   strikesPerChar  每字击数：1 每字一击，0.5 两字一击，2 每字两击（第二击在半拍处）
+ *   meter           每小节击数，小节从每句开头重新计算
+ *   accents         小节内的重拍位置（从 0 开始）
+ *   accent          重拍音色，见 ACCENT_STYLES
+ *   lineEndRest     每句末尾的休止拍数
+ */
+import { getSourceLine } from './CueRules.js';
+
+/**
+ * 重拍音色：加大音量或降低音高
+ */
+export const ACCENT_STYLES = {
+    louder: { label: '加重', gain: 1.8, playbackRate: 1.0 },
+    lower: { label: '低音', gain: 1.3, playbackRate: 0.8 }
+};
+
+export const RHYTHM_PATTERNS = {
+    single: {
+        label: '每字一击',
+        strikesPerChar: 1,
+        meter: 1,
+        accents: [],
+        accent: 'louder',
+        lineEndRest: 0
+    },
+    lineRest: {
+        label: '每字一击，句末空一拍',
+        strikesPerChar: 1,
+        meter: 1,
+        accents: [],
+        accent: 'louder',
+        lineEndRest: 1
+    },
+    fourFour: {
+        label: '四拍，首拍重',
+        strikesPerChar: 1,
+        meter: 4,
+        accents: [0],
+        accent: 'louder',
+        lineEndRest: 1
+    },
+    everyTwo: {
+        label: '两字一击（持咒）',
+        strikesPerChar: 0.5,
+        meter: 4,
+        accents: [0],
+        accent: 'lower',
+        lineEndRest: 1
+    },
+    double: {
+        label: '每字两击',
+        strikesPerChar: 2,
+        meter: 2,
+        accents: [0],
+        accent: 'louder',
+        lineEndRest: 0
+    }
+};
+
+export const DEFAULT_RHYTHM_PATTERN = 'single';
+
+/**
+ * 取得节奏型，未知ID退回默认
+ */
+export function getRhythmPattern(patternId) {
+    return RHYTHM_PATTERNS[patternId] || RHYTHM_PATTERNS[DEFAULT_RHYTHM_PATTERN];
+}
+
+/**
+ * 创建按句计数的节奏器
+ * 依次传入每个字（及下一个字），返回该字的击打安排：
+ *   { strikes: [{ beat, accented }], rest }
+ * beat 为相对本字的拍数偏移，rest 为本字之后追加的休止拍数
+ */
+export function createRhythm(patternId) {
+    const pattern = getRhythmPattern(patternId);
+    const charsPerStrike = pattern.strikesPerChar < 1 ? Math.round(1 / pattern.strikesPerChar) : 1;
+    const strikesPerSlot = pattern.strikesPerChar > 1 ? Math.round(pattern.strikesPerChar) : 1;
+
+    let currentLine = null;
+    let slot = 0;      // 本句中的第几个字
+    let strikeCount = 0; // 本句中已敲的击数
+
+    return (charData, next) => {
+        const lineIndex = getSourceLine(charData);
+        if (lineIndex !== currentLine) {
+            currentLine = lineIndex;
+            slot = 0;
+            strikeCount = 0;
+        }
+
+        const strikes = [];
+        if (slot % charsPerStrike === 0) {
+            for (let i = 0; i < strikesPerSlot; i++) {
+                const position = pattern.meter > 1 ? strikeCount % pattern.meter : -1;
+                strikes.push({
+                    beat: i / strikesPerSlot,
+                    accented: pattern.accents.includes(position)
+                });
+                strikeCount++;
+            }
+        }
+        slot++;
+
+        const isLineEnd = !next || getSourceLine(next) !== lineIndex;
+        return {
+            strikes,
+            rest: isLineEnd ? pattern.lineEndRest : 0
+        };
+    };
+}
+
+/**
+ * 重拍的播放参数（非重拍返回空对象）
+ */
+export function getAccentOptions(patternId, accented) {
+    if (!accented) {
+        return {};
+    }
+
+    const style = ACCENT_STYLES[getRhythmPattern(patternId).accent] || ACCENT_STYLES.louder;
+    return { gain: style.gain, playbackRate: style.playbackRate };
+}
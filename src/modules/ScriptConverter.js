@@ -0,0 +1,146 @@
+/**
+ * 繁简转换
+ * 根据离线对照表（src/data/script-conversion）在繁体和简体之间转换经文，
+ * 先按词语对照匹配最长的词（如 乾闥婆 ↔ 乾闼婆），其余按字逐一替换。
+ *
+ * 转换只做一字对一字的替换，字数不变，字符序号、提示位置和阅读进度都保持有效。
+ */
+import { loadScriptSources } from '../data/script-conversion/index.js';
+
+/**
+ * 显示字体
+ */
+export const SCRIPT_MODES = {
+    original: '原文',
+    simplified: '简体',
+    traditional: '繁体'
+};
+
+export const DEFAULT_SCRIPT_MODE = 'original';
+
+/**
+ * 解析字对照：每组两个字，前为繁体、后为简体
+ * 繁转简以繁体字为准，简转繁时一个简体字对应多个繁体字的，以先出现的为准
+ */
+export function parseCharacterPairs(text) {
+    const simplified = new Map();
+    const traditional = new Map();
+
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim().startsWith('#')) {
+            return;
+        }
+        line.trim().split(/\s+/).forEach(pair => {
+            const chars = Array.from(pair);
+            if (chars.length !== 2) {
+                if (pair) console.warn('繁简字对照格式有误，已忽略:', pair);
+                return;
+            }
+            const [traditionalChar, simplifiedChar] = chars;
+            if (!simplified.has(traditionalChar)) {
+                simplified.set(traditionalChar, simplifiedChar);
+            }
+            if (!traditional.has(simplifiedChar)) {
+                traditional.set(simplifiedChar, traditionalChar);
+            }
+        });
+    });
+
+    return { simplified, traditional };
+}
+
+/**
+ * 解析词语对照：每行为繁体词和简体词，字数不同的行忽略
+ */
+export function parsePhrasePairs(text) {
+    const simplified = new Map();
+    const traditional = new Map();
+
+    text.split(/\r?\n/).forEach(line => {
+        const [traditionalPhrase, simplifiedPhrase] = line.trim().split(/\s+/);
+        if (!traditionalPhrase || traditionalPhrase.startsWith('#')) {
+            return;
+        }
+        if (!simplifiedPhrase || Array.from(traditionalPhrase).length !== Array.from(simplifiedPhrase).length) {
+            console.warn('繁简词语对照格式有误，已忽略:', line);
+            return;
+        }
+        simplified.set(traditionalPhrase, Array.from(simplifiedPhrase));
+        traditional.set(simplifiedPhrase, Array.from(traditionalPhrase));
+    });
+
+    return { simplified, traditional };
+}
+
+let tablesPromise = null;
+
+/**
+ * 加载繁简对照表（只加载一次）
+ * 返回 { simplified, traditional }，每项为 { characters, phrases, maxPhraseLength }
+ */
+export function loadScriptTables() {
+    if (!tablesPromise) {
+        tablesPromise = loadScriptSources()
+            .then(sources => {
+                const characters = parseCharacterPairs(sources.characters);
+                const phrases = parsePhrasePairs(sources.phrases);
+
+                const tables = {};
+                ['simplified', 'traditional'].forEach(mode => {
+                    tables[mode] = {
+                        characters: characters[mode],
+                        phrases: phrases[mode],
+                        maxPhraseLength: Math.max(1, ...[...phrases[mode].keys()].map(phrase => Array.from(phrase).length))
+                    };
+                });
+
+                console.log(`繁简对照表已加载: ${characters.simplified.size} 字，${phrases.simplified.size} 个词`);
+                return tables;
+            })
+            .catch(error => {
+                tablesPromise = null; // 允许重试
+                throw error;
+            });
+    }
+    return tablesPromise;
+}
+
+/**
+ * 将一串字转换为指定字体，返回与输入等长的数组
+ * 原文模式或对照表未加载时原样返回
+ */
+export function convertCharacters(tables, chars, mode) {
+    const table = tables && tables[mode];
+    if (!table) {
+        return chars.slice();
+    }
+
+    const result = [];
+    let i = 0;
+    while (i < chars.length) {
+        let matched = 0;
+        for (let length = Math.min(table.maxPhraseLength, chars.length - i); length >= 2; length--) {
+            const phrase = table.phrases.get(chars.slice(i, i + length).join(''));
+            if (phrase) {
+                result.push(...phrase);
+                matched = length;
+                break;
+            }
+        }
+
+        if (matched === 0) {
+            result.push(table.characters.get(chars[i]) || chars[i]);
+            matched = 1;
+        }
+        i += matched;
+    }
+
+    return result;
+}
+
+/**
+ * 转换一段文字，字数不变
+ */
+export function convertText(tables, text, mode) {
+    return convertCharacters(tables, Array.from(text), mode).join('');
+}
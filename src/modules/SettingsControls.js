@@ -1,3 +1,11 @@
+import { CUE_RULES, DEFAULT_CUE_RULES, normalizeCueRules } from './CueRules.js';
+import { RHYTHM_PATTERNS, DEFAULT_RHYTHM_PATTERN } from './RhythmPatterns.js';
+import { PHONETIC_MODES, DEFAULT_PHONETIC_MODE } from './PhoneticAnnotations.js';
+import { SCRIPT_MODES, DEFAULT_SCRIPT_MODE } from './ScriptConverter.js';
+import { LAYOUT_MODES, DEFAULT_LAYOUT_MODE } from './LyricsTextManager.js';
+import { PUNCTUATION_TYPES, DEFAULT_PUNCTUATION_PAUSES, MAX_PUNCTUATION_PAUSE, normalizePunctuationPauses } from './PunctuationPauses.js';
+import { TEMPO_PRESETS, DEFAULT_TEMPO_PRESET, getPresetKeyframes, normalizeKeyframes, parseKeyframes, formatKeyframes, findPresetId } from './TempoCurves.js';
+
 /**
  * 设置控制组件
  * 负责用户设置界面的交互和状态管理
@@ -8,11 +16,29 @@ export class SettingsControls {
             speedSlider: document.getElementById('speed-slider'),
             speedInput: document.getElementById('speed-input'),
             speedDisplay: document.getElementById('speed-display'),
+            tempoPresetSelect: document.getElementById('tempo-preset'),
+            tempoKeyframesInput: document.getElementById('tempo-keyframes'),
+            rhythmPatternSelect: document.getElementById('rhythm-pattern'),
             fontSizeSlider: document.getElementById('font-size-slider'),
             fontSizeDisplay: document.getElementById('font-size-display'),
+            phoneticModeSelect: document.getElementById('phonetic-mode'),
+            scriptModeSelect: document.getElementById('script-mode'),
+            layoutModeSelect: document.getElementById('layout-mode'),
             sutraSelect: document.getElementById('sutra-select'),
+            sutraCategoryFilter: document.getElementById('sutra-category-filter'),
+            sutraDifficultyFilter: document.getElementById('sutra-difficulty-filter'),
             customTextContainer: document.getElementById('custom-text-container'),
-            customTextInput: document.getElementById('custom-text-input')
+            customTextInput: document.getElementById('custom-text-input'),
+            audioEngineSelect: document.getElementById('audio-engine-select'),
+            cueRulesContainer: document.getElementById('cue-rules'),
+            punctuationPausesContainer: document.getElementById('punctuation-pauses'),
+            textLibraryBtn: document.getElementById('text-library-btn'),
+            importTextBtn: document.getElementById('import-text-btn'),
+            importTextFileInput: document.getElementById('import-text-file'),
+            saveCustomTextBtn: document.getElementById('save-custom-text-btn'),
+            backupBtn: document.getElementById('backup-btn'),
+            restoreBtn: document.getElementById('restore-btn'),
+            restoreFileInput: document.getElementById('restore-file')
         };
         
         // 当前设置值
@@ -20,24 +46,180 @@ export class SettingsControls {
             playbackSpeed: 1.0,
             fontSize: 2,
             selectedSutra: 'amitabha',
-            customText: ''
+            customText: '',
+            audioEngine: 'auto',
+            cueRules: [...DEFAULT_CUE_RULES],
+            tempoKeyframes: getPresetKeyframes(DEFAULT_TEMPO_PRESET),
+            rhythmPattern: DEFAULT_RHYTHM_PATTERN,
+            punctuationPauses: { ...DEFAULT_PUNCTUATION_PAUSES },
+            phoneticMode: DEFAULT_PHONETIC_MODE,
+            scriptMode: DEFAULT_SCRIPT_MODE,
+            layoutMode: DEFAULT_LAYOUT_MODE
+        };
+
+        // 经典筛选条件（空字符串表示不限）
+        this.sutraFilters = {
+            category: '',
+            difficulty: ''
         };
         
+        // 文本库中的文本（显示在经典选择中）和最近一次的经典列表
+        this.customTexts = [];
+        this.sutraOptions = { sutras: [], allSutras: [] };
+        
         // 字体大小标签映射
         this.fontSizeLabels = ['小', '中', '大', '特大'];
         
         // 回调函数
         this.onSpeedChange = null;
         this.onFontSizeChange = null;
+        this.onPhoneticModeChange = null;
+        this.onScriptModeChange = null;
+        this.onLayoutModeChange = null;
         this.onSutraChange = null;
         this.onCustomTextChange = null;
+        this.onAudioEngineChange = null;
+        this.onSutraFilterChange = null;
+        this.onCueRulesChange = null;
+        this.onTempoCurveChange = null;
+        this.onRhythmPatternChange = null;
+        this.onPunctuationPausesChange = null;
+        this.onBackup = null;
+        this.onRestore = null;
+        this.onOpenTextLibrary = null;
+        this.onSaveCustomText = null;
+        this.onImportTextFile = null;
         
+        this.renderTempoPresetOptions();
+        this.renderRhythmPatternOptions();
+        this.renderPhoneticModeOptions();
+        this.renderScriptModeOptions();
+        this.renderLayoutModeOptions();
+        this.renderCueRuleOptions();
+        this.renderPunctuationPauseInputs();
         this.initializeEventListeners();
         this.updateAllDisplays();
         
         console.log('SettingsControls 初始化完成');
     }
 
+    /**
+     * 生成速度曲线预设选项
+     */
+    renderTempoPresetOptions() {
+        const select = this.elements.tempoPresetSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(TEMPO_PRESETS).forEach(([presetId, preset]) => {
+            select.appendChild(new Option(preset.label, presetId));
+        });
+        select.appendChild(new Option('自定义', 'custom'));
+    }
+
+    /**
+     * 生成节奏型选项
+     */
+    renderRhythmPatternOptions() {
+        const select = this.elements.rhythmPatternSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(RHYTHM_PATTERNS).forEach(([patternId, pattern]) => {
+            select.appendChild(new Option(pattern.label, patternId));
+        });
+        select.value = this.settings.rhythmPattern;
+    }
+
+    /**
+     * 生成注音方式选项
+     */
+    renderPhoneticModeOptions() {
+        const select = this.elements.phoneticModeSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(PHONETIC_MODES).forEach(([mode, label]) => {
+            select.appendChild(new Option(label, mode));
+        });
+        select.value = this.settings.phoneticMode;
+    }
+
+    /**
+     * 生成繁简显示选项
+     */
+    renderScriptModeOptions() {
+        const select = this.elements.scriptModeSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(SCRIPT_MODES).forEach(([mode, label]) => {
+            select.appendChild(new Option(label, mode));
+        });
+        select.value = this.settings.scriptMode;
+    }
+
+    /**
+     * 生成排版方向选项
+     */
+    renderLayoutModeOptions() {
+        const select = this.elements.layoutModeSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(LAYOUT_MODES).forEach(([mode, label]) => {
+            select.appendChild(new Option(label, mode));
+        });
+        select.value = this.settings.layoutMode;
+    }
+
+    /**
+     * 为每类标点生成停顿拍数输入框
+     */
+    renderPunctuationPauseInputs() {
+        const container = this.elements.punctuationPausesContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+        Object.entries(PUNCTUATION_TYPES).forEach(([typeId, type]) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'speed-input';
+            input.min = '0';
+            input.max = String(MAX_PUNCTUATION_PAUSE);
+            input.step = '0.25';
+            input.dataset.punctuationType = typeId;
+            input.value = this.settings.punctuationPauses[typeId];
+            input.title = `${type.label} 之后停顿的拍数`;
+
+            label.appendChild(document.createTextNode(type.label));
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * 根据提示规则生成勾选框
+     */
+    renderCueRuleOptions() {
+        const container = this.elements.cueRulesContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+        Object.entries(CUE_RULES).forEach(([ruleId, rule]) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.cueRule = ruleId;
+            checkbox.checked = this.settings.cueRules.includes(ruleId);
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(rule.label));
+            container.appendChild(label);
+        });
+    }
+
     /**
      * 初始化事件监听器
      */
@@ -73,6 +255,52 @@ export class SettingsControls {
             });
         }
 
+        // 速度曲线预设
+        if (this.elements.tempoPresetSelect) {
+            this.elements.tempoPresetSelect.addEventListener('change', (e) => {
+                if (e.target.value === 'custom') {
+                    // 自定义时保留当前关键帧，等待用户编辑
+                    if (this.elements.tempoKeyframesInput) {
+                        this.elements.tempoKeyframesInput.focus();
+                    }
+                    return;
+                }
+                this.handleTempoCurveChange(getPresetKeyframes(e.target.value));
+            });
+        }
+
+        // 速度曲线关键帧编辑
+        if (this.elements.tempoKeyframesInput) {
+            this.elements.tempoKeyframesInput.addEventListener('change', (e) => {
+                try {
+                    this.handleTempoCurveChange(parseKeyframes(e.target.value));
+                } catch (error) {
+                    this.showSettingsTip(error.message);
+                    this.updateTempoDisplay();
+                }
+            });
+        }
+
+        // 标点停顿
+        if (this.elements.punctuationPausesContainer) {
+            this.elements.punctuationPausesContainer.addEventListener('change', (e) => {
+                if (e.target.matches('input[data-punctuation-type]')) {
+                    const pauses = {};
+                    this.elements.punctuationPausesContainer.querySelectorAll('input[data-punctuation-type]').forEach(input => {
+                        pauses[input.dataset.punctuationType] = input.value;
+                    });
+                    this.handlePunctuationPausesChange(pauses);
+                }
+            });
+        }
+
+        // 节奏型选择
+        if (this.elements.rhythmPatternSelect) {
+            this.elements.rhythmPatternSelect.addEventListener('change', (e) => {
+                this.handleRhythmPatternChange(e.target.value);
+            });
+        }
+
         // 字体大小滑块
         if (this.elements.fontSizeSlider) {
             this.elements.fontSizeSlider.addEventListener('input', (e) => {
@@ -80,6 +308,27 @@ export class SettingsControls {
             });
         }
 
+        // 注音方式
+        if (this.elements.phoneticModeSelect) {
+            this.elements.phoneticModeSelect.addEventListener('change', (e) => {
+                this.handlePhoneticModeChange(e.target.value);
+            });
+        }
+
+        // 繁简显示
+        if (this.elements.scriptModeSelect) {
+            this.elements.scriptModeSelect.addEventListener('change', (e) => {
+                this.handleScriptModeChange(e.target.value);
+            });
+        }
+
+        // 排版方向
+        if (this.elements.layoutModeSelect) {
+            this.elements.layoutModeSelect.addEventListener('change', (e) => {
+                this.handleLayoutModeChange(e.target.value);
+            });
+        }
+
         // 经典选择下拉菜单
         if (this.elements.sutraSelect) {
             this.elements.sutraSelect.addEventListener('change', (e) => {
@@ -87,6 +336,92 @@ export class SettingsControls {
             });
         }
 
+        // 经典分类和难度筛选
+        if (this.elements.sutraCategoryFilter) {
+            this.elements.sutraCategoryFilter.addEventListener('change', (e) => {
+                this.handleSutraFilterChange({ category: e.target.value });
+            });
+        }
+
+        if (this.elements.sutraDifficultyFilter) {
+            this.elements.sutraDifficultyFilter.addEventListener('change', (e) => {
+                this.handleSutraFilterChange({ difficulty: e.target.value });
+            });
+        }
+
+        // 音频引擎选择
+        if (this.elements.audioEngineSelect) {
+            this.elements.audioEngineSelect.addEventListener('change', (e) => {
+                this.handleAudioEngineChange(e.target.value);
+            });
+        }
+
+        // 法器提示规则
+        if (this.elements.cueRulesContainer) {
+            this.elements.cueRulesContainer.addEventListener('change', (e) => {
+                if (e.target.dataset.cueRule) {
+                    const ruleIds = Array.from(this.elements.cueRulesContainer.querySelectorAll('input[data-cue-rule]'))
+                        .filter(checkbox => checkbox.checked)
+                        .map(checkbox => checkbox.dataset.cueRule);
+                    this.handleCueRulesChange(ruleIds);
+                }
+            });
+        }
+
+        // 文本库
+        if (this.elements.textLibraryBtn) {
+            this.elements.textLibraryBtn.addEventListener('click', () => {
+                if (this.onOpenTextLibrary) {
+                    this.onOpenTextLibrary();
+                }
+            });
+        }
+
+        if (this.elements.importTextBtn && this.elements.importTextFileInput) {
+            this.elements.importTextBtn.addEventListener('click', () => {
+                this.elements.importTextFileInput.click();
+            });
+
+            this.elements.importTextFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file && this.onImportTextFile) {
+                    this.onImportTextFile(file);
+                }
+            });
+        }
+
+        if (this.elements.saveCustomTextBtn) {
+            this.elements.saveCustomTextBtn.addEventListener('click', () => {
+                if (this.onSaveCustomText) {
+                    this.onSaveCustomText(this.settings.customText);
+                }
+            });
+        }
+
+        // 备份与恢复
+        if (this.elements.backupBtn) {
+            this.elements.backupBtn.addEventListener('click', () => {
+                if (this.onBackup) {
+                    this.onBackup();
+                }
+            });
+        }
+
+        if (this.elements.restoreBtn && this.elements.restoreFileInput) {
+            this.elements.restoreBtn.addEventListener('click', () => {
+                this.elements.restoreFileInput.click();
+            });
+
+            this.elements.restoreFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = ''; // 允许再次选择同一文件
+                if (file && this.onRestore) {
+                    this.onRestore(file);
+                }
+            });
+        }
+
         // 自定义文本输入
         if (this.elements.customTextInput) {
             // 使用防抖处理文本输入
@@ -121,6 +456,46 @@ export class SettingsControls {
         }
     }
 
+    /**
+     * 处理速度曲线变化
+     */
+    handleTempoCurveChange(keyframes) {
+        this.settings.tempoKeyframes = normalizeKeyframes(keyframes);
+        this.updateTempoDisplay();
+
+        console.log(`速度曲线调整为: ${formatKeyframes(this.settings.tempoKeyframes)}`);
+
+        if (this.onTempoCurveChange) {
+            this.onTempoCurveChange(this.settings.tempoKeyframes.map(keyframe => ({ ...keyframe })));
+        }
+    }
+
+    /**
+     * 处理节奏型变化
+     */
+    handleRhythmPatternChange(patternId) {
+        this.settings.rhythmPattern = patternId;
+
+        console.log(`节奏型: ${patternId}`);
+
+        if (this.onRhythmPatternChange) {
+            this.onRhythmPatternChange(patternId);
+        }
+    }
+
+    /**
+     * 处理标点停顿变化
+     */
+    handlePunctuationPausesChange(pauses) {
+        this.setPunctuationPauses(pauses);
+
+        console.log('标点停顿:', this.settings.punctuationPauses);
+
+        if (this.onPunctuationPausesChange) {
+            this.onPunctuationPausesChange({ ...this.settings.punctuationPauses });
+        }
+    }
+
     /**
      * 处理字体大小变化
      */
@@ -135,6 +510,45 @@ export class SettingsControls {
         }
     }
 
+    /**
+     * 处理注音方式变化
+     */
+    handlePhoneticModeChange(mode) {
+        this.settings.phoneticMode = mode;
+
+        console.log(`注音方式: ${PHONETIC_MODES[mode]}`);
+
+        if (this.onPhoneticModeChange) {
+            this.onPhoneticModeChange(mode);
+        }
+    }
+
+    /**
+     * 处理繁简显示变化
+     */
+    handleScriptModeChange(mode) {
+        this.settings.scriptMode = mode;
+
+        console.log(`繁简显示: ${SCRIPT_MODES[mode]}`);
+
+        if (this.onScriptModeChange) {
+            this.onScriptModeChange(mode);
+        }
+    }
+
+    /**
+     * 处理排版方向变化
+     */
+    handleLayoutModeChange(mode) {
+        this.settings.layoutMode = mode;
+
+        console.log(`排版方向: ${LAYOUT_MODES[mode]}`);
+
+        if (this.onLayoutModeChange) {
+            this.onLayoutModeChange(mode);
+        }
+    }
+
     /**
      * 处理经典选择变化
      */
@@ -149,6 +563,19 @@ export class SettingsControls {
         }
     }
 
+    /**
+     * 处理经典筛选变化
+     */
+    handleSutraFilterChange(filters) {
+        this.sutraFilters = { ...this.sutraFilters, ...filters };
+
+        console.log('经典筛选:', this.sutraFilters);
+
+        if (this.onSutraFilterChange) {
+            this.onSutraFilterChange({ ...this.sutraFilters });
+        }
+    }
+
     /**
      * 处理自定义文本变化
      */
@@ -162,6 +589,32 @@ export class SettingsControls {
         }
     }
 
+    /**
+     * 处理音频引擎变化
+     */
+    handleAudioEngineChange(type) {
+        this.settings.audioEngine = type;
+
+        console.log(`音频引擎选择: ${type}`);
+
+        if (this.onAudioEngineChange) {
+            this.onAudioEngineChange(type);
+        }
+    }
+
+    /**
+     * 处理法器提示规则变化
+     */
+    handleCueRulesChange(ruleIds) {
+        this.settings.cueRules = ruleIds;
+
+        console.log('法器提示规则:', ruleIds);
+
+        if (this.onCueRulesChange) {
+            this.onCueRulesChange([...ruleIds]);
+        }
+    }
+
     /**
      * 更新播放速度显示
      */
@@ -174,6 +627,18 @@ export class SettingsControls {
         }
     }
 
+    /**
+     * 更新速度曲线显示
+     */
+    updateTempoDisplay() {
+        if (this.elements.tempoPresetSelect) {
+            this.elements.tempoPresetSelect.value = findPresetId(this.settings.tempoKeyframes);
+        }
+        if (this.elements.tempoKeyframesInput) {
+            this.elements.tempoKeyframesInput.value = formatKeyframes(this.settings.tempoKeyframes);
+        }
+    }
+
     /**
      * 更新字体大小显示
      */
@@ -206,6 +671,7 @@ export class SettingsControls {
      */
     updateAllDisplays() {
         this.updateSpeedDisplay();
+        this.updateTempoDisplay();
         this.updateFontSizeDisplay();
         this.updateCustomTextVisibility();
     }
@@ -233,6 +699,38 @@ export class SettingsControls {
         this.updateSpeedDisplay();
     }
 
+    /**
+     * 设置速度曲线关键帧
+     */
+    setTempoCurve(keyframes) {
+        this.settings.tempoKeyframes = normalizeKeyframes(keyframes);
+        this.updateTempoDisplay();
+    }
+
+    /**
+     * 设置节奏型
+     */
+    setRhythmPattern(patternId) {
+        this.settings.rhythmPattern = RHYTHM_PATTERNS[patternId] ? patternId : DEFAULT_RHYTHM_PATTERN;
+
+        if (this.elements.rhythmPatternSelect) {
+            this.elements.rhythmPatternSelect.value = this.settings.rhythmPattern;
+        }
+    }
+
+    /**
+     * 设置各类标点的停顿拍数（超出范围的值会被修正）
+     */
+    setPunctuationPauses(pauses) {
+        this.settings.punctuationPauses = normalizePunctuationPauses(pauses);
+
+        if (this.elements.punctuationPausesContainer) {
+            this.elements.punctuationPausesContainer.querySelectorAll('input[data-punctuation-type]').forEach(input => {
+                input.value = this.settings.punctuationPauses[input.dataset.punctuationType];
+            });
+        }
+    }
+
     /**
      * 设置字体大小
      */
@@ -251,6 +749,39 @@ export class SettingsControls {
         this.updateFontSizeDisplay();
     }
 
+    /**
+     * 设置注音方式
+     */
+    setPhoneticMode(mode) {
+        this.settings.phoneticMode = PHONETIC_MODES[mode] ? mode : DEFAULT_PHONETIC_MODE;
+
+        if (this.elements.phoneticModeSelect) {
+            this.elements.phoneticModeSelect.value = this.settings.phoneticMode;
+        }
+    }
+
+    /**
+     * 设置繁简显示
+     */
+    setScriptMode(mode) {
+        this.settings.scriptMode = SCRIPT_MODES[mode] ? mode : DEFAULT_SCRIPT_MODE;
+
+        if (this.elements.scriptModeSelect) {
+            this.elements.scriptModeSelect.value = this.settings.scriptMode;
+        }
+    }
+
+    /**
+     * 设置排版方向
+     */
+    setLayoutMode(mode) {
+        this.settings.layoutMode = LAYOUT_MODES[mode] ? mode : DEFAULT_LAYOUT_MODE;
+
+        if (this.elements.layoutModeSelect) {
+            this.elements.layoutModeSelect.value = this.settings.layoutMode;
+        }
+    }
+
     /**
      * 设置选中的经典
      */
@@ -264,6 +795,71 @@ export class SettingsControls {
         this.updateCustomTextVisibility();
     }
 
+    /**
+     * 填充分类和难度筛选项（来自经书索引）
+     */
+    setSutraFilterOptions(categories, difficulties) {
+        const fillOptions = (select, items, allLabel) => {
+            if (!select) return;
+
+            select.innerHTML = '';
+            select.appendChild(new Option(allLabel, ''));
+            items.forEach(item => {
+                const option = new Option(item.name, item.id);
+                option.title = item.description || '';
+                select.appendChild(option);
+            });
+        };
+
+        fillOptions(this.elements.sutraCategoryFilter, categories, '全部分类');
+        fillOptions(this.elements.sutraDifficultyFilter, difficulties, '全部难度');
+    }
+
+    /**
+     * 填充经典下拉菜单
+     * 当前选中的经典即使不在筛选结果中也会保留，避免选择被意外切换
+     */
+    setSutraOptions(sutras, allSutras = sutras) {
+        this.sutraOptions = { sutras, allSutras };
+        if (!this.elements.sutraSelect) return;
+
+        const visibleSutras = [...sutras];
+        const selected = allSutras.find(sutra => sutra.id === this.settings.selectedSutra);
+        if (selected && !visibleSutras.includes(selected)) {
+            visibleSutras.unshift(selected);
+        }
+
+        const select = this.elements.sutraSelect;
+        select.innerHTML = '';
+        visibleSutras.forEach(sutra => {
+            const option = new Option(sutra.title, sutra.id);
+            option.title = sutra.description || '';
+            select.appendChild(option);
+        });
+
+        if (this.customTexts.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = '我的文本';
+            this.customTexts.forEach(text => {
+                const option = new Option(text.category ? `${text.title}（${text.category}）` : text.title, text.value);
+                option.title = text.tags.join('、');
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        }
+        select.appendChild(new Option('新建自定义文本', 'custom'));
+
+        select.value = this.settings.selectedSutra;
+    }
+
+    /**
+     * 设置文本库中的文本 [{ value, title, category, tags }]，并刷新经典选择
+     */
+    setCustomTextOptions(texts) {
+        this.customTexts = texts;
+        this.setSutraOptions(this.sutraOptions.sutras, this.sutraOptions.allSutras);
+    }
+
     /**
      * 设置自定义文本
      */
@@ -275,11 +871,40 @@ export class SettingsControls {
         }
     }
 
+    /**
+     * 设置音频引擎类型
+     */
+    setAudioEngine(type) {
+        this.settings.audioEngine = type;
+
+        if (this.elements.audioEngineSelect) {
+            this.elements.audioEngineSelect.value = type;
+        }
+    }
+
+    /**
+     * 设置启用的法器提示规则
+     */
+    setCueRules(ruleIds) {
+        this.settings.cueRules = normalizeCueRules(ruleIds);
+
+        if (this.elements.cueRulesContainer) {
+            this.elements.cueRulesContainer.querySelectorAll('input[data-cue-rule]').forEach(checkbox => {
+                checkbox.checked = this.settings.cueRules.includes(checkbox.dataset.cueRule);
+            });
+        }
+    }
+
     /**
      * 获取当前设置
      */
     getSettings() {
-        return { ...this.settings };
+        return {
+            ...this.settings,
+            cueRules: [...this.settings.cueRules],
+            punctuationPauses: { ...this.settings.punctuationPauses },
+            tempoKeyframes: this.settings.tempoKeyframes.map(keyframe => ({ ...keyframe }))
+        };
     }
 
     /**
@@ -290,9 +915,33 @@ export class SettingsControls {
             this.setPlaybackSpeed(settings.playbackSpeed);
         }
         
+        if (settings.tempoKeyframes !== undefined) {
+            this.setTempoCurve(settings.tempoKeyframes);
+        }
+
+        if (settings.rhythmPattern !== undefined) {
+            this.setRhythmPattern(settings.rhythmPattern);
+        }
+
+        if (settings.punctuationPauses !== undefined) {
+            this.setPunctuationPauses(settings.punctuationPauses);
+        }
+
         if (settings.fontSize !== undefined) {
             this.setFontSize(settings.fontSize);
         }
+
+        if (settings.phoneticMode !== undefined) {
+            this.setPhoneticMode(settings.phoneticMode);
+        }
+
+        if (settings.scriptMode !== undefined) {
+            this.setScriptMode(settings.scriptMode);
+        }
+
+        if (settings.layoutMode !== undefined) {
+            this.setLayoutMode(settings.layoutMode);
+        }
         
         if (settings.selectedSutra !== undefined) {
             this.setSelectedSutra(settings.selectedSutra);
@@ -301,6 +950,14 @@ export class SettingsControls {
         if (settings.customText !== undefined) {
             this.setCustomText(settings.customText);
         }
+
+        if (settings.audioEngine !== undefined) {
+            this.setAudioEngine(settings.audioEngine);
+        }
+
+        if (settings.cueRules !== undefined) {
+            this.setCueRules(settings.cueRules);
+        }
         
         console.log('设置已应用:', settings);
     }
@@ -313,7 +970,15 @@ export class SettingsControls {
             playbackSpeed: 1.0,
             fontSize: 2,
             selectedSutra: 'amitabha',
-            customText: ''
+            customText: '',
+            audioEngine: 'auto',
+            cueRules: [...DEFAULT_CUE_RULES],
+            tempoKeyframes: getPresetKeyframes(DEFAULT_TEMPO_PRESET),
+            rhythmPattern: DEFAULT_RHYTHM_PATTERN,
+            punctuationPauses: { ...DEFAULT_PUNCTUATION_PAUSES },
+            phoneticMode: DEFAULT_PHONETIC_MODE,
+            scriptMode: DEFAULT_SCRIPT_MODE,
+            layoutMode: DEFAULT_LAYOUT_MODE
         };
         
         this.applySettings(defaultSettings);
@@ -360,8 +1025,22 @@ export class SettingsControls {
     setCallbacks(callbacks) {
         if (callbacks.onSpeedChange) this.onSpeedChange = callbacks.onSpeedChange;
         if (callbacks.onFontSizeChange) this.onFontSizeChange = callbacks.onFontSizeChange;
+        if (callbacks.onPhoneticModeChange) this.onPhoneticModeChange = callbacks.onPhoneticModeChange;
+        if (callbacks.onScriptModeChange) this.onScriptModeChange = callbacks.onScriptModeChange;
+        if (callbacks.onLayoutModeChange) this.onLayoutModeChange = callbacks.onLayoutModeChange;
         if (callbacks.onSutraChange) this.onSutraChange = callbacks.onSutraChange;
         if (callbacks.onCustomTextChange) this.onCustomTextChange = callbacks.onCustomTextChange;
+        if (callbacks.onAudioEngineChange) this.onAudioEngineChange = callbacks.onAudioEngineChange;
+        if (callbacks.onSutraFilterChange) this.onSutraFilterChange = callbacks.onSutraFilterChange;
+        if (callbacks.onCueRulesChange) this.onCueRulesChange = callbacks.onCueRulesChange;
+        if (callbacks.onTempoCurveChange) this.onTempoCurveChange = callbacks.onTempoCurveChange;
+        if (callbacks.onRhythmPatternChange) this.onRhythmPatternChange = callbacks.onRhythmPatternChange;
+        if (callbacks.onPunctuationPausesChange) this.onPunctuationPausesChange = callbacks.onPunctuationPausesChange;
+        if (callbacks.onOpenTextLibrary) this.onOpenTextLibrary = callbacks.onOpenTextLibrary;
+        if (callbacks.onSaveCustomText) this.onSaveCustomText = callbacks.onSaveCustomText;
+        if (callbacks.onImportTextFile) this.onImportTextFile = callbacks.onImportTextFile;
+        if (callbacks.onBackup) this.onBackup = callbacks.onBackup;
+        if (callbacks.onRestore) this.onRestore = callbacks.onRestore;
     }
 
     /**
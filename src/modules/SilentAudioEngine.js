@@ -0,0 +1,43 @@
+/**
+ * 静音音频引擎
+ * 按与真实引擎相同的节奏推进序列和高亮，但不发出任何声音
+ *
+ * 用于不支持 Web Audio 的设备，以及需要替换掉真实音频的测试场景。
+ */
+import WebAudioEngine from './WebAudioEngine.js';
+
+export class SilentAudioEngine extends WebAudioEngine {
+    constructor(options = {}) {
+        super();
+
+        // 模拟开始颂钵的时长（毫秒），测试中可设为 0
+        this.bowlDuration = options.bowlDuration !== undefined ? options.bowlDuration : 3000;
+
+        console.log('SilentAudioEngine 初始化完成');
+    }
+
+    /**
+     * 不需要AudioContext
+     */
+    async initializeAudioContext() {
+    }
+
+    /**
+     * 没有需要加载的音频
+     */
+    async preloadAudioFiles() {
+        console.log('静音引擎：跳过音频预加载');
+        return [];
+    }
+
+    /**
+     * 不发声，只模拟等待时长
+     */
+    async playAudio(audioKey, noWait = false, options = {}) {
+        if (noWait || audioKey !== 'bowl' || this.bowlDuration <= 0) {
+            return;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.bowlDuration));
+    }
+}
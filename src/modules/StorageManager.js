@@ -1,6 +1,21 @@
+import { DEFAULT_CUE_RULES } from './CueRules.js';
+import { DEFAULT_TEMPO_PRESET, getPresetKeyframes } from './TempoCurves.js';
+import { DEFAULT_RHYTHM_PATTERN } from './RhythmPatterns.js';
+import { DEFAULT_PUNCTUATION_PAUSES, normalizePunctuationPauses } from './PunctuationPauses.js';
+import { DEFAULT_PHONETIC_MODE } from './PhoneticAnnotations.js';
+import { DEFAULT_SCRIPT_MODE } from './ScriptConverter.js';
+import { DEFAULT_LAYOUT_MODE } from './LyricsTextManager.js';
+import { IndexedDBStore } from './IndexedDBStore.js';
+import { SCHEMA_VERSION, parseSchemaVersion, runMigrations, validateSnapshot } from './DataMigrations.js';
+import { planImport } from './DataBackup.js';
+
 /**
  * 本地存储管理器
  * 负责用户设置和播放进度的持久化存储
+ *
+ * 数据优先保存在 IndexedDB：启动时整体读入内存缓存，saveData/loadData 仍为同步接口，
+ * 写入先更新缓存再异步落盘。IndexedDB 不可用时退回 localStorage。
+ * 使用前应等待 ready，首次就绪时会把旧版 localStorage 中的数据迁移过来。
  */
 export class StorageManager {
     constructor() {
@@ -9,11 +24,27 @@ export class StorageManager {
             settings: 'settings',
             progress: 'progress',
             customTexts: 'custom-texts',
-            preferences: 'preferences'
+            preferences: 'preferences',
+            recitation: 'recitation',
+            practiceLog: 'practice-log',
+            schemaVersion: 'schema-version'
         };
+
+        // 参与迁移和备份的数据项（storageKeys 中除版本号外的全部）
+        this.snapshotFields = ['settings', 'progress', 'customTexts', 'preferences', 'recitation', 'practiceLog'];
+
+        this.maxPracticeSessions = 2000; // 修行记录最多保留的条数，超出时丢弃最早的
+
+        this.backend = 'localStorage'; // 当前使用的存储：indexedDB 或 localStorage
+        this.cache = new Map();        // IndexedDB 数据的内存副本（完整存储键 → 记录）
+        this.database = IndexedDBStore.isSupported() ? new IndexedDBStore() : null;
+        this.onStorageError = null;    // (error, key)，保存失败（如存储空间不足）时
         
         // 检查localStorage可用性
         this.isStorageAvailable = this.checkStorageAvailability();
+
+        // 打开 IndexedDB 并迁移 localStorage 中的数据
+        this.ready = this.initializeDatabase();
         
         console.log('StorageManager 初始化完成', {
             available: this.isStorageAvailable
@@ -134,9 +165,122 @@ export class StorageManager {
     }
 
     /**
-     * 保存数据到localStorage
+     * 设置回调函数
+     */
+    setCallbacks(callbacks) {
+        if (callbacks.onStorageError) this.onStorageError = callbacks.onStorageError;
+    }
+
+    /**
+     * 打开 IndexedDB，读入全部数据并迁移 localStorage 中的旧数据
+     * 失败时继续使用 localStorage
+     */
+    async initializeDatabase() {
+        if (!this.database) {
+            console.warn('IndexedDB 不可用，使用 localStorage');
+            this.migrateData();
+            return this.backend;
+        }
+
+        try {
+            this.cache = await this.database.getAll();
+            await this.migrateFromLocalStorage();
+            this.backend = 'indexedDB';
+            console.log('IndexedDB 存储已就绪:', this.cache.size, '项');
+        } catch (error) {
+            console.warn('IndexedDB 打开失败，使用 localStorage:', error);
+            this.cache = new Map();
+        }
+
+        this.migrateData();
+        return this.backend;
+    }
+
+    /**
+     * 把 localStorage 中的数据搬到 IndexedDB
+     * localStorage 中的记录不旧于 IndexedDB 时才覆盖（上次 IndexedDB 不可用时写入的数据），迁移后删除
+     */
+    async migrateFromLocalStorage() {
+        if (!this.isStorageAvailable) {
+            return;
+        }
+
+        for (const key of Object.values(this.storageKeys)) {
+            const storageKey = this.getStorageKey(key);
+            const jsonData = localStorage.getItem(storageKey);
+            if (!jsonData) {
+                continue;
+            }
+
+            try {
+                const record = JSON.parse(jsonData);
+                const existing = this.cache.get(storageKey);
+
+                if (record && typeof record === 'object' && 'data' in record &&
+                    (!existing || (record.timestamp || 0) >= (existing.timestamp || 0))) {
+                    await this.database.put(storageKey, record);
+                    this.cache.set(storageKey, record);
+                    console.log(`数据已迁移到 IndexedDB: ${key}`);
+                }
+
+                localStorage.removeItem(storageKey);
+            } catch (error) {
+                // 迁移失败的项保留在 localStorage 中，下次启动再试
+                console.error(`迁移数据失败 (${key}):`, error);
+                if (this.isQuotaError(error)) {
+                    this.reportStorageError(error, key);
+                }
+            }
+        }
+    }
+
+    /**
+     * 是否为存储空间不足的错误
+     */
+    isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+
+    /**
+     * 报告保存失败
+     */
+    reportStorageError(error, key) {
+        const storageError = this.isQuotaError(error)
+            ? new Error('存储空间不足，数据未能保存')
+            : error;
+
+        if (this.onStorageError) {
+            this.onStorageError(storageError, key);
+        }
+    }
+
+    /**
+     * 保存数据（IndexedDB 可用时先写缓存再异步落盘，否则写入localStorage）
      */
     saveData(key, data) {
+        const record = {
+            data: data,
+            timestamp: Date.now(),
+            version: '1.0'
+        };
+
+        if (this.backend === 'indexedDB') {
+            const storageKey = this.getStorageKey(key);
+            this.cache.set(storageKey, structuredClone(record));
+            this.database.put(storageKey, record)
+                .then(() => console.log(`数据已保存: ${key}`))
+                .catch(error => {
+                    console.error(`保存数据失败 (${key}):`, error);
+                    this.reportStorageError(error, key);
+                });
+            return true;
+        }
+
         if (!this.isStorageAvailable) {
             console.warn('存储不可用，无法保存数据');
             return false;
@@ -144,25 +288,27 @@ export class StorageManager {
 
         try {
             const storageKey = this.getStorageKey(key);
-            const jsonData = JSON.stringify({
-                data: data,
-                timestamp: Date.now(),
-                version: '1.0'
-            });
+            const jsonData = JSON.stringify(record);
             
             localStorage.setItem(storageKey, jsonData);
             console.log(`数据已保存: ${key}`);
             return true;
         } catch (error) {
             console.error(`保存数据失败 (${key}):`, error);
+            this.reportStorageError(error, key);
             return false;
         }
     }
 
     /**
-     * 从localStorage加载数据
+     * 加载数据（返回副本，修改后需再次 saveData）
      */
     loadData(key, defaultValue = null) {
+        if (this.backend === 'indexedDB') {
+            const record = this.cache.get(this.getStorageKey(key));
+            return record ? structuredClone(record.data) : defaultValue;
+        }
+
         if (!this.isStorageAvailable) {
             console.warn('存储不可用，返回默认值');
             return defaultValue;
@@ -196,6 +342,15 @@ export class StorageManager {
      * 删除存储的数据
      */
     removeData(key) {
+        if (this.backend === 'indexedDB') {
+            const storageKey = this.getStorageKey(key);
+            this.cache.delete(storageKey);
+            this.database.delete(storageKey)
+                .then(() => console.log(`数据已删除: ${key}`))
+                .catch(error => console.error(`删除数据失败 (${key}):`, error));
+            return true;
+        }
+
         if (!this.isStorageAvailable) {
             console.warn('存储不可用，无法删除数据');
             return false;
@@ -221,6 +376,14 @@ export class StorageManager {
             fontSize: settings.fontSize || 2,
             selectedSutra: settings.selectedSutra || 'amitabha',
             customText: settings.customText || '',
+            audioEngine: settings.audioEngine || 'auto',
+            cueRules: Array.isArray(settings.cueRules) ? settings.cueRules : [...DEFAULT_CUE_RULES],
+            tempoKeyframes: Array.isArray(settings.tempoKeyframes) ? settings.tempoKeyframes : getPresetKeyframes(DEFAULT_TEMPO_PRESET),
+            rhythmPattern: settings.rhythmPattern || DEFAULT_RHYTHM_PATTERN,
+            punctuationPauses: normalizePunctuationPauses(settings.punctuationPauses),
+            phoneticMode: settings.phoneticMode || DEFAULT_PHONETIC_MODE,
+            scriptMode: settings.scriptMode || DEFAULT_SCRIPT_MODE,
+            layoutMode: settings.layoutMode || DEFAULT_LAYOUT_MODE,
             lastUpdated: Date.now()
         };
 
@@ -235,7 +398,15 @@ export class StorageManager {
             playbackSpeed: 1.0,
             fontSize: 2,
             selectedSutra: 'amitabha',
-            customText: ''
+            customText: '',
+            audioEngine: 'auto',
+            cueRules: [...DEFAULT_CUE_RULES],
+            tempoKeyframes: getPresetKeyframes(DEFAULT_TEMPO_PRESET),
+            rhythmPattern: DEFAULT_RHYTHM_PATTERN,
+            punctuationPauses: { ...DEFAULT_PUNCTUATION_PAUSES },
+            phoneticMode: DEFAULT_PHONETIC_MODE,
+            scriptMode: DEFAULT_SCRIPT_MODE,
+            layoutMode: DEFAULT_LAYOUT_MODE
         };
 
         return this.loadData(this.storageKeys.settings, defaultSettings);
@@ -291,6 +462,103 @@ export class StorageManager {
         return true;
     }
 
+    /**
+     * 保存计数诵读设置（目标遍数，0 为关闭；遍间是否敲颂钵）
+     */
+    saveRecitationConfig(config) {
+        const recitationData = this.loadData(this.storageKeys.recitation, { config: null, tallies: {} });
+
+        recitationData.config = {
+            target: Math.max(0, parseInt(config.target, 10) || 0),
+            bowlBetween: !!config.bowlBetween
+        };
+
+        return this.saveData(this.storageKeys.recitation, recitationData);
+    }
+
+    /**
+     * 加载计数诵读设置
+     */
+    loadRecitationConfig() {
+        const recitationData = this.loadData(this.storageKeys.recitation, { config: null, tallies: {} });
+        return recitationData.config || { target: 0, bowlBetween: false };
+    }
+
+    /**
+     * 记录完成的一遍
+     * total 为该经累计遍数；round 为本次计数已完成的遍数，达到目标后归零并计入 sessions
+     */
+    recordRecitationRound(textId, { target, round }) {
+        if (!textId) {
+            return false;
+        }
+
+        const recitationData = this.loadData(this.storageKeys.recitation, { config: null, tallies: {} });
+        const tally = recitationData.tallies[textId] || { total: 0, sessions: 0, target: 0, round: 0 };
+
+        tally.total++;
+        tally.target = target;
+        tally.round = round >= target ? 0 : round;
+        if (round >= target) {
+            tally.sessions++;
+        }
+        tally.updatedAt = Date.now();
+
+        recitationData.tallies[textId] = tally;
+        return this.saveData(this.storageKeys.recitation, recitationData);
+    }
+
+    /**
+     * 加载某部经的计数记录
+     */
+    loadRecitationTally(textId) {
+        const recitationData = this.loadData(this.storageKeys.recitation, { config: null, tallies: {} });
+        return recitationData.tallies[textId] || null;
+    }
+
+    /**
+     * 清除某部经未完成的计数（累计遍数保留）
+     */
+    resetRecitationRound(textId) {
+        const recitationData = this.loadData(this.storageKeys.recitation, { config: null, tallies: {} });
+        const tally = recitationData.tallies[textId];
+
+        if (tally) {
+            tally.round = 0;
+            return this.saveData(this.storageKeys.recitation, recitationData);
+        }
+
+        return true;
+    }
+
+    /**
+     * 追加一条练习记录（见 PracticeLog）
+     */
+    addPracticeSession(session) {
+        if (!session) {
+            return false;
+        }
+
+        const sessions = this.loadPracticeLog();
+        sessions.push(session);
+        return this.saveData(this.storageKeys.practiceLog, sessions.slice(-this.maxPracticeSessions));
+    }
+
+    /**
+     * 加载全部练习记录（按开始时间排序）
+     */
+    loadPracticeLog() {
+        const sessions = this.loadData(this.storageKeys.practiceLog, []);
+        return Array.isArray(sessions) ? sessions : [];
+    }
+
+    /**
+     * 清除练习记录
+     */
+    clearPracticeLog() {
+        return this.removeData(this.storageKeys.practiceLog);
+    }
+
     /**
      * 保存自定义文本
      */
@@ -300,6 +568,9 @@ export class StorageManager {
         customTexts[textId] = {
             content: textData.content || '',
             title: textData.title || '自定义文本',
+            category: textData.category || '',
+            tags: Array.isArray(textData.tags) ? textData.tags : [],
+            format: textData.format === 'sutra' ? 'sutra' : 'text', // sutra 为经文标记格式（导入的文件）
             createdAt: textData.createdAt || Date.now(),
             updatedAt: Date.now()
         };
@@ -367,9 +638,10 @@ export class StorageManager {
 
     /**
      * 获取存储使用情况
+     * breakdown 为各项数据序列化后的大小；usage/quota 来自 navigator.storage.estimate（不支持时为 null）
      */
-    getStorageUsage() {
-        if (!this.isStorageAvailable) {
+    async getStorageUsage() {
+        if (this.backend !== 'indexedDB' && !this.isStorageAvailable) {
             return null;
         }
 
@@ -380,16 +652,25 @@ export class StorageManager {
             // 计算各个键的存储大小
             Object.values(this.storageKeys).forEach(key => {
                 const storageKey = this.getStorageKey(key);
-                const data = localStorage.getItem(storageKey);
+                const record = this.backend === 'indexedDB' ? this.cache.get(storageKey) : null;
+                const data = record ? JSON.stringify(record) : localStorage.getItem(storageKey);
                 const size = data ? new Blob([data]).size : 0;
                 usage[key] = size;
                 totalSize += size;
             });
 
+            let estimate = null;
+            if (navigator.storage && navigator.storage.estimate) {
+                estimate = await navigator.storage.estimate();
+            }
+
             return {
                 total: totalSize,
                 breakdown: usage,
-                available: this.isStorageAvailable
+                usage: estimate ? estimate.usage : null,
+                quota: estimate ? estimate.quota : null,
+                backend: this.backend,
+                available: this.backend === 'indexedDB' || this.isStorageAvailable
             };
         } catch (error) {
             console.error('获取存储使用情况失败:', error);
@@ -401,7 +682,7 @@ export class StorageManager {
      * 清除所有存储数据
      */
     clearAllData() {
-        if (!this.isStorageAvailable) {
+        if (this.backend !== 'indexedDB' && !this.isStorageAvailable) {
             console.warn('存储不可用，无法清除数据');
             return false;
         }
@@ -428,52 +709,78 @@ export class StorageManager {
             progress: this.loadData(this.storageKeys.progress, {}),
             customTexts: this.getAllCustomTexts(),
             preferences: this.loadPreferences(),
+            recitation: this.loadData(this.storageKeys.recitation, { config: null, tallies: {} }),
+            practiceLog: this.loadPracticeLog(),
             exportedAt: Date.now(),
-            version: '1.0'
+            schemaVersion: SCHEMA_VERSION
         };
 
         return exportData;
     }
 
     /**
-     * 导入数据
+     * 预览导入：把备份升级到当前数据结构后与现有数据比较（不写入）
+     * 返回 { error } 或 { values, changes, fromVersion }，见 DataBackup.planImport
      */
-    importData(importData) {
+    previewImport(importData, strategy = 'merge') {
         if (!importData || typeof importData !== 'object') {
-            console.error('无效的导入数据');
-            return false;
+            return { error: '无效的备份数据' };
+        }
+
+        // 备份先升级到当前数据结构，任何一步失败都不导入
+        const fromVersion = parseSchemaVersion(importData.schemaVersion ?? importData.version);
+        if (fromVersion > SCHEMA_VERSION) {
+            return { error: `备份的数据版本 (${fromVersion}) 高于当前应用支持的版本 (${SCHEMA_VERSION})` };
+        }
+
+        const result = runMigrations(this.pickSnapshot(importData), fromVersion);
+        if (result.error) {
+            return { error: `备份数据升级失败: ${result.error.message}` };
+        }
+
+        const problem = validateSnapshot(result.data);
+        if (problem) {
+            return { error: `备份数据格式有误: ${problem}` };
         }
 
         try {
-            let successCount = 0;
+            return { ...planImport(this.readSnapshot(), result.data, strategy), fromVersion };
+        } catch (error) {
+            console.error('比较备份数据失败:', error);
+            return { error: `备份数据格式有误: ${error.message}` };
+        }
+    }
 
-            // 导入设置
-            if (importData.settings) {
-                if (this.saveSettings(importData.settings)) {
-                    successCount++;
-                }
-            }
+    /**
+     * 导入数据
+     * strategy 为 merge 时与现有数据合并，为 replace 时以备份为准（见 DataBackup）
+     */
+    importData(importData, strategy = 'replace') {
+        const plan = this.previewImport(importData, strategy);
+        if (plan.error) {
+            console.error('导入数据失败:', plan.error);
+            return false;
+        }
 
-            // 导入进度
-            if (importData.progress) {
-                if (this.saveData(this.storageKeys.progress, importData.progress)) {
-                    successCount++;
-                }
-            }
+        try {
+            let successCount = 0;
 
-            // 导入自定义文本
-            if (importData.customTexts) {
-                if (this.saveData(this.storageKeys.customTexts, importData.customTexts)) {
-                    successCount++;
+            Object.entries(plan.values).forEach(([field, value]) => {
+                let saved;
+                if (field === 'settings') {
+                    saved = this.saveSettings(value);
+                } else if (field === 'preferences') {
+                    saved = this.savePreferences(value);
+                } else if (field === 'practiceLog') {
+                    saved = this.saveData(this.storageKeys.practiceLog, value.slice(-this.maxPracticeSessions));
+                } else {
+                    saved = this.saveData(this.storageKeys[field], value);
                 }
-            }
 
-            // 导入偏好设置
-            if (importData.preferences) {
-                if (this.savePreferences(importData.preferences)) {
+                if (saved) {
                     successCount++;
                 }
-            }
+            });
 
             console.log(`数据导入完成: ${successCount} 个项目`);
             return successCount > 0;
@@ -484,14 +791,64 @@ export class StorageManager {
     }
 
     /**
-     * 数据迁移（用于版本升级）
+     * 从数据中取出参与迁移的各项，缺失的项为 null
      */
-    migrateData(fromVersion, toVersion) {
-        console.log(`数据迁移: ${fromVersion} -> ${toVersion}`);
-        
-        // 这里可以添加版本迁移逻辑
-        // 目前只是占位符
-        
+    pickSnapshot(source) {
+        const snapshot = {};
+        this.snapshotFields.forEach(field => {
+            snapshot[field] = source[field] ?? null;
+        });
+        return snapshot;
+    }
+
+    /**
+     * 读取已存储的全部数据项
+     */
+    readSnapshot() {
+        const snapshot = {};
+        this.snapshotFields.forEach(field => {
+            snapshot[field] = this.loadData(this.storageKeys[field], null);
+        });
+        return snapshot;
+    }
+
+    /**
+     * 数据迁移（启动时运行）
+     * 把已存储的数据从记录的结构版本逐步升级到当前版本（见 DataMigrations）；
+     * 某一步失败时只写入此前成功的结果，版本号停在该处，下次启动再试
+     */
+    migrateData() {
+        const storedVersion = this.loadData(this.storageKeys.schemaVersion, null);
+        const snapshot = this.readSnapshot();
+
+        // 全新安装，没有需要迁移的数据
+        if (storedVersion === null && Object.values(snapshot).every(value => value === null)) {
+            this.saveData(this.storageKeys.schemaVersion, SCHEMA_VERSION);
+            return true;
+        }
+
+        const fromVersion = parseSchemaVersion(storedVersion);
+        if (fromVersion >= SCHEMA_VERSION) {
+            return true;
+        }
+
+        console.log(`数据迁移: ${fromVersion} -> ${SCHEMA_VERSION}`);
+        const result = runMigrations(snapshot, fromVersion);
+
+        if (result.version > fromVersion) {
+            this.snapshotFields.forEach(field => {
+                if (result.data[field] !== null) {
+                    this.saveData(this.storageKeys[field], result.data[field]);
+                }
+            });
+            this.saveData(this.storageKeys.schemaVersion, result.version);
+        }
+
+        if (result.error) {
+            this.reportStorageError(new Error(`数据升级到第 ${result.version + 1} 版失败，已保留原数据`), this.storageKeys.schemaVersion);
+            return false;
+        }
+
         return true;
     }
 }
\ No newline at end of file
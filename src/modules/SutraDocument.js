@@ -0,0 +1,259 @@
+/**
+ * 经文文档模型
+ * 解析带标记的经文格式（.sutra），生成显示和音频序列共用的文档结构
+ *
+ * 标记语法（每条标记独占一行，其余行为经文）：
+ *   @title 经名              文档标题
+ *   # 品名                   开始新的一品/章，品名本身也会诵读
+ *   ::: 偈                   开始偈颂段落，以单独一行 ::: 结束
+ *   ::: 咒 ×3                开始咒语段落，×N 表示整段重复 N 遍
+ *   南無阿彌陀佛 ×10         行尾 ×N 表示该句重复 N 遍
+ *   {磬}  {鐘}  {木魚}       法器提示，与其后第一个字同时敲响；位于行尾时与该行最后一字同时敲响
+ *
+ * 纯文本（.txt）视为只有一个散文段落的文档。
+ */
+
+/**
+ * 段落类型
+ */
+export const SECTION_TYPES = {
+    prose: '长行',
+    gatha: '偈颂',
+    mantra: '咒语'
+};
+
+/**
+ * 法器提示名称与提示音（见 CueRules.CUE_SOUNDS）的对应关系
+ */
+export const CUE_INSTRUMENTS = {
+    '磬': 'bowl',
+    '鐘': 'bell',
+    '钟': 'bell',
+    '木魚': 'muyu',
+    '木鱼': 'muyu'
+};
+
+const SECTION_MARKERS = {
+    '偈': 'gatha',
+    '偈頌': 'gatha',
+    '偈颂': 'gatha',
+    '咒': 'mantra',
+    '真言': 'mantra'
+};
+
+const REPEAT_PATTERN = /\s*[×xX*]\s*(\d+)\s*$/;
+const CUE_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * 创建空段落
+ */
+function createSection(type = 'prose', repeat = 1) {
+    return { type, repeat, lines: [] };
+}
+
+/**
+ * 读取并移除行尾的重复标记
+ */
+function extractRepeat(text) {
+    const match = text.match(REPEAT_PATTERN);
+    if (!match) {
+        return { text, repeat: 1 };
+    }
+    return {
+        text: text.slice(0, match.index),
+        repeat: Math.max(1, parseInt(match[1], 10))
+    };
+}
+
+/**
+ * 解析一行经文中的法器提示
+ * 返回去掉提示后的文字和提示列表，position 为提示对应的字在本行中的位置
+ */
+function parseLine(rawText, lineNumber) {
+    const cues = [];
+    let text = '';
+    let lastIndex = 0;
+
+    rawText.replace(CUE_PATTERN, (marker, name, offset) => {
+        text += rawText.slice(lastIndex, offset);
+        lastIndex = offset + marker.length;
+
+        const instrument = CUE_INSTRUMENTS[name.trim()];
+        if (!instrument) {
+            throw new Error(`第 ${lineNumber} 行: 未知的法器提示 ${marker}`);
+        }
+
+        cues.push({ position: text.length, instrument, name: name.trim() });
+        return marker;
+    });
+    text += rawText.slice(lastIndex);
+
+    // 去掉首尾空白后修正提示位置，行尾提示归到最后一个字
+    const leading = text.length - text.trimStart().length;
+    text = text.trim();
+    cues.forEach(cue => {
+        cue.position = Math.min(Math.max(0, cue.position - leading), Math.max(0, text.length - 1));
+    });
+
+    return { text, cues };
+}
+
+/**
+ * 解析带标记的经文
+ */
+export function parseSutraDocument(source, defaults = {}) {
+    const document = {
+        title: defaults.title || '',
+        chapters: []
+    };
+
+    let chapter = null;
+    let section = null;
+    let blockOpen = false;
+
+    const ensureChapter = () => {
+        if (!chapter) {
+            chapter = { title: '', sections: [] };
+            document.chapters.push(chapter);
+        }
+        return chapter;
+    };
+
+    const ensureSection = () => {
+        if (!section) {
+            section = createSection();
+            ensureChapter().sections.push(section);
+        }
+        return section;
+    };
+
+    source.replace(/\r\n?/g, '\n').split('\n').forEach((rawLine, i) => {
+        const lineNumber = i + 1;
+        const line = rawLine.trim();
+
+        if (!line) {
+            return;
+        }
+
+        if (line.startsWith('@title ')) {
+            document.title = line.slice(7).trim();
+            return;
+        }
+
+        if (line.startsWith('#')) {
+            if (blockOpen) {
+                throw new Error(`第 ${lineNumber} 行: 段落未结束就开始了新的一品`);
+            }
+            const { text, cues } = parseLine(line.replace(/^#+/, ''), lineNumber);
+            chapter = { title: text, titleCues: cues, sections: [] };
+            document.chapters.push(chapter);
+            section = null;
+            return;
+        }
+
+        if (line.startsWith(':::')) {
+            const marker = line.slice(3).trim();
+
+            if (!marker) {
+                if (!blockOpen) {
+                    throw new Error(`第 ${lineNumber} 行: 多余的段落结束标记`);
+                }
+                blockOpen = false;
+                section = null;
+                return;
+            }
+
+            const { text: name, repeat } = extractRepeat(marker);
+            const type = SECTION_MARKERS[name.trim()];
+            if (!type) {
+                throw new Error(`第 ${lineNumber} 行: 未知的段落类型 ${name}`);
+            }
+            if (blockOpen) {
+                throw new Error(`第 ${lineNumber} 行: 段落不能嵌套`);
+            }
+
+            blockOpen = true;
+            section = createSection(type, repeat);
+            ensureChapter().sections.push(section);
+            return;
+        }
+
+        const { text: lineText, repeat } = extractRepeat(line);
+        const { text, cues } = parseLine(lineText, lineNumber);
+        if (text) {
+            ensureSection().lines.push({ text, repeat, cues });
+        }
+    });
+
+    if (blockOpen) {
+        throw new Error('段落缺少结束标记 :::');
+    }
+
+    return document;
+}
+
+/**
+ * 把纯文本包装成文档（每行一句，全部为长行）
+ */
+export function createPlainDocument(text, title = '') {
+    const section = createSection();
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed) {
+            section.lines.push({ text: trimmed, repeat: 1, cues: [] });
+        }
+    });
+
+    return {
+        title,
+        chapters: [{ title: '', sections: [section] }]
+    };
+}
+
+/**
+ * 展开文档为诵读顺序的行列表
+ * 重复的段落和句子会按遍数展开，每行保留其所属的品、段落和遍次
+ */
+export function flattenSutraDocument(document) {
+    const lines = [];
+
+    document.chapters.forEach((chapter, chapterIndex) => {
+        if (chapter.title) {
+            lines.push({
+                text: chapter.title,
+                type: 'heading',
+                chapterIndex,
+                sectionIndex: -1,
+                repeatIndex: 0,
+                cues: chapter.titleCues || []
+            });
+        }
+
+        chapter.sections.forEach((section, sectionIndex) => {
+            for (let round = 0; round < section.repeat; round++) {
+                section.lines.forEach(line => {
+                    for (let lineRound = 0; lineRound < line.repeat; lineRound++) {
+                        lines.push({
+                            text: line.text,
+                            type: section.type,
+                            chapterIndex,
+                            sectionIndex,
+                            repeatIndex: round * line.repeat + lineRound,
+                            cues: line.cues
+                        });
+                    }
+                });
+            }
+        });
+    });
+
+    return lines;
+}
+
+/**
+ * 把文档还原为纯文本（用于统计和自定义文本回填）
+ */
+export function documentToPlainText(document) {
+    return flattenSutraDocument(document).map(line => line.text).join('\n');
+}
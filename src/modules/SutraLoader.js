@@ -1,8 +1,15 @@
 /**
  * 经书数据加载器
  * 负责加载经书列表和内容
+ *
+ * 索引随应用加载，经文内容在 loadSutraContent 时按需动态导入，
+ * 分类和难度筛选项均来自 index.json。
+ *
+ * .sutra 文件按标记格式解析为文档模型（品、偈颂、咒语、重复和法器提示），
+ * .txt 文件视为每行一句的纯文本，两者都以 document 字段提供给显示和音频序列。
  */
 import sutrasData from '../data/sutras/index.js';
+import { parseSutraDocument, createPlainDocument } from './SutraDocument.js';
 
 export class SutraLoader {
     constructor() {
@@ -16,12 +23,9 @@ export class SutraLoader {
     async loadSutrasIndex() {
         try {
             console.log('开始加载经书索引...');
-            console.log('sutrasData:', sutrasData);
-            console.log('sutrasData.index:', sutrasData.index);
-            console.log('sutrasData.content:', sutrasData.content);
 
             this.sutrasIndex = sutrasData.index;
-            console.log('经书索引加载成功:', this.sutrasIndex);
+            console.log(`经书索引加载成功: ${this.sutrasIndex.sutras.length} 部经书`);
             return this.sutrasIndex;
         } catch (error) {
             console.error('加载经书索引失败:', error);
@@ -65,25 +69,24 @@ export class SutraLoader {
 
         try {
             console.log(`开始加载经书内容: ${sutraId}`);
-            console.log('可用的经书内容:', Object.keys(sutrasData.content));
 
-            let content = sutrasData.content[sutraId];
-            console.log(`经书 ${sutraId} 的原始内容:`, content ? content.substring(0, 100) + '...' : 'null');
-
-            // 如果内容为空，尝试备用加载方法
-            if (!content) {
-                console.warn(`经书内容为空，尝试备用加载方法: ${sutraId}`);
-                content = await this.loadSutraContentFallback(sutraId);
+            const loadContent = sutrasData.getContentLoader(sutraInfo.filename);
+            if (!loadContent) {
+                throw new Error(`经书文件不存在: ${sutraInfo.filename}`);
             }
 
-            if (!content) {
-                throw new Error(`经书内容未找到: ${sutraId}`);
+            const content = await loadContent();
+            if (!content || !content.trim()) {
+                throw new Error(`经书内容为空: ${sutraId}`);
             }
 
+            const document = this.parseSutraContent(content, sutraInfo);
+
             // 缓存内容
             this.loadedSutras.set(sutraId, {
                 info: sutraInfo,
-                content: content.trim()
+                content: content.trim(),
+                document
             });
 
             console.log(`经书内容加载成功: ${sutraInfo.title}, 内容长度: ${content.length}`);
@@ -95,25 +98,18 @@ export class SutraLoader {
     }
 
     /**
-     * 备用经书内容加载方法
+     * 根据文件类型把经文内容解析为文档模型
      */
-    async loadSutraContentFallback(sutraId) {
-        try {
-            console.log(`尝试备用方法加载经书: ${sutraId}`);
-
-            // 如果是阿弥陀经，返回硬编码的内容作为备用
-            if (sutraId === 'amitabha') {
-                const fallbackContent = `佛說阿彌陀經如是我聞一時佛在舍衛國祇樹給孤獨園與大比丘僧千二百五十人俱皆是大阿羅漢眾所知識長老舍利弗摩訶目犍連摩訶迦葉摩訶迦栴延摩訶拘絺羅離婆多周梨槃陀迦難陀阿難陀羅睺羅憍梵波提賓頭盧頗羅墮迦留陀夷摩訶劫賓那薄俱羅阿㝹樓馱如是等諸大弟子并諸菩薩摩訶薩文殊師利法王子阿逸多菩薩乾陀訶提菩薩常精進菩薩與如是等諸大菩薩及釋提桓因等無量諸天大眾俱爾時佛告長老舍利弗從是西方過十萬億佛土有世界名曰極樂其土有佛號阿彌陀今現在說法舍利弗彼土何故名為極樂其國眾生無有眾苦但受諸樂故名極樂`;
-                console.log('使用备用阿弥陀经内容');
-                return fallbackContent;
+    parseSutraContent(content, sutraInfo) {
+        if (sutraInfo.filename.endsWith('.sutra')) {
+            try {
+                return parseSutraDocument(content, { title: sutraInfo.title });
+            } catch (error) {
+                throw new Error(`经书格式错误 (${sutraInfo.filename}): ${error.message}`);
             }
-
-            // 其他经书可以在这里添加
-            return null;
-        } catch (error) {
-            console.error('备用加载方法失败:', error);
-            return null;
         }
+
+        return createPlainDocument(content, sutraInfo.title);
     }
 
     /**
@@ -126,6 +122,37 @@ export class SutraLoader {
         return this.sutrasIndex.categories;
     }
 
+    /**
+     * 获取难度列表
+     */
+    getDifficulties() {
+        if (!this.sutrasIndex) {
+            throw new Error('经书索引未加载，请先调用 loadSutrasIndex()');
+        }
+        return this.sutrasIndex.difficulties || [];
+    }
+
+    /**
+     * 按分类和难度筛选经书，筛选值为空表示不限
+     */
+    filterSutras(filters = {}) {
+        if (!this.sutrasIndex) {
+            throw new Error('经书索引未加载，请先调用 loadSutrasIndex()');
+        }
+
+        const category = filters.category
+            ? this.sutrasIndex.categories.find(cat => cat.id === filters.category)
+            : null;
+        const difficulty = filters.difficulty
+            ? this.getDifficulties().find(item => item.id === filters.difficulty)
+            : null;
+
+        return this.sutrasIndex.sutras.filter(sutra =>
+            (!category || sutra.category === category.name) &&
+            (!difficulty || sutra.difficulty === difficulty.name)
+        );
+    }
+
     /**
      * 根据分类获取经书
      */
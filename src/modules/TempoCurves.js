@@ -0,0 +1,153 @@
+/**
+ * 速度曲线
+ * 用关键帧描述一次诵读中速度的变化（起腔慢、中段渐快、收尾渐慢），
+ * 序列构建器据此计算每一击的间隔。
+ *
+ * 关键帧的 speed 是相对于播放速度的倍数，位置可以用百分比（percent，0-100）
+ * 或字符索引（index）表示，两者可混用，关键帧之间线性插值。
+ */
+
+/**
+ * 预设曲线
+ */
+export const TEMPO_PRESETS = {
+    constant: {
+        label: '匀速',
+        keyframes: [{ percent: 0, speed: 1.0 }]
+    },
+    traditional: {
+        label: '传统（慢起、渐快、慢收）',
+        keyframes: [
+            { percent: 0, speed: 0.6 },
+            { percent: 15, speed: 1.0 },
+            { percent: 85, speed: 1.2 },
+            { percent: 100, speed: 0.6 }
+        ]
+    },
+    accelerando: {
+        label: '渐快',
+        keyframes: [
+            { percent: 0, speed: 0.7 },
+            { percent: 100, speed: 1.5 }
+        ]
+    },
+    ritardando: {
+        label: '渐慢',
+        keyframes: [
+            { percent: 0, speed: 1.2 },
+            { percent: 100, speed: 0.6 }
+        ]
+    }
+};
+
+export const DEFAULT_TEMPO_PRESET = 'constant';
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4.0;
+
+/**
+ * 取得预设的关键帧副本
+ */
+export function getPresetKeyframes(presetId) {
+    const preset = TEMPO_PRESETS[presetId] || TEMPO_PRESETS[DEFAULT_TEMPO_PRESET];
+    return preset.keyframes.map(keyframe => ({ ...keyframe }));
+}
+
+/**
+ * 校验关键帧，去掉无效项；全部无效时退回匀速
+ */
+export function normalizeKeyframes(keyframes) {
+    const valid = (Array.isArray(keyframes) ? keyframes : [])
+        .filter(keyframe => keyframe && Number.isFinite(keyframe.speed) &&
+            (Number.isFinite(keyframe.percent) || Number.isInteger(keyframe.index)))
+        .map(keyframe => {
+            const speed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, keyframe.speed));
+            return Number.isFinite(keyframe.percent)
+                ? { percent: Math.min(100, Math.max(0, keyframe.percent)), speed }
+                : { index: Math.max(0, keyframe.index), speed };
+        });
+
+    return valid.length > 0 ? valid : getPresetKeyframes(DEFAULT_TEMPO_PRESET);
+}
+
+/**
+ * 解析关键帧文本
+ * 格式：逗号分隔的“位置:倍数”，位置为百分比（如 15%）或 # 加字符序号（如 #120），
+ * 例如 "0%:0.6, 15%:1, #300:1.2, 100%:0.6"
+ */
+export function parseKeyframes(text) {
+    const keyframes = [];
+
+    String(text || '').split(/[,，\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^(#\s*(\d+)|(\d+(?:\.\d+)?)\s*%)\s*[:：]\s*(\d+(?:\.\d+)?)\s*x?$/i);
+        if (!match) {
+            throw new Error(`无法识别的速度关键帧: ${part}`);
+        }
+
+        const speed = parseFloat(match[4]);
+        if (match[2] !== undefined) {
+            keyframes.push({ index: parseInt(match[2], 10), speed });
+        } else {
+            keyframes.push({ percent: parseFloat(match[3]), speed });
+        }
+    });
+
+    if (keyframes.length === 0) {
+        throw new Error('速度曲线至少需要一个关键帧');
+    }
+
+    return normalizeKeyframes(keyframes);
+}
+
+/**
+ * 把关键帧格式化为可编辑的文本
+ */
+export function formatKeyframes(keyframes) {
+    return normalizeKeyframes(keyframes)
+        .map(keyframe => {
+            const position = Number.isFinite(keyframe.percent) ? `${keyframe.percent}%` : `#${keyframe.index}`;
+            return `${position}:${keyframe.speed}`;
+        })
+        .join(', ');
+}
+
+/**
+ * 查找与关键帧一致的预设，没有则返回 custom
+ */
+export function findPresetId(keyframes) {
+    const text = formatKeyframes(keyframes);
+    const presetId = Object.keys(TEMPO_PRESETS)
+        .find(id => formatKeyframes(TEMPO_PRESETS[id].keyframes) === text);
+    return presetId || 'custom';
+}
+
+/**
+ * 创建速度函数
+ * 返回的函数接收字符索引，给出该字的速度倍数
+ */
+export function createTempoCurve(keyframes, textLength) {
+    const lastIndex = Math.max(1, textLength - 1);
+    const points = normalizeKeyframes(keyframes)
+        .map(keyframe => ({
+            index: Number.isFinite(keyframe.percent) ? (keyframe.percent / 100) * lastIndex : keyframe.index,
+            speed: keyframe.speed
+        }))
+        .sort((a, b) => a.index - b.index);
+
+    return (charIndex) => {
+        if (charIndex <= points[0].index) {
+            return points[0].speed;
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const next = points[i];
+            if (charIndex <= next.index) {
+                const prev = points[i - 1];
+                const ratio = (charIndex - prev.index) / (next.index - prev.index || 1);
+                return prev.speed + (next.speed - prev.speed) * ratio;
+            }
+        }
+
+        return points[points.length - 1].speed;
+    };
+}
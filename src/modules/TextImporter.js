@@ -0,0 +1,476 @@
+/**
+ * 经文文件导入
+ * 在浏览器中离线读取 .txt、.md、.epub、.docx 文件，提取标题和章节，
+ * 结果可转换为经文标记格式（见 SutraDocument）存入文本库。
+ *
+ * 导入结果：{ title, chapters: [{ title, lines: [句子] }] }
+ */
+import { ZipReader } from './ZipReader.js';
+
+export const IMPORT_FILE_ACCEPT = '.txt,.text,.md,.markdown,.epub,.docx';
+
+/**
+ * 导入文本的最大长度（字符），过长的文本会拖慢逐字渲染
+ */
+export const MAX_IMPORT_LENGTH = 200000;
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// 常用字（简繁兼收，含常见佛经用字），用于判断 GBK 和 Big5 哪种解码更合理
+const COMMON_CHARACTERS = new Set(
+    '的一是不了人我在有他这這个個们們中来來上大为為和国國地到以说說时時要就出会會可也你对對生能而子那得于於着著下自之年' +
+    '过過发發后後作里裡用道行所然家种種事成方多经經么麼去法学學如都同现現当當没沒动動面起看定天分还還进進好小部其些主样樣' +
+    '理心佛菩萨薩世尊诸諸众眾无無若善男女阿弥彌陀舍利弗言尔爾故即空色相见見闻聞觉覺受想识識界念名身意住此彼亦复復皆'
+);
+
+/**
+ * 去掉文件扩展名
+ */
+function getBaseName(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * 常用字命中数，减去乱码（替换字符）的惩罚
+ */
+function scoreDecodedText(text) {
+    let score = 0;
+    for (const char of text) {
+        if (COMMON_CHARACTERS.has(char)) score++;
+        else if (char === '�') score -= 5;
+    }
+    return score;
+}
+
+/**
+ * 解码文本文件：识别 BOM 和 UTF-8，否则在 GBK（GB18030）和 Big5 之间择优
+ * 返回 { text, encoding }
+ */
+export function decodeText(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch (error) {
+        // 不是 UTF-8，继续尝试中文编码
+    }
+
+    const sample = bytes.subarray(0, 64 * 1024);
+    const candidates = ['gb18030', 'big5'].map(encoding => ({
+        encoding,
+        score: scoreDecodedText(new TextDecoder(encoding).decode(sample))
+    }));
+    const best = candidates.sort((a, b) => b.score - a.score)[0];
+
+    return { text: new TextDecoder(best.encoding).decode(bytes), encoding: best.encoding };
+}
+
+/**
+ * 按行整理文本：去掉首尾空白和空行
+ */
+function toLines(text) {
+    return text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * 纯文本中的章节标题：第一品、第二章、卷第三、方便品第二、Chapter 1 等
+ */
+const CHAPTER_HEADING = /^(第[一二三四五六七八九十百千零〇两兩\d]+[品章卷回篇节節分會会]|卷[第]?[一二三四五六七八九十百千零〇\d]+|\S{1,20}品第[一二三四五六七八九十百千零〇\d]+|chapter\s+\d+)/i;
+
+/**
+ * 按章节标题切分行
+ */
+function splitChapters(lines) {
+    const chapters = [];
+    let chapter = null;
+
+    lines.forEach(line => {
+        if (line.length <= 30 && CHAPTER_HEADING.test(line)) {
+            chapter = { title: line, lines: [] };
+            chapters.push(chapter);
+            return;
+        }
+
+        if (!chapter) {
+            chapter = { title: '', lines: [] };
+            chapters.push(chapter);
+        }
+        chapter.lines.push(line);
+    });
+
+    return chapters;
+}
+
+/**
+ * 解析纯文本
+ */
+function parsePlainText(text) {
+    return { title: '', chapters: splitChapters(toLines(text)) };
+}
+
+/**
+ * 解析 Markdown：标题作为章节（正文之前的一级标题作为文档标题），去掉格式标记、代码块和图片
+ */
+function parseMarkdown(text) {
+    const result = { title: '', chapters: [] };
+    let chapter = null;
+    let inFence = false;
+
+    const body = text.replace(/\r\n?/g, '\n').replace(/^---\n[\s\S]*?\n---\n/, '');
+
+    body.split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+
+        if (/^(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            return;
+        }
+        if (inFence || !line || /^([-*_]\s*){3,}$/.test(line)) {
+            return;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            const title = heading[2].trim();
+            if (heading[1].length === 1 && !result.title && result.chapters.length === 0) {
+                result.title = title;
+            } else {
+                chapter = { title, lines: [] };
+                result.chapters.push(chapter);
+            }
+            return;
+        }
+
+        const cleaned = line
+            .replace(/^>\s*/, '')
+            .replace(/^([-*+]|\d+[.)])\s+/, '')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/(\*\*|__|~~|[*_`])/g, '')
+            .trim();
+        if (!cleaned) {
+            return;
+        }
+
+        if (!chapter) {
+            chapter = { title: '', lines: [] };
+            result.chapters.push(chapter);
+        }
+        chapter.lines.push(cleaned);
+    });
+
+    return result;
+}
+
+/**
+ * 解析 XML，出错时抛出
+ */
+function parseXml(text, type = 'application/xml') {
+    const document = new DOMParser().parseFromString(text, type);
+    if (document.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('XML 格式错误');
+    }
+    return document;
+}
+
+/**
+ * 按本地名称查找元素（忽略命名空间）
+ */
+function findElements(root, localName) {
+    return Array.from(root.getElementsByTagNameNS('*', localName));
+}
+
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'blockquote', 'li', 'dt', 'dd', 'tr', 'pre',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'footer', 'aside', 'figcaption'
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'head', 'title', 'rt', 'rp']);
+
+/**
+ * 按块级元素和换行提取 HTML 中的文字行
+ */
+function extractHtmlLines(root) {
+    const lines = [];
+    let current = '';
+
+    const flush = () => {
+        const line = current.replace(/\s+/g, ' ').trim();
+        if (line) lines.push(line);
+        current = '';
+    };
+
+    const walk = (node) => {
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                current += child.nodeValue;
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+
+            const tag = child.localName.toLowerCase();
+            if (SKIP_TAGS.has(tag)) return;
+            if (tag === 'br') {
+                flush();
+                return;
+            }
+
+            const isBlock = BLOCK_TAGS.has(tag);
+            if (isBlock) flush();
+            walk(child);
+            if (isBlock) flush();
+        });
+    };
+
+    walk(root);
+    flush();
+    return lines;
+}
+
+/**
+ * 解析相对于某个文件的路径
+ */
+function resolvePath(baseDir, href) {
+    const parts = (baseDir + href.split('#')[0]).split('/');
+    const resolved = [];
+    parts.forEach(part => {
+        if (part === '..') resolved.pop();
+        else if (part && part !== '.') resolved.push(part);
+    });
+    return resolved.join('/');
+}
+
+/**
+ * 解析 EPUB：按书脊（spine）顺序读取每个 XHTML 文件，首个标题作为章节名
+ */
+async function parseEpub(file) {
+    const zip = await ZipReader.fromBlob(file);
+
+    const container = parseXml(await zip.readText('META-INF/container.xml'));
+    const rootfile = findElements(container, 'rootfile')[0];
+    const opfPath = rootfile ? rootfile.getAttribute('full-path') : null;
+    if (!opfPath) {
+        throw new Error('EPUB 缺少内容清单');
+    }
+
+    const opf = parseXml(await zip.readText(opfPath));
+    const baseDir = opfPath.includes('/') ? opfPath.slice(0, opfPath.lastIndexOf('/') + 1) : '';
+    const titleElement = findElements(opf, 'title')[0];
+
+    const manifest = new Map();
+    findElements(opf, 'item').forEach(item => {
+        manifest.set(item.getAttribute('id'), {
+            href: item.getAttribute('href'),
+            mediaType: item.getAttribute('media-type') || ''
+        });
+    });
+
+    const chapters = [];
+    for (const itemref of findElements(opf, 'itemref')) {
+        const item = manifest.get(itemref.getAttribute('idref'));
+        if (!item || !item.mediaType.includes('html')) {
+            continue;
+        }
+
+        const path = resolvePath(baseDir, decodeURIComponent(item.href));
+        if (!zip.has(path)) {
+            continue;
+        }
+
+        const source = await zip.readText(path);
+        let page;
+        try {
+            page = parseXml(source, 'application/xhtml+xml');
+        } catch (error) {
+            page = new DOMParser().parseFromString(source, 'text/html'); // 不规范的 XHTML 按 HTML 解析
+        }
+
+        const body = findElements(page, 'body')[0];
+        if (!body) {
+            continue;
+        }
+
+        const heading = ['h1', 'h2', 'h3'].map(tag => findElements(body, tag)[0]).find(Boolean);
+        const title = heading ? heading.textContent.replace(/\s+/g, ' ').trim() : '';
+        const lines = extractHtmlLines(body);
+        if (title && lines[0] === title) {
+            lines.shift();
+        }
+
+        if (lines.length > 0) {
+            chapters.push({ title, lines });
+        }
+    }
+
+    return {
+        title: titleElement ? titleElement.textContent.trim() : '',
+        chapters
+    };
+}
+
+/**
+ * Word 段落的标题级别：标题样式（Heading1、标题 1、Title 等）或大纲级别，正文返回 0
+ */
+function getDocxHeadingLevel(paragraph) {
+    const style = paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'pStyle')[0];
+    const styleId = style ? style.getAttributeNS(WORD_NAMESPACE, 'val') || '' : '';
+
+    if (/^title$/i.test(styleId)) {
+        return -1;
+    }
+
+    const match = styleId.match(/^(?:heading|标题|標題)\s*(\d)$/i) || styleId.match(/^(\d)$/);
+    if (match) {
+        return parseInt(match[1], 10);
+    }
+
+    const outline = paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'outlineLvl')[0];
+    return outline ? parseInt(outline.getAttributeNS(WORD_NAMESPACE, 'val'), 10) + 1 : 0;
+}
+
+/**
+ * Word 段落的文字（制表符转为空格，换行拆成多行）
+ */
+function getDocxParagraphText(paragraph) {
+    let text = '';
+    Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, '*')).forEach(element => {
+        switch (element.localName) {
+            case 't':
+                text += element.textContent;
+                break;
+            case 'tab':
+                text += ' ';
+                break;
+            case 'br':
+            case 'cr':
+                text += '\n';
+                break;
+        }
+    });
+    return text;
+}
+
+/**
+ * 解析 DOCX：标题样式的段落作为章节
+ */
+async function parseDocx(file) {
+    const zip = await ZipReader.fromBlob(file);
+    const document = parseXml(await zip.readText('word/document.xml'));
+    const result = { title: '', chapters: [] };
+    let chapter = null;
+
+    if (zip.has('docProps/core.xml')) {
+        const titleElement = findElements(parseXml(await zip.readText('docProps/core.xml')), 'title')[0];
+        result.title = titleElement ? titleElement.textContent.trim() : '';
+    }
+
+    Array.from(document.getElementsByTagNameNS(WORD_NAMESPACE, 'p')).forEach(paragraph => {
+        const lines = toLines(getDocxParagraphText(paragraph));
+        if (lines.length === 0) {
+            return;
+        }
+
+        const level = getDocxHeadingLevel(paragraph);
+        if (level === -1 && !result.title) {
+            result.title = lines.join(' ');
+            return;
+        }
+        if (level !== 0) {
+            chapter = { title: lines.join(' '), lines: [] };
+            result.chapters.push(chapter);
+            return;
+        }
+
+        if (!chapter) {
+            chapter = { title: '', lines: [] };
+            result.chapters.push(chapter);
+        }
+        chapter.lines.push(...lines);
+    });
+
+    return result;
+}
+
+/**
+ * 导入文件，返回 { title, chapters, encoding? }
+ */
+export async function importTextFile(file) {
+    const extension = (file.name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+    let result;
+
+    switch (extension) {
+        case 'txt':
+        case 'text': {
+            const { text, encoding } = decodeText(new Uint8Array(await file.arrayBuffer()));
+            result = { ...parsePlainText(text), encoding };
+            break;
+        }
+        case 'md':
+        case 'markdown':
+            result = parseMarkdown(decodeText(new Uint8Array(await file.arrayBuffer())).text);
+            break;
+        case 'epub':
+            result = await parseEpub(file);
+            break;
+        case 'docx':
+            result = await parseDocx(file);
+            break;
+        default:
+            throw new Error(`不支持的文件类型: ${file.name}（支持 .txt、.md、.epub、.docx）`);
+    }
+
+    result.chapters = result.chapters.filter(chapter => chapter.title || chapter.lines.length > 0);
+    result.title = result.title || getBaseName(file.name);
+
+    const length = result.chapters.reduce((total, chapter) =>
+        total + chapter.title.length + chapter.lines.reduce((sum, line) => sum + line.length, 0), 0);
+    if (length === 0) {
+        throw new Error('文件中没有可导入的文字');
+    }
+    if (length > MAX_IMPORT_LENGTH) {
+        throw new Error(`文本过长（${length} 字），最多导入 ${MAX_IMPORT_LENGTH} 字`);
+    }
+
+    return result;
+}
+
+/**
+ * 去掉会被当作经文标记的内容：行首的 #、:::、@title，以及法器提示用的花括号
+ */
+function escapeMarkupLine(line) {
+    return line
+        .replace(/[{}]/g, brace => (brace === '{' ? '｛' : '｝'))
+        .replace(/^(?:#+|:::|@title\s)\s*/, '')
+        .trim();
+}
+
+/**
+ * 把导入结果转换为经文标记文本（章节名成为“# 品名”）
+ */
+export function toSutraMarkup(imported) {
+    const lines = [];
+
+    if (imported.title) {
+        lines.push(`@title ${escapeMarkupLine(imported.title)}`);
+    }
+
+    imported.chapters.forEach(chapter => {
+        const title = escapeMarkupLine(chapter.title);
+        if (title) {
+            lines.push(`# ${title}`);
+        }
+        chapter.lines.map(escapeMarkupLine).filter(Boolean).forEach(line => lines.push(line));
+    });
+
+    return lines.join('\n');
+}
@@ -0,0 +1,185 @@
+/**
+ * 诵读时间轴格式
+ * 把导出时间轴整理成逐字时间表，并生成 LRC、WebVTT 和 JSON 字幕文件，
+ * 供其他播放器和视频剪辑软件同步显示经文
+ */
+import { getSourceLine } from './CueRules.js';
+
+/**
+ * 支持的时间轴格式
+ */
+export const TIMING_FORMATS = {
+    lrc: { label: 'LRC 歌词', extension: 'lrc', mimeType: 'text/plain' },
+    vtt: { label: 'WebVTT 字幕', extension: 'vtt', mimeType: 'text/vtt' },
+    json: { label: 'JSON 时间表', extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * 根据导出时间轴生成逐字时间表（时间单位为毫秒）
+ * 按原始行（句）分组，不受屏幕宽度和字号造成的显示分行影响
+ */
+export function buildTimingMap(textManager, timeline) {
+    const strikeInterval = Math.round(timeline.strikeInterval * 1000);
+    const toMs = (seconds) => Math.round(seconds * 1000);
+
+    const bowls = timeline.events
+        .filter(event => event.isStartBowl)
+        .map(event => ({ round: event.round, start: toMs(event.time) }));
+
+    const strikes = timeline.events.filter(event => event.characterIndex !== undefined);
+    const characters = strikes.map((event, i) => {
+        const charData = textManager.characters[event.characterIndex];
+        const next = strikes[i + 1];
+        const start = toMs(event.time);
+
+        return {
+            index: event.characterIndex,
+            char: charData.char,
+            line: getSourceLine(charData),
+            round: event.round,
+            start,
+            // 字的结束时间为下一击，最后一字或每轮末尾按一个击打间隔计算
+            end: next && next.round === event.round ? toMs(next.time) : start + strikeInterval
+        };
+    });
+
+    // 按轮次和行聚合逐字时间
+    const lines = [];
+    characters.forEach(character => {
+        const current = lines[lines.length - 1];
+        if (current && current.round === character.round && current.index === character.line) {
+            current.text += character.char;
+            current.end = character.end;
+            current.characters.push(character);
+        } else {
+            lines.push({
+                index: character.line,
+                round: character.round,
+                text: character.char,
+                start: character.start,
+                end: character.end,
+                characters: [character]
+            });
+        }
+    });
+
+    return {
+        version: 1,
+        duration: toMs(timeline.duration),
+        strikeInterval,
+        bowls,
+        lines,
+        characters
+    };
+}
+
+/**
+ * 格式化为 LRC 时间标签 mm:ss.xx
+ */
+function formatLrcTime(ms) {
+    const centiseconds = Math.floor(ms / 10);
+    const minutes = Math.floor(centiseconds / 6000);
+    const seconds = Math.floor(centiseconds / 100) % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(centiseconds % 100).padStart(2, '0')}`;
+}
+
+/**
+ * 格式化为 LRC 总时长 mm:ss（分钟可超过两位）
+ */
+function formatLrcLength(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    return `${String(minutes).padStart(2, '0')}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 格式化为 WebVTT 时间戳 hh:mm:ss.mmm
+ */
+function formatVttTime(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * 生成 LRC 歌词
+ * 每行带行时间标签，行内使用增强格式 <mm:ss.xx> 标注逐字时间
+ */
+export function formatLrc(timingMap, options = {}) {
+    const output = [];
+
+    if (options.title) {
+        output.push(`[ti:${options.title}]`);
+    }
+    output.push(`[length:${formatLrcLength(timingMap.duration)}]`);
+    output.push('');
+
+    timingMap.lines.forEach(line => {
+        const words = line.characters
+            .map(character => `<${formatLrcTime(character.start)}>${character.char}`)
+            .join('');
+        output.push(`[${formatLrcTime(line.start)}]${words}<${formatLrcTime(line.end)}>`);
+    });
+
+    return output.join('\n') + '\n';
+}
+
+/**
+ * 生成 WebVTT 字幕
+ * 每行经文一个字幕块，块内用时间戳标签标注逐字高亮时间
+ */
+export function formatWebVtt(timingMap, options = {}) {
+    const output = [options.title ? `WEBVTT - ${options.title}` : 'WEBVTT', ''];
+
+    timingMap.lines.forEach((line, cueIndex) => {
+        const text = line.characters
+            .map((character, i) => (i === 0 ? character.char : `<${formatVttTime(character.start)}>${character.char}`))
+            .join('');
+
+        output.push(String(cueIndex + 1));
+        output.push(`${formatVttTime(line.start)} --> ${formatVttTime(line.end)}`);
+        output.push(text);
+        output.push('');
+    });
+
+    return output.join('\n');
+}
+
+/**
+ * 生成 JSON 时间表
+ */
+export function formatTimingJson(timingMap, options = {}) {
+    const { lines, characters, ...rest } = timingMap;
+
+    return JSON.stringify({
+        title: options.title || null,
+        ...rest,
+        // 行内逐字数据已在 characters 中，这里只保留行的起止范围
+        lines: lines.map(({ characters: lineCharacters, ...line }) => ({
+            ...line,
+            startCharIndex: lineCharacters[0].index,
+            endCharIndex: lineCharacters[lineCharacters.length - 1].index
+        })),
+        characters
+    }, null, 2);
+}
+
+/**
+ * 按格式生成时间轴文件
+ */
+export function createTimingFile(timingMap, format, options = {}) {
+    const formatters = {
+        lrc: formatLrc,
+        vtt: formatWebVtt,
+        json: formatTimingJson
+    };
+
+    if (!formatters[format]) {
+        throw new Error(`不支持的时间轴格式: ${format}`);
+    }
+
+    return new Blob([formatters[format](timingMap, options)], {
+        type: `${TIMING_FORMATS[format].mimeType};charset=utf-8`
+    });
+}
@@ -3,22 +3,45 @@
  * 负责协调各个UI组件和业务逻辑模块
  */
 import { SutraLoader } from './SutraLoader.js';
-import { LyricsTextManager } from './LyricsTextManager.js';
-import { AudioEngine } from './AudioEngine.js';
+import { LyricsTextManager, LAYOUT_MODES } from './LyricsTextManager.js';
+import { createAudioEngine } from './AudioEngineFactory.js';
 import { PlaybackControls } from './PlaybackControls.js';
 import { SettingsControls } from './SettingsControls.js';
 import { StorageManager } from './StorageManager.js';
 import { ExportManager } from './ExportManager.js';
+import { EXPORT_FORMATS } from './AudioEncoders.js';
+import { IMPORT_STRATEGIES } from './DataBackup.js';
+import { CustomTextLibrary, toLibraryId, parseLibraryId } from './CustomTextLibrary.js';
+import { importTextFile, toSutraMarkup } from './TextImporter.js';
+import { PHONETIC_MODES } from './PhoneticAnnotations.js';
+import { SCRIPT_MODES } from './ScriptConverter.js';
+import { parseSutraDocument } from './SutraDocument.js';
+import { PracticeTracker, summarizePeriod, computeStreaks, buildHeatmap, formatDuration, HEATMAP_LEVELS } from './PracticeLog.js';
+
+/**
+ * 转义插入 innerHTML 的用户文字（文本标题等）
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
 
 export class UIController {
     constructor() {
         // 初始化各个模块
         this.sutraLoader = new SutraLoader();
         this.textManager = null;
-        this.audioEngine = new AudioEngine();
+        this.pendingStartIndex = null; // 未播放时点选的起始字，下次播放从这里开始
+        this.readingMenu = null;
+        this.abLoop = { startIndex: null, endIndex: null }; // A-B 重复范围
+        this.recitationCompleted = 0; // 本次计数诵读已记录的遍数
+        this.practiceTracker = new PracticeTracker();
+        this.storageManager = new StorageManager();
+        this.textLibrary = new CustomTextLibrary(this.storageManager);
+        this.audioEngine = null; // 存储就绪后按保存的设置创建
         this.playbackControls = new PlaybackControls();
         this.settingsControls = new SettingsControls();
-        this.storageManager = new StorageManager();
         this.exportManager = null; // 延迟初始化
         
         // 应用状态
@@ -39,17 +62,36 @@ export class UIController {
      */
     async initializeController() {
         try {
+            // 存储回调（启动时的数据迁移也会用到，需在等待存储就绪之前设置）
+            this.storageManager.setCallbacks({
+                onStorageError: (error) => this.showError(error.message)
+            });
+
+            // 等待存储就绪（读取 IndexedDB 并迁移旧数据）后再读取设置
+            await this.storageManager.ready;
+            this.audioEngine = createAudioEngine(this.storageManager.loadSettings().audioEngine);
+
             // 设置各模块的回调函数
             this.setupCallbacks();
             
             // 预加载音频文件
             await this.audioEngine.preloadAudioFiles();
             
-            // 加载经书索引
+            // 加载经书索引并填充经典选择和筛选项
             await this.sutraLoader.loadSutrasIndex();
+            this.initializeSutraLibrary();
             
             // 初始化文本管理器（使用歌词式显示）
             this.textManager = new LyricsTextManager(this.textDisplayElement);
+            this.textManager.setCallbacks({
+                onCharacterClick: (charIndex, point) => this.showReadingMenu(charIndex, point),
+                onLineLongPress: (lineIndex, point) => {
+                    const lineRange = this.textManager.getLineRange(lineIndex);
+                    if (lineRange) {
+                        this.showReadingMenu(lineRange.startIndex, point);
+                    }
+                }
+            });
             
             // 恢复用户设置
             await this.restoreUserSettings();
@@ -63,6 +105,12 @@ export class UIController {
             
             // 设置自动保存
             this.setupAutoSave();
+
+            // 修行记录按钮
+            this.setupPracticeLog();
+
+            // 拖入文件导入文本
+            this.setupTextFileDrop();
             
             this.isInitialized = true;
             console.log('UIController 初始化完成');
@@ -84,37 +132,135 @@ export class UIController {
             onPlayPause: () => this.handlePlayPause(),
             onReset: () => this.handleReset(),
             onProgressClick: (percentage) => this.handleProgressClick(percentage),
-            onLoopToggle: (isLooping) => this.handleLoopToggle(isLooping)
+            onLoopToggle: (isLooping) => this.handleLoopToggle(isLooping),
+            onLoopMarker: (marker) => this.setLoopMarker(marker, this.textManager ? this.textManager.currentCharIndex : 0),
+            onLoopOptionsChange: (options) => this.audioEngine.updateRangeLoop(options),
+            onLoopClear: () => this.clearABLoop(),
+            onRecitationChange: (config) => this.handleRecitationChange(config)
         });
 
         // 设置控制回调
         this.settingsControls.setCallbacks({
             onSpeedChange: (speed) => this.handleSpeedChange(speed),
             onFontSizeChange: (size) => this.handleFontSizeChange(size),
+            onPhoneticModeChange: (mode) => this.handlePhoneticModeChange(mode),
+            onScriptModeChange: (mode) => this.handleScriptModeChange(mode),
+            onLayoutModeChange: (mode) => this.handleLayoutModeChange(mode),
             onSutraChange: (sutraId) => this.handleSutraChange(sutraId),
-            onCustomTextChange: (text) => this.handleCustomTextChange(text)
+            onCustomTextChange: (text) => this.handleCustomTextChange(text),
+            onAudioEngineChange: (type) => this.handleAudioEngineChange(type),
+            onSutraFilterChange: (filters) => this.handleSutraFilterChange(filters),
+            onCueRulesChange: (ruleIds) => this.handleCueRulesChange(ruleIds),
+            onTempoCurveChange: (keyframes) => this.handleTempoCurveChange(keyframes),
+            onRhythmPatternChange: (patternId) => this.handleRhythmPatternChange(patternId),
+            onPunctuationPausesChange: (pauses) => this.handlePunctuationPausesChange(pauses),
+            onOpenTextLibrary: () => this.showTextLibraryDialog(),
+            onSaveCustomText: (text) => this.saveCustomTextToLibrary(text),
+            onImportTextFile: (file) => this.handleTextFileImport(file),
+            onBackup: () => this.handleBackup(),
+            onRestore: (file) => this.handleRestore(file)
         });
 
-        // 音频引擎回调
-        this.audioEngine.onPlayStateChange = (isPlaying, isPaused) => {
-            this.playbackControls.updatePlaybackState(isPlaying, isPaused);
-        };
+        this.bindAudioEngineCallbacks();
+    }
 
-        this.audioEngine.onSequenceProgress = (index, event, total) => {
-            const progress = (index / total) * 100;
-            this.playbackControls.updateProgress(progress);
-        };
+    /**
+     * 根据经书索引填充经典选择和筛选项
+     */
+    initializeSutraLibrary() {
+        this.settingsControls.setSutraFilterOptions(
+            this.sutraLoader.getCategories(),
+            this.sutraLoader.getDifficulties()
+        );
+        this.settingsControls.setSutraOptions(this.sutraLoader.getSutrasList());
+        this.refreshTextLibraryOptions();
+    }
 
-        this.audioEngine.onSequenceComplete = () => {
-            this.playbackControls.updatePlaybackState(false, false);
-            this.playbackControls.updateProgress(100);
-            this.showMessage('播放完成');
-        };
+    /**
+     * 把文本库中的文本列入经典选择
+     */
+    refreshTextLibraryOptions() {
+        this.settingsControls.setCustomTextOptions(this.textLibrary.list().map(text => ({
+            value: toLibraryId(text.id),
+            title: text.title,
+            category: text.category,
+            tags: text.tags
+        })));
+    }
 
-        this.audioEngine.onError = (error) => {
-            this.showError('音频播放错误: ' + error.message);
-            this.playbackControls.updatePlaybackState(false, false);
-        };
+    /**
+     * 处理经典筛选变化
+     */
+    handleSutraFilterChange(filters) {
+        const sutras = this.sutraLoader.filterSutras(filters);
+        this.settingsControls.setSutraOptions(sutras, this.sutraLoader.getSutrasList());
+
+        if (sutras.length === 0) {
+            this.settingsControls.showSettingsTip('没有符合条件的经典');
+        }
+    }
+
+    /**
+     * 设置音频引擎回调（切换引擎后需要重新绑定）
+     */
+    bindAudioEngineCallbacks() {
+        this.audioEngine.setCallbacks({
+            onPlayStateChange: (isPlaying, isPaused) => {
+                this.playbackControls.updatePlaybackState(isPlaying, isPaused);
+                this.trackPracticeState(isPlaying, isPaused);
+            },
+            onSequenceProgress: (index, event, total) => {
+                const progress = (index / total) * 100;
+                this.playbackControls.updateProgress(progress);
+                this.practiceTracker.recordCharacter(event.characterIndex);
+            },
+            onSequenceComplete: () => {
+                this.playbackControls.updatePlaybackState(false, false);
+                this.playbackControls.updateProgress(100);
+                this.showMessage('播放完成');
+            },
+            onError: (error) => {
+                this.showError('音频播放错误: ' + error.message);
+                this.playbackControls.updatePlaybackState(false, false);
+            },
+            onLoopRoundChange: (loop) => this.handleLoopRoundChange(loop),
+            onRecitationProgress: (progress) => this.handleRecitationProgress(progress),
+            onRoundComplete: () => this.practiceTracker.recordRound()
+        });
+    }
+
+    /**
+     * 处理音频引擎切换
+     */
+    async handleAudioEngineChange(type) {
+        try {
+            const { playbackSpeed, isLooping, cueRules, tempoKeyframes, rhythmPattern, punctuationPauses } = this.audioEngine;
+
+            this.audioEngine.dispose();
+            this.playbackControls.reset();
+
+            this.audioEngine = createAudioEngine(type);
+            this.audioEngine.setPlaybackSpeed(playbackSpeed);
+            this.audioEngine.setLooping(isLooping);
+            this.audioEngine.setCueRules(cueRules);
+            this.audioEngine.setTempoCurve(tempoKeyframes);
+            this.audioEngine.setRhythmPattern(rhythmPattern);
+            this.audioEngine.setPunctuationPauses(punctuationPauses);
+            this.bindAudioEngineCallbacks();
+
+            if (this.exportManager) {
+                this.exportManager.audioEngine = this.audioEngine;
+            }
+
+            await this.audioEngine.preloadAudioFiles();
+            this.showMessage('音频引擎已切换');
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('切换音频引擎失败:', error);
+            this.showError('切换音频引擎失败: ' + error.message);
+        }
     }
 
 
@@ -140,8 +286,13 @@ export class UIController {
                 // 切换播放/暂停状态
                 this.audioEngine.togglePlayback();
             } else {
-                // 开始播放
-                await this.audioEngine.startPlayback(this.textManager);
+                // 开始播放：设置了 A-B 时重复该范围，否则如已点选位置则从该字开始
+                const startIndex = this.pendingStartIndex || 0;
+                this.pendingStartIndex = null;
+                await this.audioEngine.startPlayback(
+                    this.textManager,
+                    this.getABLoopOptions() || { startIndex, recitation: this.getRecitationPlayOptions() }
+                );
             }
         } catch (error) {
             console.error('播放控制失败:', error);
@@ -156,10 +307,12 @@ export class UIController {
         try {
             this.audioEngine.resetPlayback();
             this.playbackControls.reset();
+            this.pendingStartIndex = null;
 
             if (this.textManager) {
                 this.textManager.resetPosition();
             }
+            this.saveCurrentProgress(); // 重置后从头开始
 
             this.showMessage('已重置');
         } catch (error) {
@@ -168,6 +321,303 @@ export class UIController {
         }
     }
 
+    /**
+     * 显示诵读菜单：从此处播放 / 只播放本句 / 只播放本段
+     */
+    showReadingMenu(charIndex, point) {
+        this.hideReadingMenu();
+
+        const charData = this.textManager.characters[charIndex];
+        if (!charData) return;
+
+        const lineRange = this.textManager.getLineRange(charData.lineIndex);
+        const sectionRange = this.textManager.getSectionRange(charIndex);
+        const isWholeText = (range) => range.startIndex === 0 && range.endIndex === this.textManager.characters.length - 1;
+
+        const items = [
+            { label: '从此处播放', action: () => this.playFromCharacter(charIndex) },
+            { label: '设为重复起点 A', action: () => this.setLoopMarker('a', charIndex) }
+        ];
+        if (this.abLoop.startIndex !== null) {
+            items.push({ label: '设为重复终点 B', action: () => this.setLoopMarker('b', charIndex) });
+        }
+        if (lineRange) {
+            items.push({ label: '只播放本句', action: () => this.playRange(lineRange) });
+        }
+        // 段落与本句相同或就是全文时不再单列
+        if (sectionRange && !isWholeText(sectionRange) &&
+            (!lineRange || sectionRange.startIndex !== lineRange.startIndex || sectionRange.endIndex !== lineRange.endIndex)) {
+            items.push({ label: '只播放本段', action: () => this.playRange(sectionRange) });
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'reading-menu';
+        menu.style.cssText = `
+            position: fixed;
+            background: var(--glass-bg);
+            backdrop-filter: var(--backdrop-blur);
+            -webkit-backdrop-filter: var(--backdrop-blur);
+            border-radius: 10px;
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+            padding: 0.4rem;
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            z-index: 10000;
+        `;
+
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.className = 'pill-button secondary';
+            button.textContent = item.label;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideReadingMenu();
+                item.action();
+            });
+            menu.appendChild(button);
+        });
+
+        document.body.appendChild(menu);
+
+        // 保持在视口内
+        const rect = menu.getBoundingClientRect();
+        const x = Math.min(Math.max(8, point.x), window.innerWidth - rect.width - 8);
+        const y = Math.min(Math.max(8, point.y + 8), window.innerHeight - rect.height - 8);
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+
+        // 点击菜单外、滚动或按 Esc 时关闭
+        const close = (e) => {
+            if (e.type === 'keydown' && e.key !== 'Escape') return;
+            if (e.type === 'pointerdown' && menu.contains(e.target)) return;
+            this.hideReadingMenu();
+        };
+        setTimeout(() => {
+            document.addEventListener('pointerdown', close, true);
+            document.addEventListener('keydown', close);
+            window.addEventListener('scroll', close, true);
+        }, 0);
+
+        this.readingMenu = {
+            element: menu,
+            dispose: () => {
+                document.removeEventListener('pointerdown', close, true);
+                document.removeEventListener('keydown', close);
+                window.removeEventListener('scroll', close, true);
+                menu.remove();
+            }
+        };
+    }
+
+    /**
+     * 关闭诵读菜单
+     */
+    hideReadingMenu() {
+        if (this.readingMenu) {
+            this.readingMenu.dispose();
+            this.readingMenu = null;
+        }
+    }
+
+    /**
+     * 设置 A-B 重复的起点或终点
+     * 设置 A 点时若已有的 B 点在其之前则清除 B 点；B 点早于 A 点时两者互换
+     */
+    setLoopMarker(marker, charIndex) {
+        if (!this.textManager || !this.textManager.characters[charIndex]) {
+            return;
+        }
+
+        if (marker === 'a') {
+            this.abLoop.startIndex = charIndex;
+            if (this.abLoop.endIndex !== null && this.abLoop.endIndex < charIndex) {
+                this.abLoop.endIndex = null;
+            }
+        } else {
+            if (this.abLoop.startIndex === null) {
+                this.showError('请先设置重复起点 A');
+                return;
+            }
+            this.abLoop.endIndex = Math.max(charIndex, this.abLoop.startIndex);
+            this.abLoop.startIndex = Math.min(charIndex, this.abLoop.startIndex);
+        }
+
+        this.textManager.setLoopRange({ ...this.abLoop });
+        this.playbackControls.updateLoopRange(this.abLoop);
+
+        // 范围设置完成且正在播放时，立即从 A 点开始重复
+        const options = this.getABLoopOptions();
+        if (options && this.audioEngine.isPlaying) {
+            this.restartPlayback(options);
+        } else if (!options && this.audioEngine.rangeLoop) {
+            // 重新设置 A 点后范围不完整，停止重复旧范围
+            this.audioEngine.clearRangeLoop();
+        }
+    }
+
+    /**
+     * 获取 A-B 重复的播放参数，范围未设置完整时返回 null
+     */
+    getABLoopOptions() {
+        if (this.abLoop.startIndex === null || this.abLoop.endIndex === null) {
+            return null;
+        }
+
+        return {
+            range: { startIndex: this.abLoop.startIndex, endIndex: this.abLoop.endIndex },
+            ...this.playbackControls.getLoopOptions()
+        };
+    }
+
+    /**
+     * 清除 A-B 重复
+     */
+    clearABLoop() {
+        this.abLoop = { startIndex: null, endIndex: null };
+        this.audioEngine.clearRangeLoop();
+
+        if (this.textManager) {
+            this.textManager.setLoopRange(null);
+        }
+        this.playbackControls.updateLoopRange(this.abLoop);
+    }
+
+    /**
+     * 范围重复进入新一遍或下一段
+     */
+    handleLoopRoundChange(loop) {
+        if (!loop) {
+            this.playbackControls.updateLoopRange(this.abLoop);
+            return;
+        }
+
+        // 自动进入下一段时 A-B 随之移动
+        if (this.abLoop.startIndex !== null && this.abLoop.endIndex !== null &&
+            (loop.range.startIndex !== this.abLoop.startIndex || loop.range.endIndex !== this.abLoop.endIndex)) {
+            this.abLoop = { ...loop.range };
+            this.textManager.setLoopRange({ ...this.abLoop });
+            this.showMessage(`进入下一段：第 ${loop.range.startIndex + 1}-${loop.range.endIndex + 1} 字`);
+        }
+
+        this.playbackControls.updateLoopRange(loop.range, loop);
+    }
+
+    /**
+     * 计数诵读记录所用的经文标识
+     */
+    getRecitationTextId() {
+        return this.currentSutraId || 'custom';
+    }
+
+    /**
+     * 获取计数诵读的播放参数（关闭时返回 null）
+     * 同一目标上次未计满时接着上次的遍数继续
+     */
+    getRecitationPlayOptions() {
+        const config = this.playbackControls.getRecitationOptions();
+        if (!config.target) {
+            return null;
+        }
+
+        const tally = this.storageManager.loadRecitationTally(this.getRecitationTextId());
+        const resume = tally && tally.target === config.target && tally.round > 0 && tally.round < config.target;
+        const startRound = resume ? tally.round + 1 : 1;
+
+        if (resume) {
+            this.showMessage(`接续上次计数，从第 ${startRound} 遍开始`);
+        }
+
+        this.recitationCompleted = startRound - 1;
+        return { ...config, startRound };
+    }
+
+    /**
+     * 处理计数诵读设置变化
+     */
+    handleRecitationChange(config) {
+        this.storageManager.saveRecitationConfig(config);
+        this.audioEngine.updateRecitation(config);
+
+        if (!this.audioEngine.recitation) {
+            this.refreshRecitationStatus();
+        }
+    }
+
+    /**
+     * 计数诵读开始或完成一遍：记录遍数并在圆满时提示
+     */
+    handleRecitationProgress(progress) {
+        const textId = this.getRecitationTextId();
+
+        while (this.recitationCompleted < progress.completed) {
+            this.recitationCompleted++;
+            this.storageManager.recordRecitationRound(textId, {
+                target: progress.target,
+                round: this.recitationCompleted
+            });
+        }
+
+        this.refreshRecitationStatus(progress.finished ? null : progress);
+
+        if (progress.finished) {
+            this.showMessage(`圆满 ${progress.target} 遍`);
+        }
+    }
+
+    /**
+     * 刷新计数显示
+     */
+    refreshRecitationStatus(progress = null) {
+        const tally = this.storageManager.loadRecitationTally(this.getRecitationTextId());
+        this.playbackControls.updateRecitationStatus(progress, tally);
+    }
+
+    /**
+     * 从指定字开始播放
+     * 全文播放中直接跳转；只播放部分范围时改为从该字开始的全文播放
+     */
+    async playFromCharacter(charIndex) {
+        if (this.audioEngine.isPlaying && !this.audioEngine.playbackRange) {
+            this.seekToCharacter(charIndex);
+            return;
+        }
+
+        await this.restartPlayback({ startIndex: charIndex });
+    }
+
+    /**
+     * 只播放指定的字符范围（一句或一段）
+     */
+    async playRange(range) {
+        await this.restartPlayback({ range });
+        this.showMessage(this.audioEngine.isLooping ? '循环播放所选范围' : '播放所选范围');
+    }
+
+    /**
+     * 停止当前播放并按新的起点或范围重新开始
+     */
+    async restartPlayback(options) {
+        if (!this.isInitialized || !this.textManager || !this.textManager.characters.length) {
+            return;
+        }
+
+        try {
+            if (this.audioEngine.isPlaying) {
+                this.audioEngine.stopPlayback();
+            }
+            this.pendingStartIndex = null;
+
+            const startIndex = options.range ? options.range.startIndex : options.startIndex;
+            this.textManager.jumpToPosition(startIndex);
+
+            await this.audioEngine.startPlayback(this.textManager, options);
+        } catch (error) {
+            console.error('播放控制失败:', error);
+            this.showError('播放控制失败: ' + error.message);
+        }
+    }
+
     /**
      * 处理循环播放切换
      */
@@ -191,73 +641,46 @@ export class UIController {
      * 处理进度条点击
      */
     handleProgressClick(percentage) {
-        try {
-            if (this.textManager) {
-                this.textManager.setProgressPosition(percentage);
-                this.playbackControls.updateProgress(percentage);
-            }
-        } catch (error) {
-            console.error('设置进度失败:', error);
-            this.showError('设置进度失败: ' + error.message);
+        if (!this.textManager || !this.textManager.characters.length) {
+            return;
         }
-    }
-
 
+        const charIndex = Math.floor((percentage / 100) * (this.textManager.characters.length - 1));
+        this.seekToCharacter(charIndex);
+    }
 
     /**
-     * 处理字体大小变化
+     * 跳转到指定字符
+     * 播放中（含暂停）直接从该字继续敲木鱼，不重复开始颂钵；未播放时记下位置，下次播放从这里开始
      */
-    handleFontSizeChange(size) {
+    seekToCharacter(charIndex) {
         try {
-            if (this.textManager) {
-                this.textManager.setFontSize(size);
-                const sizeLabels = ['小', '中', '大', '特大'];
-                this.settingsControls.showSettingsTip(`字体大小: ${sizeLabels[size - 1]}`);
+            if (!this.textManager || !this.textManager.characters.length) {
+                return;
             }
-        } catch (error) {
-            console.error('设置字体大小失败:', error);
-            this.showError('设置字体大小失败: ' + error.message);
-        }
-    }
 
-    /**
-     * 处理经书选择变化
-     */
-    async handleSutraChange(sutraId) {
-        if (sutraId === 'custom') {
-            // 切换到自定义文本模式
-            this.currentSutraId = null;
-            this.textManager.clear();
-            this.playbackControls.reset();
-            this.showMessage('请输入自定义文本');
-        } else {
-            // 加载选中的经书
-            await this.loadSutra(sutraId);
-        }
-    }
+            // 标点不敲木鱼，跳到其后的第一个字
+            const targetIndex = this.textManager.characters.findIndex(
+                (charData, index) => index >= charIndex && !charData.isPunctuation && !charData.isSpace
+            );
+            if (targetIndex === -1) {
+                return;
+            }
 
-    /**
-     * 处理自定义文本变化
-     */
-    handleCustomTextChange(text) {
-        try {
-            // 验证文本
-            const validation = this.settingsControls.validateCustomText(text);
-            
-            if (validation.valid) {
-                this.textManager.loadText(text);
-                this.currentSutraId = null;
-                this.playbackControls.reset();
-                
-                if (text.trim().length > 0) {
-                    this.showMessage(`自定义文本已加载 (${text.length} 字符)`);
+            if (this.audioEngine.isPlaying) {
+                if (!this.audioEngine.seekToCharacter(targetIndex)) {
+                    return;
                 }
             } else {
-                this.showError(validation.message);
+                this.pendingStartIndex = targetIndex;
+                this.showMessage('点击播放将从此处开始');
             }
+
+            this.textManager.jumpToPosition(targetIndex);
+            this.playbackControls.updateProgress((targetIndex / Math.max(1, this.textManager.characters.length - 1)) * 100);
         } catch (error) {
-            console.error('处理自定义文本失败:', error);
-            this.showError('处理自定义文本失败: ' + error.message);
+            console.error('设置进度失败:', error);
+            this.showError('设置进度失败: ' + error.message);
         }
     }
 
@@ -367,6 +790,28 @@ export class UIController {
             
             // 应用音频引擎设置
             this.audioEngine.setPlaybackSpeed(savedSettings.playbackSpeed);
+            this.audioEngine.setCueRules(savedSettings.cueRules);
+            this.audioEngine.setTempoCurve(savedSettings.tempoKeyframes);
+            this.audioEngine.setRhythmPattern(savedSettings.rhythmPattern);
+            this.audioEngine.setPunctuationPauses(savedSettings.punctuationPauses);
+
+            // 恢复注音
+            if (savedSettings.phoneticMode && savedSettings.phoneticMode !== 'off') {
+                this.textManager.setPhoneticMode(savedSettings.phoneticMode)
+                    .catch(error => console.error('加载注音字典失败:', error));
+            }
+
+            // 恢复排版方向
+            this.textManager.setLayoutMode(savedSettings.layoutMode);
+
+            // 恢复繁简显示
+            if (savedSettings.scriptMode && savedSettings.scriptMode !== 'original') {
+                this.textManager.setScriptMode(savedSettings.scriptMode)
+                    .catch(error => console.error('加载繁简对照表失败:', error));
+            }
+
+            // 恢复计数诵读设置
+            this.playbackControls.setRecitationOptions(this.storageManager.loadRecitationConfig());
 
             // 恢复循环播放设置
             if (savedSettings.isLooping !== undefined) {
@@ -404,6 +849,7 @@ export class UIController {
         window.addEventListener('beforeunload', () => {
             this.saveCurrentSettings();
             this.saveCurrentProgress();
+            this.finishPracticeSession();
         });
 
         console.log('自动保存已设置');
@@ -430,7 +876,7 @@ export class UIController {
                 const textStats = this.textManager.getTextStats();
                 const progress = {
                     percentage: textStats.progress,
-                    characterIndex: textStats.currentIndex
+                    characterIndex: textStats.currentCharIndex
                 };
                 
                 this.storageManager.saveProgress(this.currentSutraId, progress);
@@ -447,9 +893,12 @@ export class UIController {
         try {
             const savedProgress = this.storageManager.loadProgress(sutraId);
             
-            if (savedProgress && this.textManager) {
-                // 恢复到保存的位置
+            // 文本修改后字数可能变少，超出范围的进度不再恢复
+            const characterCount = this.textManager ? this.textManager.characters.length : 0;
+            if (savedProgress && savedProgress.characterIndex > 0 && savedProgress.characterIndex < characterCount) {
+                // 恢复到保存的位置，下次播放从这里开始
                 this.textManager.jumpToPosition(savedProgress.characterIndex);
+                this.pendingStartIndex = savedProgress.characterIndex;
                 this.playbackControls.updateProgress(savedProgress.percentage);
                 
                 console.log(`播放进度已恢复: ${savedProgress.percentage.toFixed(1)}%`);
@@ -467,7 +916,17 @@ export class UIController {
         const savedSettings = this.storageManager.loadSettings();
         const sutraId = savedSettings.selectedSutra || 'amitabha';
 
-        await this.loadSutra(sutraId);
+        const textId = parseLibraryId(sutraId);
+        if (textId && this.textLibrary.get(textId)) {
+            this.loadLibraryText(textId);
+            return;
+        }
+        if (sutraId === 'custom' && savedSettings.customText) {
+            this.handleCustomTextChange(savedSettings.customText);
+            return;
+        }
+
+        await this.loadSutra(textId || sutraId === 'custom' ? 'amitabha' : sutraId);
 
         // 默认从头开始显示，不自动恢复进度
         // 用户可以通过播放按钮手动恢复进度
@@ -491,9 +950,12 @@ export class UIController {
             if (sutraData && sutraData.content) {
                 console.log(`开始加载经书文本: ${sutraData.info.title}, 内容长度: ${sutraData.content.length}`);
 
-                // 加载文本到显示器
-                this.textManager.loadText(sutraData.content);
+                // 加载经文文档到显示器
+                this.textManager.loadDocument(sutraData.document);
                 this.currentSutraId = sutraId;
+                this.pendingStartIndex = null;
+                this.clearABLoop();
+                this.refreshRecitationStatus();
 
                 // 验证文本是否正确加载
                 const textStats = this.textManager.getTextStats();
@@ -551,11 +1013,63 @@ export class UIController {
         }
     }
 
-    handleFontSizeChange(size) {
+    handleTempoCurveChange(keyframes) {
         try {
-            if (this.textManager) {
-                this.textManager.setFontSize(size);
-                const sizeLabels = ['小', '中', '大', '特大'];
+            this.audioEngine.setTempoCurve(keyframes);
+            this.settingsControls.showSettingsTip('速度曲线已更新，下次播放生效');
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('设置速度曲线失败:', error);
+            this.showError('设置速度曲线失败: ' + error.message);
+        }
+    }
+
+    handleRhythmPatternChange(patternId) {
+        try {
+            this.audioEngine.setRhythmPattern(patternId);
+            this.settingsControls.showSettingsTip('节奏已更新，下次播放生效');
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('设置节奏失败:', error);
+            this.showError('设置节奏失败: ' + error.message);
+        }
+    }
+
+    handlePunctuationPausesChange(pauses) {
+        try {
+            this.audioEngine.setPunctuationPauses(pauses);
+            this.settingsControls.showSettingsTip('标点停顿已更新，下次播放生效');
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('设置标点停顿失败:', error);
+            this.showError('设置标点停顿失败: ' + error.message);
+        }
+    }
+
+    handleCueRulesChange(ruleIds) {
+        try {
+            this.audioEngine.setCueRules(ruleIds);
+            this.settingsControls.showSettingsTip(ruleIds.length > 0 ? '法器提示已更新，下次播放生效' : '已关闭法器提示');
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('设置法器提示失败:', error);
+            this.showError('设置法器提示失败: ' + error.message);
+        }
+    }
+
+    handleFontSizeChange(size) {
+        try {
+            if (this.textManager) {
+                this.textManager.setFontSize(size);
+                const sizeLabels = ['小', '中', '大', '特大'];
                 this.settingsControls.showSettingsTip(`字体大小: ${sizeLabels[size - 1]}`);
                 
                 // 自动保存设置
@@ -567,8 +1081,56 @@ export class UIController {
         }
     }
 
+    async handlePhoneticModeChange(mode) {
+        try {
+            await this.textManager.setPhoneticMode(mode);
+            this.settingsControls.showSettingsTip(mode === 'off' ? '已关闭注音' : `注音: ${PHONETIC_MODES[mode]}`);
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('加载注音字典失败:', error);
+            this.showError('加载注音字典失败: ' + error.message);
+            this.settingsControls.setPhoneticMode(this.textManager.phoneticMode);
+        }
+    }
+
+    async handleScriptModeChange(mode) {
+        try {
+            await this.textManager.setScriptMode(mode);
+            this.settingsControls.showSettingsTip(`显示: ${SCRIPT_MODES[mode]}`);
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('加载繁简对照表失败:', error);
+            this.showError('加载繁简对照表失败: ' + error.message);
+            this.settingsControls.setScriptMode(this.textManager.scriptMode);
+        }
+    }
+
+    handleLayoutModeChange(mode) {
+        try {
+            this.textManager.setLayoutMode(mode);
+            this.settingsControls.showSettingsTip(`排版: ${LAYOUT_MODES[mode]}`);
+
+            // 自动保存设置
+            setTimeout(() => this.saveCurrentSettings(), 1000);
+        } catch (error) {
+            console.error('切换排版方向失败:', error);
+            this.showError('切换排版方向失败: ' + error.message);
+        }
+    }
+
     async handleSutraChange(sutraId) {
-        if (sutraId === 'custom') {
+        // 离开当前文本前记下进度
+        this.saveCurrentProgress();
+
+        const textId = parseLibraryId(sutraId);
+        if (textId) {
+            // 打开文本库中的文本
+            this.loadLibraryText(textId);
+        } else if (sutraId === 'custom') {
             // 切换到自定义文本模式
             this.currentSutraId = null;
             this.textManager.clear();
@@ -591,6 +1153,9 @@ export class UIController {
             if (validation.valid) {
                 this.textManager.loadText(text);
                 this.currentSutraId = null;
+                this.pendingStartIndex = null;
+                this.clearABLoop();
+                this.refreshRecitationStatus();
                 this.playbackControls.reset();
                 
                 if (text.trim().length > 0) {
@@ -608,16 +1173,6 @@ export class UIController {
         }
     }
 
-
-
-
-
-
-
-
-
-
-
     /**
      * 设置导出管理器回调
      */
@@ -626,17 +1181,17 @@ export class UIController {
 
         this.exportManager.setCallbacks({
             onRecordingStart: () => {
-                this.showExportProgress('开始录制...');
+                this.showExportProgress('开始渲染...');
                 this.setExportButtonState('recording');
             },
-            onRecordingProgress: (progress) => {
-                this.showExportProgress(`录制中... ${Math.round(progress)}%`);
+            onRecordingProgress: (progress, stage) => {
+                this.setExportButtonState(stage === 'encode' ? 'encoding' : 'recording', progress);
             },
-            onRecordingComplete: (audioBlob) => {
-                this.handleExportComplete(audioBlob);
+            onRecordingComplete: (audioBlob, timingMap) => {
+                this.handleExportComplete(audioBlob, timingMap);
             },
             onRecordingError: (error) => {
-                this.showError('录制失败: ' + error.message);
+                this.showError('导出失败: ' + error.message);
                 this.setExportButtonState('idle');
             }
         });
@@ -672,20 +1227,20 @@ export class UIController {
         try {
             // 检查浏览器支持
             const support = this.exportManager.checkBrowserSupport();
-            if (!support.mediaRecorder) {
-                this.showError('您的浏览器不支持音频录制功能');
+            if (!support.offlineAudioContext) {
+                this.showError('您的浏览器不支持离线音频渲染');
                 return;
             }
 
             // 确认导出操作
-            const confirmed = await this.showExportConfirmation();
-            if (!confirmed) {
+            const exportOptions = await this.showExportConfirmation();
+            if (!exportOptions) {
                 return;
             }
 
-            // 开始录制
+            // 开始渲染
             this.setExportButtonState('recording');
-            await this.exportManager.startRecording(this.textManager);
+            await this.exportManager.startRecording(this.textManager, exportOptions);
 
         } catch (error) {
             console.error('导出失败:', error);
@@ -694,49 +1249,55 @@ export class UIController {
         }
     }
 
+    /**
+     * 创建对话框：半透明遮罩和居中的玻璃面板（样式见 main.css 的 .modal-overlay 和 .modal-dialog）
+     * className 为面板附加的类名，用于调整宽度等
+     */
+    createModal(className = '') {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = `modal-dialog ${className}`.trim();
+
+        return { modal, dialog };
+    }
+
     /**
      * 显示导出确认对话框
      */
     async showExportConfirmation() {
         return new Promise((resolve) => {
-            const modal = document.createElement('div');
-            modal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                right: 0;
-                bottom: 0;
-                background: rgba(0, 0, 0, 0.5);
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                z-index: 10000;
-            `;
-
-            const dialog = document.createElement('div');
-            dialog.style.cssText = `
-                background: var(--glass-bg);
-                backdrop-filter: var(--backdrop-blur);
-                -webkit-backdrop-filter: var(--backdrop-blur);
-                padding: 2rem;
-                border-radius: 12px;
-                box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-                max-width: 400px;
-                text-align: center;
-            `;
+            const { modal, dialog } = this.createModal();
 
             const textStats = this.textManager.getTextStats();
             const estimatedTime = Math.ceil(textStats.totalCharacters / this.settingsControls.getSettings().playbackSpeed);
+            const defaultLoops = this.audioEngine.isLooping ? 3 : 1;
+            const formatOptions = Object.entries(EXPORT_FORMATS)
+                .map(([format, info]) => `<option value="${format}">${info.label}</option>`)
+                .join('');
 
             dialog.innerHTML = `
                 <h3 style="margin-bottom: 1rem; color: var(--text-primary);">导出音频</h3>
                 <p style="margin-bottom: 1rem; color: var(--text-secondary);">
-                    将录制完整的诵读音频<br>
-                    预计时长: ${Math.floor(estimatedTime / 60)}分${estimatedTime % 60}秒<br>
+                    将按当前速度离线渲染诵读音频，无需等待实时播放<br>
+                    单遍时长: ${Math.floor(estimatedTime / 60)}分${estimatedTime % 60}秒<br>
                     文字数量: ${textStats.totalCharacters} 字符
                 </p>
+                <label style="display: block; margin-bottom: 1rem; color: var(--text-secondary);">
+                    诵读遍数
+                    <input id="export-loops" type="number" class="speed-input" min="1" max="99" step="1" value="${defaultLoops}">
+                </label>
+                <label style="display: block; margin-bottom: 1rem; color: var(--text-secondary);">
+                    文件格式
+                    <select id="export-format" class="modern-select">${formatOptions}</select>
+                </label>
+                <label style="display: block; margin-bottom: 1rem; color: var(--text-secondary);">
+                    <input id="export-timings" type="checkbox" checked>
+                    同时导出逐字时间表（LRC / WebVTT / JSON）
+                </label>
                 <div style="display: flex; gap: 1rem; justify-content: center;">
-                    <button id="confirm-export" class="pill-button">开始录制</button>
+                    <button id="confirm-export" class="pill-button">开始导出</button>
                     <button id="cancel-export" class="pill-button secondary">取消</button>
                 </div>
             `;
@@ -746,19 +1307,26 @@ export class UIController {
 
             // 事件处理
             dialog.querySelector('#confirm-export').onclick = () => {
+                const loops = parseInt(dialog.querySelector('#export-loops').value, 10);
+                const format = dialog.querySelector('#export-format').value;
+                const includeTimings = dialog.querySelector('#export-timings').checked;
                 document.body.removeChild(modal);
-                resolve(true);
+                resolve({
+                    loops: Math.max(1, Math.min(99, isNaN(loops) ? 1 : loops)),
+                    format,
+                    includeTimings
+                });
             };
 
             dialog.querySelector('#cancel-export').onclick = () => {
                 document.body.removeChild(modal);
-                resolve(false);
+                resolve(null);
             };
 
             modal.onclick = (e) => {
                 if (e.target === modal) {
                     document.body.removeChild(modal);
-                    resolve(false);
+                    resolve(null);
                 }
             };
         });
@@ -767,7 +1335,7 @@ export class UIController {
     /**
      * 设置导出按钮状态
      */
-    setExportButtonState(state) {
+    setExportButtonState(state, progress = null) {
         const exportBtn = document.getElementById('export-btn');
         const exportSpinner = document.getElementById('export-spinner');
         
@@ -776,12 +1344,21 @@ export class UIController {
         switch (state) {
             case 'idle':
                 exportBtn.disabled = false;
-                exportBtn.innerHTML = '导出MP3';
+                exportBtn.innerHTML = '导出音频';
                 if (exportSpinner) exportSpinner.style.display = 'none';
                 break;
             case 'recording':
                 exportBtn.disabled = true;
-                exportBtn.innerHTML = '<span class="loading-spinner"></span>录制中...';
+                exportBtn.innerHTML = progress === null
+                    ? '<span class="loading-spinner"></span>渲染中...'
+                    : `<span class="loading-spinner"></span>渲染中 ${Math.round(progress)}%`;
+                if (exportSpinner) exportSpinner.style.display = 'inline-block';
+                break;
+            case 'encoding':
+                exportBtn.disabled = true;
+                exportBtn.innerHTML = progress === null
+                    ? '<span class="loading-spinner"></span>编码中...'
+                    : `<span class="loading-spinner"></span>编码中 ${Math.round(progress)}%`;
                 if (exportSpinner) exportSpinner.style.display = 'inline-block';
                 break;
             case 'processing':
@@ -802,19 +1379,23 @@ export class UIController {
     /**
      * 处理导出完成
      */
-    async handleExportComplete(audioBlob) {
+    async handleExportComplete(audioBlob, timingMap = null) {
         try {
             this.setExportButtonState('processing');
             
             // 生成文件名
             const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-            const sutraTitle = this.currentSutraId ? 
-                (await this.sutraLoader.getSutraInfo(this.currentSutraId))?.title || '自定义文本' : 
-                '自定义文本';
-            const filename = `${sutraTitle}_${timestamp}.webm`;
+            const sutraTitle = this.getCurrentTextTitle();
+            const baseFilename = `${sutraTitle}_${timestamp}`;
+            const filename = `${baseFilename}.${this.exportManager.getFileExtension(audioBlob.type)}`;
 
             // 导出文件
             await this.exportManager.exportAudio(audioBlob, filename);
+
+            // 导出与音频同名的逐字时间表
+            if (timingMap) {
+                await this.exportManager.exportTimingFiles(timingMap, baseFilename, { title: sutraTitle });
+            }
             
             this.showMessage('音频导出成功！');
             this.setExportButtonState('idle');
@@ -833,31 +1414,7 @@ export class UIController {
      * 显示导出完成对话框
      */
     showExportCompleteDialog(audioBlob, filename) {
-        const modal = document.createElement('div');
-        modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(0, 0, 0, 0.5);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 10000;
-        `;
-
-        const dialog = document.createElement('div');
-        dialog.style.cssText = `
-            background: var(--glass-bg);
-            backdrop-filter: var(--backdrop-blur);
-            -webkit-backdrop-filter: var(--backdrop-blur);
-            padding: 2rem;
-            border-radius: 12px;
-            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-            max-width: 400px;
-            text-align: center;
-        `;
+        const { modal, dialog } = this.createModal();
 
         const fileSize = (audioBlob.size / 1024 / 1024).toFixed(2);
 
@@ -865,7 +1422,7 @@ export class UIController {
             <h3 style="margin-bottom: 1rem; color: var(--text-primary);">导出完成</h3>
             <p style="margin-bottom: 1rem; color: var(--text-secondary);">
                 文件已成功导出<br>
-                文件名: ${filename}<br>
+                文件名: ${escapeHtml(filename)}<br>
                 文件大小: ${fileSize} MB
             </p>
             <div style="display: flex; gap: 1rem; justify-content: center; flex-wrap: wrap;">
@@ -903,6 +1460,630 @@ export class UIController {
         };
     }
 
+    /**
+     * 下载全部数据的 JSON 备份
+     */
+    handleBackup() {
+        if (!this.isInitialized) {
+            this.showError('应用尚未初始化完成');
+            return;
+        }
+
+        try {
+            this.finishPracticeSession();
+            const data = this.storageManager.exportAllData();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const date = new Date().toISOString().slice(0, 10);
+
+            this.exportManager.downloadBlob(blob, `佛经诵读备份_${date}.json`);
+            this.showMessage('备份已下载');
+        } catch (error) {
+            console.error('备份失败:', error);
+            this.showError('备份失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 从备份文件恢复：读取、预览变化，确认后按所选方式导入
+     */
+    async handleRestore(file) {
+        if (!this.isInitialized) {
+            this.showError('应用尚未初始化完成');
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            console.error('读取备份文件失败:', error);
+            this.showError('无法读取备份文件: ' + error.message);
+            return;
+        }
+
+        const strategy = await this.showRestoreDialog(data);
+        if (!strategy) {
+            return;
+        }
+
+        if (!this.storageManager.importData(data, strategy)) {
+            this.showError('恢复备份失败');
+            return;
+        }
+
+        await this.applyRestoredData();
+        this.showMessage('备份已恢复');
+    }
+
+    /**
+     * 显示恢复预览对话框，返回所选的导入方式（取消时为 null）
+     */
+    showRestoreDialog(data) {
+        return new Promise((resolve) => {
+            const { modal, dialog } = this.createModal();
+
+            const strategyOptions = Object.entries(IMPORT_STRATEGIES)
+                .map(([strategy, label]) => `<option value="${strategy}">${label}</option>`)
+                .join('');
+            const exportedAt = data && data.exportedAt ? new Date(data.exportedAt).toLocaleString() : '未知';
+
+            dialog.innerHTML = `
+                <h3 style="margin-bottom: 1rem; color: var(--text-primary);">恢复备份</h3>
+                <p style="margin-bottom: 1rem; color: var(--text-secondary);">备份时间: ${exportedAt}</p>
+                <label style="display: block; margin-bottom: 1rem; color: var(--text-secondary);">
+                    恢复方式
+                    <select id="restore-strategy" class="modern-select">${strategyOptions}</select>
+                </label>
+                <div id="restore-preview" style="margin-bottom: 1rem; color: var(--text-secondary); text-align: left;"></div>
+                <div style="display: flex; gap: 1rem; justify-content: center;">
+                    <button id="confirm-restore" class="pill-button">恢复</button>
+                    <button id="cancel-restore" class="pill-button secondary">取消</button>
+                </div>
+            `;
+
+            modal.appendChild(dialog);
+            document.body.appendChild(modal);
+
+            const strategySelect = dialog.querySelector('#restore-strategy');
+            const preview = dialog.querySelector('#restore-preview');
+            const confirmBtn = dialog.querySelector('#confirm-restore');
+
+            // 按所选方式列出将要发生的变化
+            const renderPreview = () => {
+                const plan = this.storageManager.previewImport(data, strategySelect.value);
+                if (plan.error) {
+                    preview.textContent = plan.error;
+                    confirmBtn.disabled = true;
+                    return;
+                }
+
+                preview.innerHTML = plan.changes.length
+                    ? `<ul style="padding-left: 1.2rem;">${plan.changes.map(change => `<li>${change.label}：${change.detail}</li>`).join('')}</ul>`
+                    : '与现有数据相同，没有需要恢复的内容';
+                confirmBtn.disabled = plan.changes.length === 0;
+            };
+
+            const close = (result) => {
+                document.body.removeChild(modal);
+                resolve(result);
+            };
+
+            strategySelect.onchange = renderPreview;
+            confirmBtn.onclick = () => close(strategySelect.value);
+            dialog.querySelector('#cancel-restore').onclick = () => close(null);
+            modal.onclick = (e) => {
+                if (e.target === modal) {
+                    close(null);
+                }
+            };
+
+            renderPreview();
+        });
+    }
+
+    /**
+     * 恢复备份后重新应用设置、经文和计数
+     */
+    async applyRestoredData() {
+        if (this.audioEngine.isPlaying) {
+            this.audioEngine.stopPlayback();
+        }
+
+        const previousEngine = this.settingsControls.getSettings().audioEngine;
+        this.refreshTextLibraryOptions();
+        await this.restoreUserSettings();
+
+        const { audioEngine } = this.storageManager.loadSettings();
+        if (audioEngine && audioEngine !== previousEngine) {
+            await this.handleAudioEngineChange(audioEngine);
+        }
+
+        await this.loadDefaultSutra();
+        this.refreshRecitationStatus();
+    }
+
+    /**
+     * 当前文本的标题
+     */
+    getCurrentTextTitle() {
+        const textId = parseLibraryId(this.currentSutraId);
+        if (textId) {
+            const text = this.textLibrary.get(textId);
+            return text ? text.title : '自定义文本';
+        }
+
+        const sutraInfo = this.currentSutraId ? this.sutraLoader.getSutraInfo(this.currentSutraId) : null;
+        return sutraInfo ? sutraInfo.title : '自定义文本';
+    }
+
+    /**
+     * 打开文本库中的文本，并接续该文本上次的位置
+     */
+    loadLibraryText(textId) {
+        const text = this.textLibrary.get(textId);
+        if (!text) {
+            this.showError('文本库中没有找到该文本');
+            return false;
+        }
+
+        if (text.format === 'sutra') {
+            try {
+                this.textManager.loadDocument(parseSutraDocument(text.content, { title: text.title }));
+            } catch (error) {
+                console.warn('文本标记解析失败，按纯文本加载:', error);
+                this.textManager.loadText(text.content);
+            }
+        } else {
+            this.textManager.loadText(text.content);
+        }
+        this.currentSutraId = toLibraryId(textId);
+        this.pendingStartIndex = null;
+        this.clearABLoop();
+        this.refreshRecitationStatus();
+        this.playbackControls.reset();
+        this.settingsControls.setSelectedSutra(this.currentSutraId);
+        this.saveCurrentSettings();
+
+        // 等文本渲染完成后再跳到上次的位置
+        const libraryId = this.currentSutraId;
+        setTimeout(() => {
+            if (this.currentSutraId === libraryId) {
+                this.restorePlaybackProgress(libraryId);
+            }
+        }, 300);
+
+        this.showMessage(`已加载: ${text.title} (${text.content.length} 字符)`);
+        return true;
+    }
+
+    /**
+     * 把输入的自定义文本存入文本库并打开
+     */
+    async saveCustomTextToLibrary(text) {
+        const validation = this.settingsControls.validateCustomText(text);
+        if (!validation.valid) {
+            this.showError(validation.message);
+            return;
+        }
+
+        const info = await this.showTextInfoDialog('保存到文本库', { title: text.trim().split('\n')[0].slice(0, 20) });
+        if (!info) {
+            return;
+        }
+
+        const textId = this.textLibrary.create({ ...info, content: text });
+        if (!textId) {
+            this.showError('保存文本失败');
+            return;
+        }
+
+        this.refreshTextLibraryOptions();
+        this.loadLibraryText(textId);
+        this.showMessage(`已保存到文本库: ${info.title}`);
+    }
+
+    /**
+     * 导入文本文件：提取章节，确认标题后存入文本库并打开
+     */
+    async handleTextFileImport(file) {
+        if (!this.isInitialized) {
+            this.showError('应用尚未初始化完成');
+            return;
+        }
+
+        let imported;
+        try {
+            this.showMessage(`正在读取 ${file.name}...`);
+            imported = await importTextFile(file);
+        } catch (error) {
+            console.error('导入文件失败:', error);
+            this.showError('导入文件失败: ' + error.message);
+            return;
+        }
+
+        const info = await this.showTextInfoDialog('导入到文本库', { title: imported.title });
+        if (!info) {
+            return;
+        }
+
+        const textId = this.textLibrary.create({ ...info, content: toSutraMarkup(imported), format: 'sutra' });
+        if (!textId) {
+            this.showError('保存文本失败');
+            return;
+        }
+
+        this.refreshTextLibraryOptions();
+        this.saveCurrentProgress();
+        this.loadLibraryText(textId);
+
+        const chapterCount = imported.chapters.filter(chapter => chapter.title).length;
+        const encoding = imported.encoding && imported.encoding !== 'utf-8' ? `，编码 ${imported.encoding.toUpperCase()}` : '';
+        this.showMessage(`已导入: ${info.title}${chapterCount ? `（${chapterCount} 章${encoding}）` : encoding ? `（${encoding.slice(1)}）` : ''}`);
+    }
+
+    /**
+     * 允许把文件拖入页面导入
+     */
+    setupTextFileDrop() {
+        const container = this.textDisplayElement ? this.textDisplayElement.closest('.text-display-container') : null;
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+        const setDragOver = (active) => {
+            if (container) container.classList.toggle('file-drag-over', active);
+        };
+
+        document.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) {
+                e.preventDefault();
+                setDragOver(true);
+            }
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            // 离开浏览器窗口时 relatedTarget 为空
+            if (!e.relatedTarget) {
+                setDragOver(false);
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+
+            e.preventDefault();
+            setDragOver(false);
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.handleTextFileImport(file);
+            }
+        });
+    }
+
+    /**
+     * 编辑文本的标题、分类和标签，返回 { title, category, tags }（取消时为 null）
+     */
+    showTextInfoDialog(heading, text = {}) {
+        return new Promise((resolve) => {
+            const { modal, dialog } = this.createModal();
+
+            const categoryOptions = this.textLibrary.getCategories()
+                .map(category => `<option value="${escapeHtml(category)}"></option>`)
+                .join('');
+
+            dialog.innerHTML = `
+                <h3 style="margin-bottom: 1rem; color: var(--text-primary);">${heading}</h3>
+                <label class="text-info-field">
+                    标题
+                    <input id="text-info-title" type="text" class="tempo-input" value="${escapeHtml(text.title || '')}">
+                </label>
+                <label class="text-info-field">
+                    分类
+                    <input id="text-info-category" type="text" class="tempo-input" list="text-info-categories" value="${escapeHtml(text.category || '')}">
+                    <datalist id="text-info-categories">${categoryOptions}</datalist>
+                </label>
+                <label class="text-info-field">
+                    标签
+                    <input id="text-info-tags" type="text" class="tempo-input" placeholder="用逗号或空格分隔" value="${escapeHtml((text.tags || []).join('，'))}">
+                </label>
+                <div style="display: flex; gap: 1rem; justify-content: center;">
+                    <button id="confirm-text-info" class="pill-button">保存</button>
+                    <button id="cancel-text-info" class="pill-button secondary">取消</button>
+                </div>
+            `;
+
+            modal.appendChild(dialog);
+            document.body.appendChild(modal);
+
+            const titleInput = dialog.querySelector('#text-info-title');
+            titleInput.focus();
+
+            const close = (result) => {
+                document.body.removeChild(modal);
+                resolve(result);
+            };
+
+            dialog.querySelector('#confirm-text-info').onclick = () => {
+                const title = titleInput.value.trim();
+                if (!title) {
+                    titleInput.focus();
+                    return;
+                }
+                close({
+                    title,
+                    category: dialog.querySelector('#text-info-category').value.trim(),
+                    tags: dialog.querySelector('#text-info-tags').value
+                });
+            };
+            dialog.querySelector('#cancel-text-info').onclick = () => close(null);
+            modal.onclick = (e) => {
+                if (e.target === modal) {
+                    close(null);
+                }
+            };
+        });
+    }
+
+    /**
+     * 显示文本库：搜索、按分类筛选，打开、编辑、复制和删除文本
+     */
+    showTextLibraryDialog() {
+        const { modal, dialog } = this.createModal('text-library-dialog');
+
+        dialog.innerHTML = `
+            <h3 style="margin-bottom: 1rem; color: var(--text-primary);">文本库</h3>
+            <div class="text-library-filters">
+                <input id="text-library-search" type="search" class="tempo-input" placeholder="搜索标题、分类、标签或内容">
+                <select id="text-library-category" class="modern-select"></select>
+            </div>
+            <div id="text-library-list" class="text-library-list"></div>
+            <div style="display: flex; gap: 1rem; justify-content: center;">
+                <button id="close-text-library" class="pill-button">关闭</button>
+            </div>
+        `;
+
+        modal.appendChild(dialog);
+        document.body.appendChild(modal);
+
+        const searchInput = dialog.querySelector('#text-library-search');
+        const categorySelect = dialog.querySelector('#text-library-category');
+        const list = dialog.querySelector('#text-library-list');
+
+        const renderCategories = () => {
+            const selected = categorySelect.value;
+            categorySelect.innerHTML = '';
+            categorySelect.appendChild(new Option('全部分类', ''));
+            this.textLibrary.getCategories().forEach(category => {
+                categorySelect.appendChild(new Option(category, category));
+            });
+            categorySelect.value = selected;
+        };
+
+        const renderList = () => {
+            const texts = this.textLibrary.list({ query: searchInput.value, category: categorySelect.value });
+            list.innerHTML = '';
+
+            if (texts.length === 0) {
+                list.textContent = this.textLibrary.list().length
+                    ? '没有符合条件的文本'
+                    : '文本库还是空的，可在“新建自定义文本”中输入后保存';
+                return;
+            }
+
+            texts.forEach(text => {
+                const item = document.createElement('div');
+                item.className = 'text-library-item';
+                if (toLibraryId(text.id) === this.currentSutraId) {
+                    item.classList.add('current');
+                }
+
+                const info = document.createElement('div');
+                info.className = 'text-library-info';
+                const title = document.createElement('strong');
+                title.textContent = text.title;
+                const meta = document.createElement('span');
+                meta.textContent = [
+                    text.category,
+                    text.tags.map(tag => `#${tag}`).join(' '),
+                    `${text.content.length} 字`,
+                    `进度 ${Math.round(this.textLibrary.getProgress(text.id))}%`
+                ].filter(Boolean).join(' · ');
+                info.append(title, meta);
+
+                const actions = document.createElement('div');
+                actions.className = 'text-library-actions';
+                [['open', '打开'], ['edit', '编辑'], ['duplicate', '复制'], ['delete', '删除']].forEach(([action, label]) => {
+                    const button = document.createElement('button');
+                    button.className = 'pill-button secondary';
+                    button.dataset.action = action;
+                    button.dataset.textId = text.id;
+                    button.textContent = label;
+                    actions.appendChild(button);
+                });
+
+                item.append(info, actions);
+                list.appendChild(item);
+            });
+        };
+
+        const refresh = () => {
+            renderCategories();
+            renderList();
+            this.refreshTextLibraryOptions();
+        };
+
+        list.onclick = async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const textId = button.dataset.textId;
+            switch (button.dataset.action) {
+                case 'open':
+                    document.body.removeChild(modal);
+                    this.saveCurrentProgress();
+                    this.loadLibraryText(textId);
+                    break;
+                case 'edit': {
+                    const info = await this.showTextInfoDialog('编辑文本', this.textLibrary.get(textId));
+                    if (info && this.textLibrary.update(textId, info)) {
+                        refresh();
+                    }
+                    break;
+                }
+                case 'duplicate':
+                    if (this.textLibrary.duplicate(textId)) {
+                        refresh();
+                    }
+                    break;
+                case 'delete':
+                    // 第一次点击只要求确认
+                    if (button.dataset.confirm !== 'true') {
+                        button.dataset.confirm = 'true';
+                        button.textContent = '确认删除';
+                        return;
+                    }
+                    this.textLibrary.remove(textId);
+                    if (this.currentSutraId === toLibraryId(textId)) {
+                        this.currentSutraId = null; // 已删除的文本不再保存进度
+                        this.settingsControls.setSelectedSutra('custom');
+                        await this.handleSutraChange('custom');
+                    }
+                    refresh();
+                    break;
+            }
+        };
+
+        searchInput.oninput = renderList;
+        categorySelect.onchange = renderList;
+
+        dialog.querySelector('#close-text-library').onclick = () => {
+            document.body.removeChild(modal);
+        };
+
+        modal.onclick = (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        };
+
+        renderCategories();
+        renderList();
+        searchInput.focus();
+    }
+
+    /**
+     * 播放状态变化时为修行记录计时：播放开始或继续、暂停、停止或结束
+     */
+    trackPracticeState(isPlaying, isPaused) {
+        if (isPlaying) {
+            this.practiceTracker.start({
+                sutraId: this.currentSutraId || 'custom',
+                title: this.getCurrentTextTitle()
+            });
+        } else if (isPaused) {
+            this.practiceTracker.pause();
+            this.saveCurrentProgress();
+        } else {
+            this.finishPracticeSession();
+            this.saveCurrentProgress();
+        }
+    }
+
+    /**
+     * 结束当前练习并写入修行记录
+     */
+    finishPracticeSession() {
+        const session = this.practiceTracker.finish();
+        if (session) {
+            this.storageManager.addPracticeSession(session);
+            console.log('练习已记录:', session);
+        }
+    }
+
+    /**
+     * 设置修行记录按钮
+     */
+    setupPracticeLog() {
+        const practiceBtn = document.getElementById('practice-log-btn');
+        if (practiceBtn) {
+            practiceBtn.addEventListener('click', () => this.showPracticeDialog());
+        }
+    }
+
+    /**
+     * 显示修行记录：日/周/月合计、连续天数、日历热力图和最近的练习
+     */
+    showPracticeDialog() {
+        const sessions = this.storageManager.loadPracticeLog();
+        const streaks = computeStreaks(sessions);
+        const periods = [
+            ['今日', summarizePeriod(sessions, 'day')],
+            ['本周', summarizePeriod(sessions, 'week')],
+            ['本月', summarizePeriod(sessions, 'month')]
+        ];
+
+        const { modal, dialog } = this.createModal('practice-dialog');
+
+        const periodRows = periods.map(([label, total]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${formatDuration(total.duration)}</td>
+                <td>${total.characters} 字</td>
+                <td>${total.repetitions} 遍</td>
+                <td>${total.sessions} 次</td>
+            </tr>
+        `).join('');
+
+        const heatmapColumns = buildHeatmap(sessions).map(column => `
+            <div class="heatmap-column">
+                ${column.map(day => day
+                    ? `<span class="heatmap-cell level-${day.level}" title="${day.date}：${formatDuration(day.duration)}，${day.sessions} 次"></span>`
+                    : '<span class="heatmap-cell empty"></span>').join('')}
+            </div>
+        `).join('');
+
+        const legend = HEATMAP_LEVELS.map((minutes, level) =>
+            `<span class="heatmap-cell level-${level}" title="${level === 0 ? '未练习' : `${minutes} 分钟以上`}"></span>`
+        ).join('');
+
+        const recentRows = sessions.slice(-10).reverse().map(session => `
+            <tr>
+                <td>${new Date(session.startedAt).toLocaleString()}</td>
+                <td>${escapeHtml(session.title)}</td>
+                <td>${formatDuration(session.duration)}</td>
+                <td>${session.characters} 字</td>
+                <td>${session.repetitions} 遍</td>
+                <td>${session.completed ? '圆满' : '未完'}</td>
+            </tr>
+        `).join('');
+
+        dialog.innerHTML = `
+            <h3 style="margin-bottom: 1rem; color: var(--text-primary);">修行记录</h3>
+            <p style="margin-bottom: 1rem; color: var(--text-secondary);">
+                连续练习 ${streaks.current} 天 · 最长连续 ${streaks.longest} 天
+            </p>
+            <table class="practice-table">${periodRows}</table>
+            <div class="practice-heatmap">${heatmapColumns}</div>
+            <div class="heatmap-legend">少 ${legend} 多</div>
+            ${recentRows
+                ? `<table class="practice-table">${recentRows}</table>`
+                : '<p style="margin-bottom: 1rem; color: var(--text-secondary);">还没有练习记录，开始诵读后会自动记录</p>'}
+            <div style="display: flex; gap: 1rem; justify-content: center;">
+                <button id="close-practice" class="pill-button">关闭</button>
+            </div>
+        `;
+
+        modal.appendChild(dialog);
+        document.body.appendChild(modal);
+
+        dialog.querySelector('#close-practice').onclick = () => {
+            document.body.removeChild(modal);
+        };
+
+        modal.onclick = (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        };
+    }
+
     /**
      * 清理资源
      */
@@ -911,6 +2092,7 @@ export class UIController {
             // 保存当前状态
             this.saveCurrentSettings();
             this.saveCurrentProgress();
+            this.finishPracticeSession();
             
             if (this.exportManager) {
                 this.exportManager.dispose();
@@ -927,6 +2109,8 @@ export class UIController {
             if (this.textManager) {
                 this.textManager.clear();
             }
+
+            this.hideReadingMenu();
             
             console.log('UIController 资源已清理');
         } catch (error) {
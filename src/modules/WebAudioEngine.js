@@ -1,336 +1,291 @@
 /**
  * 使用Web Audio API的音频引擎
  * 专门解决移动端播放问题
+ *
+ * 逐个事件用定时器触发，不做提前排程。适合 AudioContext 时钟不可靠、
+ * 或经常被系统挂起的旧版移动浏览器（兼容模式）。
  */
+import { BaseAudioEngine } from './BaseAudioEngine.js';
 
-import audioAssets from '../assets/audio/index.js';
-
-export default class WebAudioEngine {
+export default class WebAudioEngine extends BaseAudioEngine {
     constructor() {
-        this.audioContext = null;
-        this.audioBuffers = new Map();
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.playbackSpeed = 1.0;
-        this.currentSequence = null;
-        this.sequenceIndex = 0;
-        this.sequenceStartTime = 0;
+        super();
+
+        this.sequenceSpeed = 1.0;
         this.playbackTimer = null;
-        
-        // 移动端检测
-        this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        
-        // 音频文件路径配置
-        this.audioConfig = {
-            muyu: audioAssets.muyu,
-            bowl: audioAssets.bowl
-        };
-        
-        // 回调函数
-        this.onPlayStateChange = null;
-        this.onCharacterHighlight = null;
-        this.onSequenceComplete = null;
-        this.onError = null;
-        
+        this.nextStrikeAt = null; // 下一个木鱼预定触发的时刻（performance.now()），调速时按此换算剩余间隔
+        this.cueTimers = new Set();
+        this.hasStartedMuyu = false;
+        this.isInBowlPhase = false;
+
+        // 循环播放两轮之间的间隔（毫秒）
+        this.loopGap = 1000;
+
         console.log('WebAudioEngine 初始化完成');
     }
-    
+
     /**
-     * 初始化Web Audio Context
+     * 开始播放序列：先等开始颂钵播放完毕，再逐个触发木鱼
      */
-    async initializeAudioContext() {
-        if (this.audioContext) return;
-        
-        try {
-            // 创建AudioContext
-            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContextClass();
-            
-            // 移动端需要用户交互来启动AudioContext
-            if (this.audioContext.state === 'suspended') {
-                console.log('AudioContext被暂停，等待用户交互...');
-                
-                const resumeAudio = async () => {
-                    try {
-                        await this.audioContext.resume();
-                        console.log('AudioContext已恢复');
-                        document.removeEventListener('touchstart', resumeAudio);
-                        document.removeEventListener('click', resumeAudio);
-                    } catch (error) {
-                        console.warn('恢复AudioContext失败:', error);
-                    }
-                };
-                
-                document.addEventListener('touchstart', resumeAudio, { once: true });
-                document.addEventListener('click', resumeAudio, { once: true });
-            }
-            
-            console.log('AudioContext初始化完成');
-        } catch (error) {
-            console.error('初始化AudioContext失败:', error);
-            throw error;
+    async startPlaybackSequence(sequence) {
+        if (this.isPlaying) {
+            console.warn('已有序列在播放中');
+            return;
         }
-    }
-    
-    /**
-     * 预加载音频文件
-     */
-    async preloadAudioFiles() {
-        console.log('开始预加载音频文件...');
-        
-        await this.initializeAudioContext();
-        
-        const loadPromises = Object.entries(this.audioConfig).map(async ([key, url]) => {
-            try {
-                console.log(`加载音频文件: ${key} from ${url}`);
-                
-                // 获取音频文件
-                const response = await fetch(url);
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-                
-                const arrayBuffer = await response.arrayBuffer();
-                
-                // 解码音频数据
-                const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-                
-                this.audioBuffers.set(key, audioBuffer);
-                console.log(`音频文件 ${key} 预加载完成`);
-                
-            } catch (error) {
-                console.error(`预加载音频文件 ${key} 失败:`, error);
-                throw error;
-            }
-        });
-        
+
+        this.isPlaying = true;
+        this.isPaused = false;
+        this.notifyPlayStateChange(true);
+
+        console.log(`开始播放序列，长度: ${sequence.length}, 速度: ${this.playbackSpeed}x`);
+
         try {
-            await Promise.all(loadPromises);
-            console.log('所有音频文件预加载完成');
+            await this.beginSequence(sequence);
         } catch (error) {
-            console.error('音频文件预加载失败:', error);
-            throw error;
+            console.error('播放序列失败:', error);
+            this.handleError(error);
+            this.stopPlayback();
         }
     }
-    
+
     /**
-     * 播放音频
+     * 播放一轮序列
      */
-    async playAudio(audioKey, noWait = true) {
-        if (!this.audioContext) {
-            await this.initializeAudioContext();
-        }
-        
-        if (this.audioContext.state === 'suspended') {
-            console.warn('AudioContext仍然被暂停，尝试恢复...');
+    async beginSequence(sequence) {
+        this.currentSequence = sequence;
+        this.sequenceSpeed = sequence.speed || this.playbackSpeed;
+        this.muyuEvents = sequence.filter(event => event.isMuyu);
+        this.sequenceIndex = sequence.startEventIndex || 0;
+        this.hasStartedMuyu = false;
+
+        const bowlEvent = sequence.find(event => event.isStartBowl);
+        if (bowlEvent) {
+            this.isInBowlPhase = true;
             try {
-                await this.audioContext.resume();
-            } catch (error) {
-                console.warn('恢复AudioContext失败:', error);
+                await this.playAudio(bowlEvent.type, false);
+            } finally {
+                this.isInBowlPhase = false;
             }
         }
-        
-        const audioBuffer = this.audioBuffers.get(audioKey);
-        if (!audioBuffer) {
-            const error = new Error(`音频文件未找到: ${audioKey}`);
-            this.handleError(error);
-            throw error;
-        }
-        
-        try {
-            // 创建音频源
-            const source = this.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            
-            // 连接到输出
-            source.connect(this.audioContext.destination);
-            
-            // 播放
-            source.start(0);
-            
-            console.log(`播放音频: ${audioKey}`);
-            
-            if (!noWait) {
-                // 等待播放完成
-                return new Promise((resolve) => {
-                    source.onended = () => {
-                        console.log(`音频播放完成: ${audioKey}`);
-                        resolve();
-                    };
-                });
-            }
-            
-            return Promise.resolve();
-            
-        } catch (error) {
-            console.error(`播放音频失败 (${audioKey}):`, error);
-            this.handleError(error);
-            throw error;
+
+        // 颂钵期间可能已被停止、跳转或切换到其他序列
+        if (!this.isPlaying || this.currentSequence !== sequence || this.hasStartedMuyu) {
+            return;
         }
+
+        this.playNextInSequence();
     }
-    
+
     /**
-     * 播放音频序列
+     * 播放序列中的下一个木鱼
      */
-    async playSequence(sequence, speed = 1.0) {
-        if (this.isPlaying) {
-            console.warn('已有序列在播放中');
+    playNextInSequence() {
+        this.playbackTimer = null;
+        this.nextStrikeAt = null;
+
+        if (!this.isPlaying || this.isPaused) {
             return;
         }
-        
-        this.currentSequence = sequence;
-        this.playbackSpeed = speed;
-        this.sequenceIndex = 0;
-        this.isPlaying = true;
-        this.isPaused = false;
-        this.sequenceStartTime = Date.now();
-        
-        if (this.onPlayStateChange) {
-            this.onPlayStateChange(true, false);
+
+        if (this.sequenceIndex >= this.muyuEvents.length) {
+            console.log('序列播放完成');
+            this.completePlayback();
+            return;
         }
-        
-        console.log(`开始播放序列，长度: ${sequence.length}, 速度: ${speed}x`);
-        
-        try {
-            await this.playNextInSequence();
-        } catch (error) {
-            console.error('播放序列失败:', error);
-            this.stopSequence();
-            throw error;
+
+        this.hasStartedMuyu = true;
+
+        const index = this.sequenceIndex;
+        const event = this.muyuEvents[index];
+
+        // 节奏型中不敲的字只推进高亮
+        if (!event.silent) {
+            this.playAudio(event.type, true, event).catch(error => {
+                // 单个事件失败不中断整个序列
+                console.error(`木鱼播放失败 (${index + 1}):`, error);
+            });
         }
+        this.playCues(event);
+        this.notifySequenceProgress(index, event);
+
+        this.sequenceIndex++;
+
+        // 计算到下一个木鱼的间隔（按当前速度换算），最后一个木鱼之后等待提示音敲完
+        const scale = this.sequenceSpeed / this.playbackSpeed;
+        const nextEvent = this.muyuEvents[this.sequenceIndex];
+        const tail = this.currentSequence && this.currentSequence.tail ? this.currentSequence.tail : 0;
+        const gap = (nextEvent ? nextEvent.delay - event.delay : tail) * scale;
+
+        this.scheduleNextStrike(gap);
     }
-    
+
     /**
-     * 播放序列中的下一个音频
+     * 在 delay 毫秒后触发下一个木鱼
      */
-    async playNextInSequence() {
-        if (!this.isPlaying || this.isPaused || this.sequenceIndex >= this.currentSequence.length) {
-            if (this.sequenceIndex >= this.currentSequence.length) {
-                console.log('序列播放完成');
-                this.stopSequence();
-                if (this.onSequenceComplete) {
-                    this.onSequenceComplete();
-                }
-            }
+    scheduleNextStrike(delay) {
+        this.nextStrikeAt = performance.now() + delay;
+        this.playbackTimer = setTimeout(() => {
+            this.playNextInSequence();
+        }, delay);
+    }
+
+    /**
+     * 播放速度变化时按新速度重新计算等待中的间隔
+     * 已经过去的部分不变，剩余部分按新旧速度之比缩放
+     */
+    adjustPlaybackSpeed(oldSpeed, newSpeed) {
+        if (!this.playbackTimer || this.nextStrikeAt === null || this.isPaused) {
+            console.log('没有等待中的木鱼，新速度将从下一声木鱼生效');
             return;
         }
-        
-        const item = this.currentSequence[this.sequenceIndex];
-        
-        try {
-            // 触发字符高亮回调
-            if (this.onCharacterHighlight && typeof item.charIndex === 'number') {
-                this.onCharacterHighlight(item.charIndex);
-            }
-            
-            // 播放音频
-            if (item.audioKey) {
-                await this.playAudio(item.audioKey, true);
+
+        const remaining = Math.max(0, this.nextStrikeAt - performance.now());
+        const adjustedRemaining = remaining * (oldSpeed / newSpeed);
+
+        clearTimeout(this.playbackTimer);
+        this.scheduleNextStrike(adjustedRemaining);
+
+        console.log(`播放速度调整完成，剩余间隔 ${remaining.toFixed(0)}ms → ${adjustedRemaining.toFixed(0)}ms`);
+    }
+
+    /**
+     * 播放附加在木鱼事件上的提示音
+     */
+    playCues(event) {
+        const scale = this.sequenceSpeed / this.playbackSpeed;
+
+        (event.cues || []).forEach(cue => {
+            const play = () => {
+                this.cueTimers.delete(timer);
+                this.playAudio(cue.sample, true, cue).catch(error => {
+                    console.error(`提示音播放失败 (${cue.sound}):`, error);
+                });
+            };
+
+            const timer = cue.offset > 0 ? setTimeout(play, cue.offset * scale) : null;
+            if (timer) {
+                this.cueTimers.add(timer);
+            } else {
+                play();
             }
-            
-            this.sequenceIndex++;
-            
-            // 计算下一次播放的延迟
-            const baseDelay = item.delay || 500;
-            const adjustedDelay = baseDelay / this.playbackSpeed;
-            
-            // 设置定时器播放下一个
-            this.playbackTimer = setTimeout(() => {
-                this.playNextInSequence();
-            }, adjustedDelay);
-            
-        } catch (error) {
-            console.error('播放序列项失败:', error);
-            this.stopSequence();
-            throw error;
-        }
+        });
     }
-    
+
     /**
-     * 停止序列播放
+     * 清除等待中的定时器
      */
-    stopSequence() {
-        this.isPlaying = false;
-        this.isPaused = false;
-        
+    clearPlaybackTimer() {
         if (this.playbackTimer) {
             clearTimeout(this.playbackTimer);
             this.playbackTimer = null;
         }
-        
-        if (this.onPlayStateChange) {
-            this.onPlayStateChange(false, false);
-        }
-        
-        console.log('序列播放已停止');
+        this.nextStrikeAt = null;
+
+        // 尚未敲响的提示音一并取消
+        this.cueTimers.forEach(timer => clearTimeout(timer));
+        this.cueTimers.clear();
     }
-    
+
     /**
-     * 暂停序列播放
+     * 完成一轮播放
      */
-    pauseSequence() {
-        if (!this.isPlaying || this.isPaused) return;
-        
-        this.isPaused = true;
-        
-        if (this.playbackTimer) {
-            clearTimeout(this.playbackTimer);
-            this.playbackTimer = null;
-        }
-        
-        if (this.onPlayStateChange) {
-            this.onPlayStateChange(true, true);
+    completePlayback() {
+        if (this.textManager && this.prepareNextRound()) {
+            console.log('循环播放：重新开始播放序列');
+            this.textManager.resetPosition();
+
+            this.playbackTimer = setTimeout(() => {
+                this.playbackTimer = null;
+                const sequence = this.createRangeSequence(this.textManager.characters.length);
+                this.beginSequence(sequence).catch(error => {
+                    console.error('循环播放重新开始失败:', error);
+                    this.handleError(error);
+                    this.stopPlayback();
+                });
+            }, this.loopGap);
+            return;
         }
-        
-        console.log('序列播放已暂停');
+
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.notifyPlayStateChange(false);
+        this.notifySequenceComplete();
     }
-    
+
     /**
-     * 恢复序列播放
+     * 停止播放
      */
-    resumeSequence() {
-        if (!this.isPlaying || !this.isPaused) return;
-        
+    stopPlayback() {
+        this.isPlaying = false;
         this.isPaused = false;
-        
-        if (this.onPlayStateChange) {
-            this.onPlayStateChange(true, false);
+        this.clearPlaybackTimer();
+        this.stopScheduledSources();
+
+        this.currentSequence = null;
+        this.muyuEvents = [];
+        this.sequenceIndex = 0;
+
+        // 先通知停止（保存阅读进度），再重置文本位置
+        this.notifyPlayStateChange(false);
+
+        if (this.textManager) {
+            this.textManager.resetPosition();
         }
-        
-        console.log('序列播放已恢复');
-        this.playNextInSequence();
+
+        console.log('序列播放已停止');
     }
-    
+
     /**
-     * 设置播放速度
+     * 暂停播放
      */
-    setPlaybackSpeed(speed) {
-        this.playbackSpeed = Math.max(0.1, Math.min(10, speed));
-        console.log(`播放速度设置为: ${this.playbackSpeed}x`);
+    pausePlayback() {
+        if (!this.isPlaying || this.isPaused) return;
+
+        this.isPaused = true;
+        this.clearPlaybackTimer();
+        this.notifyPlayStateChange(false);
+
+        console.log('序列播放已暂停');
     }
-    
+
     /**
-     * 错误处理
+     * 恢复播放
      */
-    handleError(error) {
-        console.error('AudioEngine错误:', error);
-        if (this.onError) {
-            this.onError(error);
+    resumePlayback() {
+        if (!this.isPlaying || !this.isPaused) return;
+
+        this.isPaused = false;
+        this.notifyPlayStateChange(true);
+
+        console.log('序列播放已恢复');
+
+        // 颂钵阶段恢复时由颂钵结束后自行开始木鱼
+        if (!this.isInBowlPhase) {
+            this.playNextInSequence();
         }
     }
-    
+
     /**
-     * 销毁引擎
+     * 跳转到指定字符继续播放
      */
-    destroy() {
-        this.stopSequence();
-        
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
+    seekToCharacter(charIndex) {
+        if (!this.isPlaying) {
+            return false;
+        }
+
+        const targetIndex = this.findMuyuEventIndex(charIndex);
+        if (targetIndex === -1) {
+            return false;
         }
-        
-        this.audioBuffers.clear();
-        console.log('WebAudioEngine已销毁');
+
+        this.clearPlaybackTimer();
+        this.stopScheduledSources();
+        this.sequenceIndex = targetIndex;
+
+        if (!this.isPaused) {
+            this.playNextInSequence();
+        }
+
+        return true;
     }
 }
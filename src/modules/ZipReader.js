@@ -0,0 +1,127 @@
+/**
+ * ZIP 读取器
+ * 读取 EPUB、DOCX 等 ZIP 容器中的文件，只支持不压缩和 deflate 两种方式（不支持 ZIP64 和加密）。
+ * 解压使用浏览器内置的 DecompressionStream，无需联网或第三方库。
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+export class ZipReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.entries = this.readCentralDirectory();
+    }
+
+    /**
+     * 从文件（Blob）创建读取器
+     */
+    static async fromBlob(blob) {
+        return new ZipReader(await blob.arrayBuffer());
+    }
+
+    /**
+     * 查找目录结束记录（位于文件末尾，之后可能跟着最长 65535 字节的注释）
+     */
+    findEndOfCentralDirectory() {
+        const minOffset = Math.max(0, this.buffer.byteLength - 22 - 0xffff);
+        for (let offset = this.buffer.byteLength - 22; offset >= minOffset; offset--) {
+            if (this.view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+                return offset;
+            }
+        }
+        throw new Error('不是有效的 ZIP 文件');
+    }
+
+    /**
+     * 读取中央目录，返回 Map（文件名 → 条目）
+     */
+    readCentralDirectory() {
+        const endOffset = this.findEndOfCentralDirectory();
+        const entryCount = this.view.getUint16(endOffset + 10, true);
+        let offset = this.view.getUint32(endOffset + 16, true);
+
+        if (offset === 0xffffffff) {
+            throw new Error('不支持 ZIP64 格式');
+        }
+
+        const decoder = new TextDecoder('utf-8');
+        const entries = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (this.view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+                throw new Error('ZIP 目录已损坏');
+            }
+
+            const flags = this.view.getUint16(offset + 8, true);
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const name = decoder.decode(new Uint8Array(this.buffer, offset + 46, nameLength));
+
+            entries.set(name, {
+                name,
+                encrypted: (flags & 0x1) !== 0,
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                size: this.view.getUint32(offset + 24, true),
+                localHeaderOffset: this.view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * 是否包含指定文件
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * 读取文件的原始字节
+     */
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`ZIP 中没有文件: ${name}`);
+        }
+        if (entry.encrypted) {
+            throw new Error(`不支持加密的文件: ${name}`);
+        }
+
+        const header = entry.localHeaderOffset;
+        if (this.view.getUint32(header, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`ZIP 文件头已损坏: ${name}`);
+        }
+
+        const dataOffset = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+        const data = new Uint8Array(this.buffer, dataOffset, entry.compressedSize);
+
+        switch (entry.method) {
+            case 0:
+                return data.slice();
+            case 8: {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('当前浏览器不支持解压，请更新浏览器');
+                }
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+            default:
+                throw new Error(`不支持的压缩方式 (${entry.method}): ${name}`);
+        }
+    }
+
+    /**
+     * 读取文本文件（UTF-8）
+     */
+    async readText(name) {
+        return new TextDecoder('utf-8').decode(await this.read(name));
+    }
+}